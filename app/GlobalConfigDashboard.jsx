@@ -8,9 +8,13 @@
  *
  * 1. SERVER COMPONENTS (Default) - Executed on the server, can fetch data directly
  * 2. CLIENT COMPONENTS ("use client") - Execute in the browser, enable interactivity
- * 3. MIDDLEWARE SIMULATION - Server-side logic that determines initial state
+ * 3. MIDDLEWARE - Server-side logic that determines initial state
  * 4. DATA FLOW - Server → Client Context → Client Components
  *
+ * UI strings come from the message catalogs via useTranslations() (see
+ * app/I18nProvider.jsx); the 💡 architecture notes are developer
+ * documentation and stay in English.
+ *
  * ============================================================================
  */
 
@@ -24,6 +28,14 @@
 // ============================================================================
 
 import { createContext, useContext, useState } from 'react';
+import { useFormState, useFormStatus } from 'react-dom';
+import { getRegionForCountry, getNextRegion } from '../lib/regions';
+import { evaluateFlags } from '../lib/targeting';
+import { INITIAL_ACTION_RESULT } from '../lib/action-result';
+import { LOCALE_NAMES, SUPPORTED_LOCALES } from '../lib/i18n/translate';
+import { PricePanel } from './Money';
+import { useTranslations } from './I18nProvider';
+import { useConfigEvents } from './useConfigEvents';
 
 const UserContext = createContext(null);
 
@@ -37,16 +49,36 @@ const UserContext = createContext(null);
  * INITIAL STATE from the Server Component that renders it. This demonstrates
  * the SERVER → CLIENT data flow that is fundamental to Next.js architecture.
  *
+ * Login status is NOT client state: it always comes from the verified session
+ * on the server. The login/logout Server Actions redirect to the page, which
+ * re-renders this provider with the new props.
+ *
  * @param {Object} props
- * @param {boolean} props.isLoggedIn - Server-determined login status
+ * @param {boolean} props.isLoggedIn - Login status from the verified session cookie
+ * @param {{ username: string, displayName: string }|null} props.user - Logged-in user
  * @param {string} props.currencyCode - Server-determined currency (e.g., 'USD', 'CAD')
  * @param {string} props.userLocation - Server-determined location (e.g., 'US', 'CA')
+ * @param {{ locale: string, source: string, preference: string|null, version: number|null }} props.language -
+ *   Negotiated locale, how it was chosen and the preferences version it was
+ *   read from (see lib/i18n)
+ * @param {Function} props.login - Server Action (previousState, formData) → ActionResult
+ * @param {Function} props.logout - Server Action that clears the session
+ * @param {Function} props.updateLanguage - Server Action (previousState, formData) → ActionResult
  * @param {React.ReactNode} props.children - Child components
  */
-export function UserProvider({ isLoggedIn, currencyCode, userLocation, children }) {
+export function UserProvider({
+  isLoggedIn,
+  user,
+  currencyCode,
+  userLocation,
+  language,
+  login,
+  logout,
+  updateLanguage,
+  children
+}) {
   // Initialize client-side state with server-determined values
   const [state, setState] = useState({
-    isLoggedIn,
     userLocation,
     currencyCode
   });
@@ -55,48 +87,32 @@ export function UserProvider({ isLoggedIn, currencyCode, userLocation, children
    * toggleLocation - CLIENT-SIDE STATE MUTATION
    *
    * This function demonstrates pure client-side state changes.
-   * It cycles through different locations and their corresponding currencies.
+   * It cycles through the registered regions and their corresponding currencies.
    */
   const toggleLocation = () => {
     setState(prevState => {
-      // Cycle through different regions to demonstrate client-side updates
-      const locations = [
-        { location: 'US', currency: 'USD' },
-        { location: 'CA', currency: 'CAD' },
-        { location: 'EU', currency: 'EUR' },
-        { location: 'UK', currency: 'GBP' },
-        { location: 'JP', currency: 'JPY' }
-      ];
-
-      const currentIndex = locations.findIndex(l => l.location === prevState.userLocation);
-      const nextIndex = (currentIndex + 1) % locations.length;
-      const next = locations[nextIndex];
+      // Cycle through the regions in the shared registry (lib/regions.js)
+      const next = getNextRegion(prevState.userLocation);
 
       return {
         ...prevState,
-        userLocation: next.location,
+        userLocation: next.code,
         currencyCode: next.currency
       };
     });
   };
 
-  /**
-   * toggleLoginStatus - CLIENT-SIDE STATE MUTATION
-   *
-   * Demonstrates toggling authentication state on the client.
-   */
-  const toggleLoginStatus = () => {
-    setState(prevState => ({
-      ...prevState,
-      isLoggedIn: !prevState.isLoggedIn
-    }));
-  };
-
-  // Context value contains both state and state mutation functions
+  // Context value contains client state, server-verified login status,
+  // and the functions that change them
   const contextValue = {
     ...state,
+    isLoggedIn,
+    user,
+    language,
     toggleLocation,
-    toggleLoginStatus
+    login,
+    logout,
+    updateLanguage
   };
 
   return (
@@ -120,6 +136,163 @@ export function useUserContext() {
   return context;
 }
 
+// ============================================================================
+// CLIENT COMPONENT: Login / Logout Forms
+// ============================================================================
+// Submit to the login and logout Server Actions from the context. The result
+// of a login attempt is kept via useFormState and shown inline.
+// ============================================================================
+
+function AuthSubmitButton({ label, loadingLabel, color, hoverColor }) {
+  const { pending } = useFormStatus();
+
+  return (
+    <button
+      type="submit"
+      disabled={pending}
+      style={{
+        ...styles.button,
+        backgroundColor: color,
+        opacity: pending ? 0.6 : 1,
+        cursor: pending ? 'not-allowed' : 'pointer'
+      }}
+      onMouseOver={(e) => e.target.style.backgroundColor = hoverColor}
+      onMouseOut={(e) => e.target.style.backgroundColor = color}
+    >
+      {pending ? loadingLabel : label}
+    </button>
+  );
+}
+
+function LoginForm() {
+  const { login } = useUserContext();
+  const { t } = useTranslations();
+  const [result, formAction] = useFormState(login, INITIAL_ACTION_RESULT);
+
+  return (
+    <form action={formAction} style={styles.loginForm}>
+      {result.error && (
+        <div role="alert" style={styles.errorBanner}>
+          ⚠️ {result.error}
+        </div>
+      )}
+
+      <div style={styles.loginFields}>
+        <label style={styles.loginField}>
+          <span style={styles.label}>{t('auth.username')}</span>
+          <input
+            name="username"
+            autoComplete="username"
+            aria-invalid={Boolean(result.fieldErrors.username)}
+            style={styles.input}
+          />
+        </label>
+
+        <label style={styles.loginField}>
+          <span style={styles.label}>{t('auth.password')}</span>
+          <input
+            name="password"
+            type="password"
+            autoComplete="current-password"
+            aria-invalid={Boolean(result.fieldErrors.password)}
+            style={styles.input}
+          />
+        </label>
+
+        <AuthSubmitButton
+          label={t('auth.logIn')}
+          loadingLabel={t('auth.loggingIn')}
+          color="#16a34a"
+          hoverColor="#15803d"
+        />
+      </div>
+    </form>
+  );
+}
+
+function LogoutForm() {
+  const { logout } = useUserContext();
+  const { t } = useTranslations();
+
+  return (
+    <form action={logout}>
+      <AuthSubmitButton
+        label={t('auth.logOut')}
+        loadingLabel={t('auth.loggingOut')}
+        color="#dc2626"
+        hoverColor="#b91c1c"
+      />
+    </form>
+  );
+}
+
+// ============================================================================
+// CLIENT COMPONENT: Language Picker
+// ============================================================================
+// Submits to the updateLanguage Server Action. The empty option clears the
+// saved language, so the locale is negotiated from the request again. The
+// new language is applied by RootLayout when the action revalidates it.
+//
+// The form submits the preferences version it rendered. When the preferences
+// changed elsewhere since, the banner names the stored language and offers
+// to save the chosen one again on top of the stored version.
+// ============================================================================
+
+function LanguageForm() {
+  const { language, updateLanguage } = useUserContext();
+  const { t } = useTranslations();
+  const [result, formAction] = useFormState(updateLanguage, INITIAL_ACTION_RESULT);
+  const languageError = result.fieldErrors.language;
+  const conflict = result.conflict;
+
+  return (
+    <div style={styles.languageForm}>
+      {result.error && (
+        <div role="alert" style={styles.errorBanner}>
+          ⚠️ {result.error} {languageError}
+          {conflict && conflict.current.language !== conflict.attempted.language && (
+            <form action={formAction} style={styles.reapplyForm}>
+              <input type="hidden" name="language" value={conflict.attempted.language} />
+              <input type="hidden" name="version" value={conflict.current.version} />
+              <button type="submit" style={styles.reapplyButton}>
+                {t('saveStatus.reapply')}
+              </button>
+            </form>
+          )}
+        </div>
+      )}
+
+      <form action={formAction} style={styles.languageFields}>
+        <input type="hidden" name="version" value={language.version ?? ''} />
+
+        <select
+          // Re-mount when the saved language changes so defaultValue applies
+          key={language.preference ?? ''}
+          name="language"
+          aria-label={t('language.label')}
+          aria-invalid={Boolean(languageError)}
+          defaultValue={language.preference ?? ''}
+          style={styles.input}
+        >
+          <option value="">{t('language.automatic')}</option>
+          {SUPPORTED_LOCALES.map(locale => (
+            <option key={locale} value={locale} lang={locale}>
+              {LOCALE_NAMES[locale]}
+            </option>
+          ))}
+        </select>
+
+        <AuthSubmitButton
+          label={t('language.save')}
+          loadingLabel={t('language.saving')}
+          color="#3b82f6"
+          hoverColor="#2563eb"
+        />
+      </form>
+    </div>
+  );
+}
+
 // ============================================================================
 // CLIENT COMPONENT: CurrencyToggle
 // ============================================================================
@@ -128,31 +301,50 @@ export function useUserContext() {
 // ============================================================================
 
 export function CurrencyToggle() {
-  const { currencyCode, userLocation, isLoggedIn, toggleLocation, toggleLoginStatus } = useUserContext();
+  const { currencyCode, userLocation, isLoggedIn, user, language, toggleLocation } = useUserContext();
+  const { t } = useTranslations();
+  const region = getRegionForCountry(userLocation);
 
   return (
     <div style={styles.card}>
-      <h3 style={styles.cardTitle}>🌍 User Configuration (Client State)</h3>
+      <h3 style={styles.cardTitle}>{t('userConfig.title')}</h3>
 
       <div style={styles.infoGrid}>
         <div style={styles.infoItem}>
-          <span style={styles.label}>Location:</span>
-          <span style={styles.value}>{userLocation}</span>
+          <span style={styles.label}>{t('userConfig.location')}</span>
+          <span style={styles.value}>{region.flag} {userLocation}</span>
         </div>
 
         <div style={styles.infoItem}>
-          <span style={styles.label}>Currency:</span>
+          <span style={styles.label}>{t('userConfig.localeTimezone')}</span>
+          <span style={styles.value}>{region.locale} · {region.timezone}</span>
+        </div>
+
+        <div style={styles.infoItem}>
+          <span style={styles.label}>{t('userConfig.currency')}</span>
           <span style={styles.valueCurrency}>{currencyCode}</span>
         </div>
 
         <div style={styles.infoItem}>
-          <span style={styles.label}>Login Status:</span>
+          <span style={styles.label}>{t('userConfig.loginStatus')}</span>
           <span style={{
             ...styles.value,
             color: isLoggedIn ? '#10b981' : '#ef4444',
             fontWeight: 'bold'
           }}>
-            {isLoggedIn ? '✓ Logged In' : '✗ Logged Out'}
+            {isLoggedIn
+              ? t('userConfig.loggedInAs', { name: user.displayName })
+              : t('userConfig.loggedOut')}
+          </span>
+        </div>
+
+        <div style={styles.infoItem}>
+          <span style={styles.label}>{t('language.label')}</span>
+          <span style={styles.value}>
+            {t('language.current', {
+              language: LOCALE_NAMES[language.locale],
+              source: t(`language.sources.${language.source}`)
+            })}
           </span>
         </div>
       </div>
@@ -164,27 +356,60 @@ export function CurrencyToggle() {
           onMouseOver={(e) => e.target.style.backgroundColor = '#2563eb'}
           onMouseOut={(e) => e.target.style.backgroundColor = '#3b82f6'}
         >
-          🔄 Cycle Location/Currency
+          {t('userConfig.cycleLocation')}
         </button>
 
-        <button
-          onClick={toggleLoginStatus}
-          style={{
-            ...styles.button,
-            backgroundColor: isLoggedIn ? '#dc2626' : '#16a34a'
-          }}
-          onMouseOver={(e) => e.target.style.backgroundColor = isLoggedIn ? '#b91c1c' : '#15803d'}
-          onMouseOut={(e) => e.target.style.backgroundColor = isLoggedIn ? '#dc2626' : '#16a34a'}
-        >
-          {isLoggedIn ? '🔓 Log Out' : '🔒 Log In'}
-        </button>
+        {isLoggedIn && <LogoutForm />}
       </div>
 
+      {!isLoggedIn && <LoginForm />}
+
+      <LanguageForm />
+
       <div style={styles.explanation}>
         <p style={styles.explanationText}>
           <strong>💡 Architecture Note:</strong> This component is a <em>Client Component</em>.
           It uses the <code>useUserContext</code> hook to access and mutate client-side state.
-          The buttons demonstrate pure client-side interactivity without server round-trips.
+          Cycling the location is pure client-side interactivity without server round-trips.
+          Logging in and out calls Server Actions that issue or clear a signed session
+          cookie, so the login status survives a reload.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+// ============================================================================
+// CLIENT COMPONENT: PriceList
+// ============================================================================
+// Sample prices converted to the context's currency and formatted for the
+// current location's locale. Re-renders on every toggleLocation, with no
+// server round-trip: the shared <PricePanel> runs in the browser here, with
+// exchange rates the Server Component loaded and passed down as a prop.
+// ============================================================================
+
+export function PriceList({ exchangeRates }) {
+  const { currencyCode, userLocation } = useUserContext();
+  const { t } = useTranslations();
+  const region = getRegionForCountry(userLocation);
+
+  return (
+    <div style={styles.card}>
+      <h3 style={styles.cardTitle}>{t('prices.title')}</h3>
+
+      <PricePanel
+        currency={currencyCode}
+        locale={region.locale}
+        exchangeRates={exchangeRates}
+        t={t}
+      />
+
+      <div style={styles.explanation}>
+        <p style={styles.explanationText}>
+          <strong>💡 Architecture Note:</strong> Prices are converted from USD with decimal-safe
+          arithmetic and formatted by <code>&lt;Money&gt;</code> with <code>Intl.NumberFormat</code>,
+          rounded to the minor units of the currency (yen have none). Cycle the location above
+          to see them converted and reformatted.
         </p>
       </div>
     </div>
@@ -195,67 +420,65 @@ export function CurrencyToggle() {
 // CLIENT COMPONENT: FeatureFlags
 // ============================================================================
 // Demonstrates another consumer of the UserContext with conditional rendering.
+// Flags and their targeting rules arrive as data from the Server Component
+// (config/feature-targeting.json) and are evaluated against the current context.
+// It also subscribes to configuration events, so the dashboard re-renders when
+// flags or this visitor's preferences (e.g. the language) change in another tab.
 // ============================================================================
 
-export function FeatureFlags() {
-  const { isLoggedIn, currencyCode } = useUserContext();
-
-  const features = [
-    {
-      name: 'Premium Dashboard',
-      enabled: isLoggedIn,
-      description: 'Access to advanced analytics and reporting'
-    },
-    {
-      name: 'Multi-Currency Support',
-      enabled: ['EUR', 'GBP', 'JPY'].includes(currencyCode),
-      description: 'International payment processing'
-    },
-    {
-      name: 'Regional Promotions',
-      enabled: currencyCode !== 'USD',
-      description: 'Location-specific offers and discounts'
-    },
-    {
-      name: 'Guest Checkout',
-      enabled: !isLoggedIn,
-      description: 'Quick purchase without account creation'
-    }
-  ];
+export function FeatureFlags({ flags, lastEventId }) {
+  const { isLoggedIn, currencyCode, userLocation } = useUserContext();
+  const { t } = useTranslations();
+
+  useConfigEvents(lastEventId);
+
+  // Same evaluator the server used for the initial render (lib/targeting.js)
+  const features = evaluateFlags(flags, { isLoggedIn, currencyCode, userLocation });
 
   return (
     <div style={styles.card}>
-      <h3 style={styles.cardTitle}>⚡ Feature Flags (Context-Driven)</h3>
+      <h3 style={styles.cardTitle}>{t('featureFlags.title')}</h3>
 
       <div style={styles.featureList}>
-        {features.map((feature, index) => (
-          <div
-            key={index}
-            style={{
-              ...styles.featureItem,
-              borderLeft: feature.enabled ? '4px solid #10b981' : '4px solid #6b7280'
-            }}
-          >
-            <div style={styles.featureHeader}>
-              <span style={styles.featureName}>{feature.name}</span>
-              <span style={{
-                ...styles.featureStatus,
-                backgroundColor: feature.enabled ? '#d1fae5' : '#f3f4f6',
-                color: feature.enabled ? '#065f46' : '#4b5563'
-              }}>
-                {feature.enabled ? '✓ Enabled' : '✗ Disabled'}
-              </span>
+        {features.map(feature => {
+          // Flags added to the targeting config without translations show
+          // the config's English text
+          const messageKey = `featureFlags.flags.${feature.key}`;
+          const name = t.has(`${messageKey}.name`) ? t(`${messageKey}.name`) : feature.name;
+          const description = t.has(`${messageKey}.description`)
+            ? t(`${messageKey}.description`)
+            : feature.description;
+
+          return (
+            <div
+              key={feature.key}
+              style={{
+                ...styles.featureItem,
+                borderLeft: feature.enabled ? '4px solid #10b981' : '4px solid #6b7280'
+              }}
+            >
+              <div style={styles.featureHeader}>
+                <span style={styles.featureName}>{name}</span>
+                <span style={{
+                  ...styles.featureStatus,
+                  backgroundColor: feature.enabled ? '#d1fae5' : '#f3f4f6',
+                  color: feature.enabled ? '#065f46' : '#4b5563'
+                }}>
+                  {feature.enabled ? t('featureFlags.enabled') : t('featureFlags.disabled')}
+                </span>
+              </div>
+              <p style={styles.featureDescription}>{description}</p>
             </div>
-            <p style={styles.featureDescription}>{feature.description}</p>
-          </div>
-        ))}
+          );
+        })}
       </div>
 
       <div style={styles.explanation}>
         <p style={styles.explanationText}>
           <strong>💡 Architecture Note:</strong> This <em>Client Component</em> consumes
           the same context as CurrencyToggle, demonstrating how multiple components
-          can reactively respond to the same global state changes.
+          can reactively respond to the same global state changes. Targeting rules are
+          plain data, evaluated by the same code on the server and in the browser.
         </p>
       </div>
     </div>
@@ -270,50 +493,53 @@ export function FeatureFlags() {
 
 export function DataFlowVisualization({ serverInitialData }) {
   const currentClientState = useUserContext();
+  const { t } = useTranslations();
 
   return (
     <div style={styles.card}>
-      <h3 style={styles.cardTitle}>🔄 Data Flow Visualization</h3>
+      <h3 style={styles.cardTitle}>{t('dataFlow.title')}</h3>
 
       <div style={styles.flowContainer}>
         <div style={styles.flowStep}>
           <div style={styles.flowStepHeader}>
             <span style={styles.flowStepNumber}>1️⃣</span>
-            <span style={styles.flowStepTitle}>Server Component</span>
+            <span style={styles.flowStepTitle}>{t('dataFlow.serverComponent')}</span>
           </div>
           <div style={styles.flowStepContent}>
             <p style={styles.flowStepText}>
-              <strong>Middleware Simulation:</strong><br/>
-              Determines initial state based on headers/environment
+              <strong>{t('dataFlow.middleware')}</strong><br/>
+              {t('dataFlow.middlewareText')}
             </p>
             <div style={styles.codeBlock}>
               <pre style={styles.code}>
 {`// Server-determined values:
 AUTH_TOKEN: ${serverInitialData.AUTH_TOKEN}
 GEO_CODE: ${serverInitialData.GEO_COUNTRY_CODE}
+GEO_SOURCE: ${serverInitialData.GEO_SOURCE}
 
 // Computed values:
 isLoggedIn: ${serverInitialData.isLoggedIn}
 currency: ${serverInitialData.currencyCode}
-location: ${serverInitialData.userLocation}`}
+location: ${serverInitialData.userLocation}
+features: ${serverInitialData.enabledFeatures.join(', ') || 'none'}`}
               </pre>
             </div>
           </div>
         </div>
 
         <div style={styles.flowArrow}>
-          ⬇️ <span style={styles.flowArrowText}>Props Passed to Client</span> ⬇️
+          ⬇️ <span style={styles.flowArrowText}>{t('dataFlow.propsPassed')}</span> ⬇️
         </div>
 
         <div style={styles.flowStep}>
           <div style={styles.flowStepHeader}>
             <span style={styles.flowStepNumber}>2️⃣</span>
-            <span style={styles.flowStepTitle}>Client Context Provider</span>
+            <span style={styles.flowStepTitle}>{t('dataFlow.contextProvider')}</span>
           </div>
           <div style={styles.flowStepContent}>
             <p style={styles.flowStepText}>
-              <strong>Initialization:</strong><br/>
-              Receives server data as props, initializes client state
+              <strong>{t('dataFlow.initialization')}</strong><br/>
+              {t('dataFlow.initializationText')}
             </p>
             <div style={styles.codeBlock}>
               <pre style={styles.code}>
@@ -327,18 +553,18 @@ currencyCode: ${serverInitialData.currencyCode}`}
         </div>
 
         <div style={styles.flowArrow}>
-          ⬇️ <span style={styles.flowArrowText}>Context Consumed</span> ⬇️
+          ⬇️ <span style={styles.flowArrowText}>{t('dataFlow.contextConsumed')}</span> ⬇️
         </div>
 
         <div style={styles.flowStep}>
           <div style={styles.flowStepHeader}>
             <span style={styles.flowStepNumber}>3️⃣</span>
-            <span style={styles.flowStepTitle}>Client Components</span>
+            <span style={styles.flowStepTitle}>{t('dataFlow.clientComponents')}</span>
           </div>
           <div style={styles.flowStepContent}>
             <p style={styles.flowStepText}>
-              <strong>Current State (After Client Mutations):</strong><br/>
-              State may differ from server initial values
+              <strong>{t('dataFlow.currentState')}</strong><br/>
+              {t('dataFlow.currentStateText')}
             </p>
             <div style={styles.codeBlock}>
               <pre style={styles.code}>
@@ -378,18 +604,18 @@ ${JSON.stringify(serverInitialData) !== JSON.stringify({
 
 const styles = {
   card: {
-    backgroundColor: '#ffffff',
+    backgroundColor: 'var(--color-surface)',
     borderRadius: '12px',
     padding: '24px',
     marginBottom: '24px',
     boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06)',
-    border: '1px solid #e5e7eb'
+    border: '1px solid var(--color-border)'
   },
   cardTitle: {
     margin: '0 0 20px 0',
     fontSize: '20px',
     fontWeight: '600',
-    color: '#111827',
+    color: 'var(--color-text)',
     borderBottom: '2px solid #3b82f6',
     paddingBottom: '12px'
   },
@@ -407,14 +633,14 @@ const styles = {
   label: {
     fontSize: '12px',
     fontWeight: '600',
-    color: '#6b7280',
+    color: 'var(--color-text-muted)',
     textTransform: 'uppercase',
     letterSpacing: '0.05em'
   },
   value: {
     fontSize: '18px',
     fontWeight: '600',
-    color: '#111827'
+    color: 'var(--color-text)'
   },
   valueCurrency: {
     fontSize: '24px',
@@ -439,6 +665,60 @@ const styles = {
     transition: 'all 0.2s',
     boxShadow: '0 1px 3px 0 rgba(0, 0, 0, 0.1), 0 1px 2px 0 rgba(0, 0, 0, 0.06)'
   },
+  loginForm: {
+    marginBottom: '20px'
+  },
+  loginFields: {
+    display: 'flex',
+    gap: '12px',
+    flexWrap: 'wrap',
+    alignItems: 'flex-end'
+  },
+  loginField: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px'
+  },
+  languageForm: {
+    marginBottom: '20px'
+  },
+  languageFields: {
+    display: 'flex',
+    gap: '12px',
+    flexWrap: 'wrap',
+    alignItems: 'center'
+  },
+  input: {
+    padding: '10px 12px',
+    fontSize: '14px',
+    border: '1px solid var(--color-border-strong)',
+    borderRadius: '8px',
+    color: 'var(--color-text)'
+  },
+  errorBanner: {
+    padding: '12px 16px',
+    marginBottom: '16px',
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#991b1b',
+    backgroundColor: '#fef2f2',
+    borderRadius: '8px',
+    border: '2px solid #fecaca'
+  },
+  reapplyForm: {
+    display: 'inline-block',
+    marginLeft: '4px'
+  },
+  reapplyButton: {
+    padding: '4px 12px',
+    fontSize: '13px',
+    fontWeight: '600',
+    color: '#ffffff',
+    backgroundColor: '#dc2626',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer'
+  },
   explanation: {
     backgroundColor: '#eff6ff',
     borderRadius: '8px',
@@ -458,7 +738,7 @@ const styles = {
     marginBottom: '20px'
   },
   featureItem: {
-    backgroundColor: '#f9fafb',
+    backgroundColor: 'var(--color-surface-muted)',
     borderRadius: '8px',
     padding: '16px',
     transition: 'all 0.2s'
@@ -472,7 +752,7 @@ const styles = {
   featureName: {
     fontSize: '16px',
     fontWeight: '600',
-    color: '#111827'
+    color: 'var(--color-text)'
   },
   featureStatus: {
     fontSize: '12px',
@@ -483,14 +763,14 @@ const styles = {
   featureDescription: {
     margin: 0,
     fontSize: '14px',
-    color: '#6b7280',
+    color: 'var(--color-text-muted)',
     lineHeight: '1.5'
   },
   flowContainer: {
     marginBottom: '20px'
   },
   flowStep: {
-    backgroundColor: '#f9fafb',
+    backgroundColor: 'var(--color-surface-muted)',
     borderRadius: '8px',
     padding: '16px',
     marginBottom: '12px'
@@ -507,7 +787,7 @@ const styles = {
   flowStepTitle: {
     fontSize: '16px',
     fontWeight: '600',
-    color: '#111827'
+    color: 'var(--color-text)'
   },
   flowStepContent: {
     paddingLeft: '36px'
@@ -515,7 +795,7 @@ const styles = {
   flowStepText: {
     margin: '0 0 12px 0',
     fontSize: '14px',
-    color: '#4b5563',
+    color: 'var(--color-text-secondary)',
     lineHeight: '1.5'
   },
   codeBlock: {
@@ -0,0 +1,57 @@
+/*
+ * ============================================================================
+ * I18N PROVIDER - CLIENT COMPONENT
+ * ============================================================================
+ *
+ * RootLayout negotiates the locale on the server (lib/i18n) and passes the
+ * catalog for it to this provider. Client Components read translations with
+ * useTranslations(), so they render the same strings as the server:
+ *
+ *   const { t, locale } = useTranslations();
+ *   <h3>{t('userConfig.title')}</h3>
+ *
+ * ============================================================================
+ */
+
+'use client';
+
+import { createContext, useContext, useMemo } from 'react';
+import { createTranslator } from '../lib/i18n/translate';
+
+const I18nContext = createContext(null);
+
+/**
+ * I18nProvider - Makes the request's catalog available to Client Components
+ *
+ * @param {Object} props
+ * @param {string} props.locale - Negotiated locale (e.g., 'fr')
+ * @param {Object} props.messages - Catalog for the locale
+ * @param {React.ReactNode} props.children
+ */
+export function I18nProvider({ locale, messages, children }) {
+  const value = useMemo(
+    () => ({ locale, t: createTranslator(messages) }),
+    [locale, messages]
+  );
+
+  return (
+    <I18nContext.Provider value={value}>
+      {children}
+    </I18nContext.Provider>
+  );
+}
+
+/**
+ * useTranslations - Custom Hook
+ *
+ * Throws an error if used outside of I18nProvider.
+ *
+ * @returns {{ locale: string, t: ReturnType<typeof createTranslator> }}
+ */
+export function useTranslations() {
+  const context = useContext(I18nContext);
+  if (!context) {
+    throw new Error('useTranslations must be used within an I18nProvider');
+  }
+  return context;
+}
@@ -0,0 +1,162 @@
+/*
+ * ============================================================================
+ * MONEY - SHARED COMPONENTS (Server or Client)
+ * ============================================================================
+ *
+ * <Money> and <PricePanel> use no hooks and no browser APIs, so they have no
+ * 'use client' directive. They render on the server when a Server Component
+ * imports them (server-actions demo) and in the browser when a Client
+ * Component does (main dashboard, where the currency changes without a
+ * server round-trip).
+ *
+ * For the same reason the price panel cannot call useTranslations(): its
+ * caller passes a translator, from getTranslator() on the server or
+ * useTranslations() in the browser (see lib/i18n).
+ *
+ * Formatting goes through formatMoney() in lib/money.js. The price panel
+ * converts its USD catalog with a RateSet that the page loads on the server
+ * (lib/exchange-rates), so both render the same converted amounts.
+ *
+ * ============================================================================
+ */
+
+import { formatMoney, getMinorUnits } from '../lib/money';
+import { convertAmount, getCrossRate, getRateStatus } from '../lib/exchange-rates/convert';
+
+// Sample catalog for the price panels, priced in SAMPLE_PRICE_CURRENCY and
+// converted to the selected currency
+export const SAMPLE_PRICE_CURRENCY = 'USD';
+
+// Names are translated from prices.items.<id> in the message catalogs
+export const SAMPLE_PRICES = [
+  { id: 'starter', amount: 19.99 },
+  { id: 'team', amount: 1234.5 },
+  { id: 'messageFee', amount: 0.5 },
+  { id: 'enterprise', amount: 250000 }
+];
+
+/**
+ * Money - Renders a formatted amount
+ *
+ * @param {Object} props
+ * @param {number|string} props.amount - Amount in major units
+ * @param {string} props.currency - ISO 4217 code
+ * @param {string} [props.locale] - BCP 47 locale
+ */
+export function Money({ amount, currency, locale }) {
+  return (
+    // Node and browsers may ship different ICU data (e.g. the space before
+    // '€'), so a server-rendered string can differ slightly when hydrated
+    <data value={amount} title={currency} suppressHydrationWarning style={styles.money}>
+      {formatMoney(amount, currency, locale)}
+    </data>
+  );
+}
+
+/**
+ * PricePanel - Sample prices converted and formatted for one currency
+ *
+ * @param {Object} props
+ * @param {string} props.currency - ISO 4217 code
+ * @param {string} props.locale - BCP 47 locale
+ * @param {import('../lib/exchange-rates').RateSet} props.exchangeRates
+ * @param {ReturnType<typeof import('../lib/i18n/translate').createTranslator>} props.t
+ */
+export function PricePanel({ currency, locale, exchangeRates, t }) {
+  const minorUnits = getMinorUnits(currency);
+  const rateStatus = getRateStatus(exchangeRates);
+  const isConverted = currency !== SAMPLE_PRICE_CURRENCY;
+
+  return (
+    <div style={styles.panel}>
+      <p style={styles.caption}>
+        {t('prices.caption', { currency, locale })} · {minorUnits === 0
+          ? t('prices.noMinorUnits')
+          : t('prices.minorUnits', { count: minorUnits })}
+        {isConverted && (
+          <> · 1 {SAMPLE_PRICE_CURRENCY} = {getCrossRate(SAMPLE_PRICE_CURRENCY, currency, exchangeRates)} {currency}</>
+        )}
+      </p>
+
+      <ul style={styles.list}>
+        {SAMPLE_PRICES.map(price => (
+          <li key={price.id} style={styles.row}>
+            <span style={styles.name}>
+              {t(`prices.items.${price.id}`)}
+              {isConverted && (
+                <span style={styles.original}>
+                  {' '}({formatMoney(price.amount, SAMPLE_PRICE_CURRENCY, locale)})
+                </span>
+              )}
+            </span>
+            <Money
+              amount={convertAmount(price.amount, SAMPLE_PRICE_CURRENCY, currency, exchangeRates)}
+              currency={currency}
+              locale={locale}
+            />
+          </li>
+        ))}
+      </ul>
+
+      <p style={rateStatus.isStale ? styles.staleNotice : styles.caption}>
+        {rateStatus.isStale && `${t('prices.staleRates')} `}
+        {t('prices.ratesAsOf', {
+          asOf: rateStatus.asOf.slice(0, 16).replace('T', ' '),
+          provider: exchangeRates.provider
+        })}
+      </p>
+    </div>
+  );
+}
+
+// ============================================================================
+// STYLES
+// ============================================================================
+
+const styles = {
+  money: {
+    fontFamily: 'Monaco, Consolas, "Courier New", monospace',
+    fontWeight: '600',
+    color: 'var(--color-text)'
+  },
+  panel: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '12px'
+  },
+  caption: {
+    margin: 0,
+    fontSize: '13px',
+    color: 'var(--color-text-muted)'
+  },
+  list: {
+    listStyle: 'none',
+    margin: 0,
+    padding: 0,
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px'
+  },
+  row: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: '16px',
+    padding: '12px',
+    backgroundColor: 'var(--color-surface-muted)',
+    borderRadius: '8px'
+  },
+  name: {
+    fontSize: '14px',
+    color: 'var(--color-text-secondary)'
+  },
+  original: {
+    fontSize: '12px',
+    color: 'var(--color-text-muted)'
+  },
+  staleNotice: {
+    margin: 0,
+    fontSize: '13px',
+    color: '#92400e'
+  }
+};
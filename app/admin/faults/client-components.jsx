@@ -0,0 +1,174 @@
+/*
+ * ============================================================================
+ * FAULT INJECTION - CLIENT COMPONENTS
+ * ============================================================================
+ *
+ * Interactive pieces of the /admin/faults page. The page itself stays a
+ * Server Component; only the profile forms need client-side state.
+ *
+ * ============================================================================
+ */
+
+'use client';
+
+import { useFormState, useFormStatus } from 'react-dom';
+import { INITIAL_ACTION_RESULT } from '../../../lib/action-result';
+import { useTranslations } from '../../I18nProvider';
+
+// Labels are faultAdmin.fields.<name> messages
+const FIELDS = [
+  { name: 'minLatencyMs' },
+  { name: 'maxLatencyMs' },
+  { name: 'errorPercentage' },
+  { name: 'timeoutMs', optional: true }
+];
+
+function ProfileButtons({ canReset }) {
+  const { t } = useTranslations();
+  const { pending, data } = useFormStatus();
+  const intent = pending ? data.get('intent') : null;
+
+  return (
+    <div style={styles.buttons}>
+      <button
+        type="submit"
+        name="intent"
+        value="save"
+        disabled={pending}
+        style={{ ...styles.button, opacity: pending ? 0.6 : 1 }}
+      >
+        {intent === 'save' ? t('faultAdmin.saving') : t('faultAdmin.save')}
+      </button>
+      <button
+        type="submit"
+        name="intent"
+        value="reset"
+        disabled={pending || !canReset}
+        style={{ ...styles.secondaryButton, opacity: pending || !canReset ? 0.6 : 1 }}
+      >
+        {intent === 'reset' ? t('faultAdmin.resetting') : t('faultAdmin.reset')}
+      </button>
+    </div>
+  );
+}
+
+// ============================================================================
+// CLIENT COMPONENT: FaultProfileForm
+// ============================================================================
+// Submits one operation's profile to the updateFaultProfile Server Action.
+// Save stores it as an override; Reset removes the override. Validation
+// errors are shown under their fields.
+// ============================================================================
+
+export function FaultProfileForm({ operation, profile, overridden, updateFaultProfile }) {
+  const { t } = useTranslations();
+  const [result, formAction] = useFormState(updateFaultProfile, INITIAL_ACTION_RESULT);
+
+  return (
+    <form action={formAction} style={styles.form}>
+      <input type="hidden" name="operation" value={operation} />
+
+      <div style={styles.fields}>
+        {FIELDS.map(field => (
+          <label key={field.name} style={styles.field}>
+            <span style={styles.label}>{t(`faultAdmin.fields.${field.name}`)}</span>
+            <input
+              // Re-mount when the saved profile changes so defaultValue applies
+              key={String(profile[field.name])}
+              type="number"
+              min="0"
+              name={field.name}
+              defaultValue={profile[field.name] ?? ''}
+              placeholder={field.optional ? t('faultAdmin.fields.none') : undefined}
+              aria-invalid={Boolean(result.fieldErrors[field.name])}
+              style={styles.input}
+            />
+            {result.fieldErrors[field.name] && (
+              <span style={styles.fieldError}>{result.fieldErrors[field.name]}</span>
+            )}
+          </label>
+        ))}
+      </div>
+
+      <ProfileButtons canReset={overridden} />
+
+      {result.error && (
+        <p role="alert" style={styles.error}>
+          ⚠️ {result.error}
+        </p>
+      )}
+    </form>
+  );
+}
+
+// ============================================================================
+// STYLES
+// ============================================================================
+
+const styles = {
+  form: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '16px'
+  },
+  fields: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))',
+    gap: '16px'
+  },
+  field: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px'
+  },
+  label: {
+    fontSize: '12px',
+    fontWeight: '600',
+    color: 'var(--color-text-muted)',
+    textTransform: 'uppercase',
+    letterSpacing: '0.05em'
+  },
+  input: {
+    padding: '10px 12px',
+    fontSize: '14px',
+    border: '1px solid var(--color-border-strong)',
+    borderRadius: '8px',
+    color: 'var(--color-text)',
+    backgroundColor: 'var(--color-surface)'
+  },
+  fieldError: {
+    fontSize: '12px',
+    color: '#dc2626',
+    lineHeight: '1.4'
+  },
+  buttons: {
+    display: 'flex',
+    gap: '12px'
+  },
+  button: {
+    padding: '10px 20px',
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#ffffff',
+    backgroundColor: '#3b82f6',
+    border: 'none',
+    borderRadius: '8px',
+    cursor: 'pointer'
+  },
+  secondaryButton: {
+    padding: '10px 20px',
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#ffffff',
+    backgroundColor: '#6b7280',
+    border: 'none',
+    borderRadius: '8px',
+    cursor: 'pointer'
+  },
+  error: {
+    margin: 0,
+    fontSize: '14px',
+    color: '#991b1b',
+    lineHeight: '1.4'
+  }
+};
@@ -0,0 +1,324 @@
+/*
+ * ============================================================================
+ * FAULT INJECTION - SERVER COMPONENT
+ * ============================================================================
+ *
+ * Shows the simulated latency, error rate and timeout of every store
+ * operation of the server actions demo (see lib/fault-injection.js), and
+ * lets admins override them to rehearse slow-database and outage scenarios
+ * against the demo's pending states and error handling.
+ *
+ * Overrides are saved in the store and take effect on the next call, in
+ * every server process. Reset returns an operation to the FAULT_INJECTION
+ * environment variable and the defaults.
+ *
+ * Requires the admin role.
+ *
+ * ============================================================================
+ */
+
+import { Fragment } from 'react';
+import Link from 'next/link';
+import { revalidatePath } from 'next/cache';
+import { getStore } from '../../../lib/storage';
+import { authorize } from '../../../lib/auth';
+import { PERMISSIONS } from '../../../lib/roles';
+import {
+  actionFailure,
+  actionForbidden,
+  actionSuccess,
+  attemptStorageOperation
+} from '../../../lib/action-result';
+import {
+  FAULT_OPERATION_DESCRIPTIONS,
+  clearFaultOverride,
+  getFaultProfiles,
+  isFaultOperation,
+  saveFaultOverride,
+  validateFaultProfile
+} from '../../../lib/fault-injection';
+import { getTranslator } from '../../../lib/i18n';
+import { translateFieldErrors } from '../../../lib/i18n/translate';
+import { FaultProfileForm } from './client-components';
+
+// Overrides change between requests, so never cache this page
+export const dynamic = 'force-dynamic';
+
+export async function generateMetadata() {
+  const t = await getTranslator();
+  return { title: `${t('faultAdmin.title')} - ${t('header.title')}` };
+}
+
+// A message whose {placeholders} are elements, such as <code> spans
+function renderMessage(message, elements) {
+  return message.split(/\{(\w+)\}/).map((part, index) =>
+    index % 2 === 0 ? part : <Fragment key={index}>{elements[part]}</Fragment>
+  );
+}
+
+// ============================================================================
+// SERVER ACTION: Update Fault Profile
+// ============================================================================
+// Saves (intent "save") or removes (intent "reset") the override of one
+// operation. The other pages read the profiles on every call, so only this
+// page needs revalidating.
+// ============================================================================
+
+async function updateFaultProfile(previousState, formData) {
+  'use server';
+
+  const access = await authorize(PERMISSIONS.manageFaults);
+
+  if (!access.allowed) {
+    return actionForbidden(access.message);
+  }
+
+  const t = await getTranslator();
+  const operation = formData.get('operation');
+
+  if (!isFaultOperation(operation)) {
+    return actionFailure(t('faultAdmin.errors.notSaved'), { operation: t('faultAdmin.errors.unknownOperation') });
+  }
+
+  const store = getStore();
+
+  if (formData.get('intent') === 'reset') {
+    const cleared = await attemptStorageOperation(
+      () => clearFaultOverride(store, operation),
+      'reset the fault profile'
+    );
+
+    if (cleared.failure) {
+      return cleared.failure;
+    }
+
+    console.log('🧪 [SERVER ACTION] Reset fault profile:', operation, 'by', access.user.username);
+  } else {
+    const validation = validateFaultProfile({
+      minLatencyMs: formData.get('minLatencyMs'),
+      maxLatencyMs: formData.get('maxLatencyMs'),
+      errorPercentage: formData.get('errorPercentage'),
+      timeoutMs: formData.get('timeoutMs')
+    });
+
+    if (validation.fieldErrors) {
+      return actionFailure(t('faultAdmin.errors.notSaved'), translateFieldErrors(t, validation.fieldErrors));
+    }
+
+    const saved = await attemptStorageOperation(
+      () => saveFaultOverride(store, operation, validation.value),
+      'save the fault profile'
+    );
+
+    if (saved.failure) {
+      return saved.failure;
+    }
+
+    console.log('🧪 [SERVER ACTION] Saved fault profile:', operation, validation.value, 'by', access.user.username);
+  }
+
+  revalidatePath('/admin/faults');
+
+  return actionSuccess();
+}
+
+export default async function FaultInjectionPage() {
+  const access = await authorize(PERMISSIONS.manageFaults);
+  const t = await getTranslator();
+
+  if (!access.allowed) {
+    return (
+      <div style={styles.page}>
+        <div style={styles.header}>
+          <div style={styles.headerContent}>
+            <h1 style={styles.title}>🧪 {t('faultAdmin.title')}</h1>
+          </div>
+        </div>
+
+        <div style={styles.container}>
+          <div style={styles.card}>
+            <p style={styles.description}>
+              🔒 {t('adminPages.requiresAdmin')}{' '}
+              <Link href="/" style={styles.link}>{t('adminPages.logIn')} →</Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const profiles = await getFaultProfiles(getStore());
+
+  return (
+    <div style={styles.page}>
+      <div style={styles.header}>
+        <div style={styles.headerContent}>
+          <h1 style={styles.title}>🧪 {t('faultAdmin.title')}</h1>
+          <p style={styles.subtitle}>{t('faultAdmin.subtitle')}</p>
+        </div>
+      </div>
+
+      <div style={styles.container}>
+        <div style={styles.card}>
+          <h3 style={styles.cardTitle}>{t('faultAdmin.howItWorks.title')}</h3>
+
+          <p style={styles.description}>
+            {t('faultAdmin.howItWorks.latency')}{' '}
+            {renderMessage(t('faultAdmin.howItWorks.failures'), {
+              status: <code>503</code>,
+              operation: <code>preferences.read</code>
+            })}
+          </p>
+          <p style={styles.description}>
+            {renderMessage(t('faultAdmin.howItWorks.precedence'), {
+              variable: <code>FAULT_INJECTION</code>,
+              current: process.env.FAULT_INJECTION
+                ? renderMessage(t('faultAdmin.howItWorks.currentValue'), {
+                  value: <code style={styles.code}>{process.env.FAULT_INJECTION}</code>
+                })
+                : t('faultAdmin.howItWorks.notSet')
+            })}
+          </p>
+        </div>
+
+        {Object.entries(profiles).map(([operation, { profile, source }]) => (
+          <div key={operation} style={styles.card}>
+            <div style={styles.operationHeader}>
+              <h3 style={styles.operationTitle}>
+                <code>{operation}</code>
+              </h3>
+              <span
+                style={{
+                  ...styles.sourceBadge,
+                  ...(source === 'override' && styles.sourceBadgeOverride)
+                }}
+              >
+                {t(`faultAdmin.sources.${source}`)}
+              </span>
+            </div>
+
+            <p style={styles.description}>
+              {t.has(`faultAdmin.operations.${operation}`)
+                ? t(`faultAdmin.operations.${operation}`)
+                : FAULT_OPERATION_DESCRIPTIONS[operation]}
+            </p>
+
+            <FaultProfileForm
+              operation={operation}
+              profile={profile}
+              overridden={source === 'override'}
+              updateFaultProfile={updateFaultProfile}
+            />
+          </div>
+        ))}
+
+        <div style={styles.footer}>
+          <Link href="/server-actions-demo" style={styles.link}>
+            ← {t('adminPages.backToDemo')}
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ============================================================================
+// STYLES
+// ============================================================================
+
+const styles = {
+  page: {
+    minHeight: '100vh',
+    backgroundColor: 'var(--color-background)'
+  },
+  header: {
+    backgroundColor: '#1f2937',
+    color: '#ffffff',
+    padding: '32px 0',
+    marginBottom: '32px',
+    boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)'
+  },
+  headerContent: {
+    maxWidth: '1200px',
+    margin: '0 auto',
+    padding: '0 24px'
+  },
+  title: {
+    margin: '0 0 8px 0',
+    fontSize: '36px',
+    fontWeight: '700',
+    color: '#ffffff'
+  },
+  subtitle: {
+    margin: '0',
+    fontSize: '16px',
+    color: '#9ca3af',
+    lineHeight: '1.5'
+  },
+  container: {
+    maxWidth: '1200px',
+    margin: '0 auto',
+    padding: '0 24px 48px 24px'
+  },
+  card: {
+    backgroundColor: 'var(--color-surface)',
+    borderRadius: '12px',
+    padding: '24px',
+    marginBottom: '24px',
+    boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06)',
+    border: '1px solid var(--color-border)'
+  },
+  cardTitle: {
+    margin: '0 0 20px 0',
+    fontSize: '20px',
+    fontWeight: '600',
+    color: 'var(--color-text)',
+    borderBottom: '2px solid #3b82f6',
+    paddingBottom: '12px'
+  },
+  operationHeader: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: '12px',
+    marginBottom: '8px'
+  },
+  operationTitle: {
+    margin: 0,
+    fontSize: '18px',
+    fontWeight: '600',
+    color: 'var(--color-text)'
+  },
+  sourceBadge: {
+    padding: '4px 10px',
+    fontSize: '12px',
+    fontWeight: '600',
+    color: 'var(--color-text-secondary)',
+    backgroundColor: 'var(--color-surface-muted)',
+    borderRadius: '9999px'
+  },
+  sourceBadgeOverride: {
+    color: '#92400e',
+    backgroundColor: '#fef3c7'
+  },
+  description: {
+    margin: '0 0 12px 0',
+    fontSize: '14px',
+    color: 'var(--color-text-secondary)',
+    lineHeight: '1.6'
+  },
+  code: {
+    wordBreak: 'break-all'
+  },
+  link: {
+    color: '#3b82f6',
+    textDecoration: 'none',
+    fontWeight: '600'
+  },
+  footer: {
+    textAlign: 'center',
+    paddingTop: '24px',
+    marginTop: '24px',
+    borderTop: '1px solid var(--color-border)'
+  }
+};
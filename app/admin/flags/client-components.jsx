@@ -0,0 +1,460 @@
+/*
+ * ============================================================================
+ * FEATURE FLAG ADMINISTRATION - CLIENT COMPONENTS
+ * ============================================================================
+ *
+ * Interactive pieces of the /admin/flags page. The page itself stays a
+ * Server Component; only the forms need client-side state. Every form is a
+ * plain <form> posting to a Server Action, so the console also works before
+ * (or without) JavaScript.
+ *
+ * ============================================================================
+ */
+
+'use client';
+
+import { useEffect, useRef } from 'react';
+import { useFormState, useFormStatus } from 'react-dom';
+import { INITIAL_ACTION_RESULT } from '../../../lib/action-result';
+import { translateCount } from '../../../lib/i18n/translate';
+import { useTranslations } from '../../I18nProvider';
+
+// Labels and placeholders are flagAdmin.details.<name>(Placeholder) messages
+const DETAIL_FIELDS = [
+  { name: 'label', placeholder: true },
+  { name: 'owner', placeholder: true },
+  { name: 'tags', placeholder: true },
+  { name: 'description', multiline: true }
+];
+
+function SubmitButton({ intent, label, pendingLabel, secondary, danger, disabled }) {
+  const { pending, data } = useFormStatus();
+  const active = pending && (intent === undefined || data.get('intent') === intent);
+
+  return (
+    <button
+      type="submit"
+      name={intent === undefined ? undefined : 'intent'}
+      value={intent}
+      disabled={pending || disabled}
+      style={{
+        ...(danger ? styles.dangerButton : secondary ? styles.secondaryButton : styles.button),
+        opacity: pending || disabled ? 0.6 : 1
+      }}
+    >
+      {active ? pendingLabel : label}
+    </button>
+  );
+}
+
+function FieldError({ message }) {
+  return message ? <span style={styles.fieldError}>{message}</span> : null;
+}
+
+function ResultMessage({ result, success }) {
+  if (result.error) {
+    return (
+      <p role="alert" style={styles.error}>
+        ⚠️ {result.error}
+      </p>
+    );
+  }
+
+  return result.ok && success ? (
+    <p role="status" style={styles.success}>
+      ✅ {success}
+    </p>
+  ) : null;
+}
+
+// Label, owner, tags and description inputs shared by the create and edit
+// forms. `version` re-mounts the inputs when the stored flag changes, so
+// their defaultValue shows the saved details.
+function DetailFields({ values, version, fieldErrors }) {
+  const { t } = useTranslations();
+
+  return (
+    <div style={styles.fields}>
+      {DETAIL_FIELDS.map(field => {
+        const inputProps = {
+          name: field.name,
+          defaultValue: field.name === 'tags' ? values.tags.join(', ') : values[field.name],
+          placeholder: field.placeholder ? t(`flagAdmin.details.${field.name}Placeholder`) : undefined,
+          'aria-invalid': Boolean(fieldErrors[field.name]),
+          style: styles.input
+        };
+
+        return (
+          <label
+            key={field.name}
+            style={{ ...styles.field, ...(field.multiline && styles.fullWidthField) }}
+          >
+            <span style={styles.label}>{t(`flagAdmin.details.${field.name}`)}</span>
+            {field.multiline
+              ? <textarea key={version} rows={2} {...inputProps} />
+              : <input key={version} {...inputProps} />}
+            <FieldError message={fieldErrors[field.name]} />
+          </label>
+        );
+      })}
+    </div>
+  );
+}
+
+// ============================================================================
+// CLIENT COMPONENT: CreateFlagForm
+// ============================================================================
+// Submits a new flag to the createFeatureFlag Server Action and clears the
+// form once it has been created.
+// ============================================================================
+
+const EMPTY_DETAILS = { label: '', description: '', owner: '', tags: [] };
+
+export function CreateFlagForm({ createFeatureFlag }) {
+  const { t } = useTranslations();
+  const [result, formAction] = useFormState(createFeatureFlag, INITIAL_ACTION_RESULT);
+  const formRef = useRef(null);
+
+  useEffect(() => {
+    if (result.ok && result.created) {
+      formRef.current?.reset();
+    }
+  }, [result]);
+
+  return (
+    <form ref={formRef} action={formAction} style={styles.form}>
+      <div style={styles.fields}>
+        <label style={styles.field}>
+          <span style={styles.label}>{t('flagAdmin.newFlag.name')}</span>
+          <input
+            name="name"
+            placeholder="checkoutRedesign"
+            autoComplete="off"
+            aria-invalid={Boolean(result.fieldErrors.name)}
+            style={styles.input}
+          />
+          <FieldError message={result.fieldErrors.name} />
+        </label>
+      </div>
+
+      <DetailFields values={EMPTY_DETAILS} version="new" fieldErrors={result.fieldErrors} />
+
+      <div style={styles.buttons}>
+        <SubmitButton label={t('flagAdmin.newFlag.create')} pendingLabel={t('flagAdmin.newFlag.creating')} />
+      </div>
+
+      <ResultMessage
+        result={result}
+        success={result.created && t('flagAdmin.newFlag.created', { name: result.created })}
+      />
+    </form>
+  );
+}
+
+// ============================================================================
+// CLIENT COMPONENT: FlagDetailsForm
+// ============================================================================
+// Edits a flag's label, description, owner and tags through the
+// editFeatureFlag Server Action. Collapsed until opened.
+// ============================================================================
+
+export function FlagDetailsForm({ flagName, flag, editFeatureFlag }) {
+  const { t } = useTranslations();
+  const [result, formAction] = useFormState(editFeatureFlag, INITIAL_ACTION_RESULT);
+
+  return (
+    <details open={Boolean(result.error)} style={styles.details}>
+      <summary style={styles.summary}>{t('flagAdmin.details.edit')}</summary>
+
+      <form action={formAction} style={styles.form}>
+        <input type="hidden" name="flagName" value={flagName} />
+        <input type="hidden" name="version" value={flag.version} />
+
+        <DetailFields values={flag} version={String(flag.version)} fieldErrors={result.fieldErrors} />
+
+        <div style={styles.buttons}>
+          <SubmitButton label={t('flagAdmin.details.save')} pendingLabel={t('flagAdmin.details.saving')} />
+        </div>
+
+        <ResultMessage result={result} success={t('flagAdmin.details.saved')} />
+      </form>
+    </details>
+  );
+}
+
+// ============================================================================
+// CLIENT COMPONENT: FlagRolloutForm
+// ============================================================================
+// Sets the share of users who receive a flag while it is enabled, through
+// the updateFlagRollout Server Action the demo page's slider also uses
+// (app/flag-actions.js).
+// ============================================================================
+
+export function FlagRolloutForm({ flagName, rolloutPercentage, version, updateFlagRollout }) {
+  const { t } = useTranslations();
+  const [result, formAction] = useFormState(updateFlagRollout, INITIAL_ACTION_RESULT);
+  const percentageError = result.fieldErrors.rolloutPercentage;
+
+  return (
+    <form action={formAction} style={styles.rolloutForm}>
+      <input type="hidden" name="flagName" value={flagName} />
+      <input type="hidden" name="version" value={version} />
+
+      <div style={styles.buttons}>
+        <label style={styles.rolloutField}>
+          <input
+            // Re-mount when the stored flag changes so defaultValue applies
+            key={version}
+            type="number"
+            name="rolloutPercentage"
+            min="0"
+            max="100"
+            step="1"
+            required
+            defaultValue={rolloutPercentage}
+            aria-label={t('flagAdmin.rollout.label', { flag: flagName })}
+            aria-invalid={Boolean(percentageError)}
+            style={{ ...styles.input, ...styles.percentageInput }}
+          />
+          <span>%</span>
+        </label>
+        <SubmitButton
+          label={t('flagAdmin.rollout.save')}
+          pendingLabel={t('flagAdmin.rollout.saving')}
+          secondary
+        />
+      </div>
+
+      <FieldError message={percentageError} />
+      <ResultMessage result={result} />
+    </form>
+  );
+}
+
+// ============================================================================
+// CLIENT COMPONENT: FlagLifecycleForm
+// ============================================================================
+// Archives an active flag, or restores or deletes an archived one, through
+// the changeFlagLifecycle Server Action.
+// ============================================================================
+
+export function FlagLifecycleForm({ flagName, archived, version, changeFlagLifecycle }) {
+  const { t } = useTranslations();
+  const [result, formAction] = useFormState(changeFlagLifecycle, INITIAL_ACTION_RESULT);
+
+  return (
+    <form action={formAction} style={styles.lifecycleForm}>
+      <input type="hidden" name="flagName" value={flagName} />
+      <input type="hidden" name="version" value={version} />
+
+      <div style={styles.buttons}>
+        {archived ? (
+          <>
+            <SubmitButton
+              intent="unarchive"
+              label={t('flagAdmin.lifecycle.restore')}
+              pendingLabel={t('flagAdmin.lifecycle.restoring')}
+              secondary
+            />
+            <SubmitButton
+              intent="delete"
+              label={t('flagAdmin.lifecycle.delete')}
+              pendingLabel={t('flagAdmin.lifecycle.deleting')}
+              danger
+            />
+          </>
+        ) : (
+          <SubmitButton
+            intent="archive"
+            label={t('flagAdmin.lifecycle.archive')}
+            pendingLabel={t('flagAdmin.lifecycle.archiving')}
+            secondary
+          />
+        )}
+      </div>
+
+      <ResultMessage result={result} />
+    </form>
+  );
+}
+
+// ============================================================================
+// CLIENT COMPONENT: BulkFlagForm
+// ============================================================================
+// Enables or disables the flags whose row checkboxes are ticked. The
+// checkboxes live in the table and join this form through their `form`
+// attribute, which avoids nesting the row forms inside it.
+// ============================================================================
+
+function describeBulkResult({ enabled, changed, skipped }, t, locale) {
+  const summary = translateCount(
+    t,
+    locale,
+    enabled ? 'flagAdmin.bulk.enabledCount' : 'flagAdmin.bulk.disabledCount',
+    changed.length
+  );
+
+  return skipped.length === 0
+    ? summary
+    : `${summary} ${translateCount(t, locale, 'flagAdmin.bulk.skippedCount', skipped.length)}`;
+}
+
+export function BulkFlagForm({ formId, bulkSetFlagsEnabled }) {
+  const { t, locale } = useTranslations();
+  const [result, formAction] = useFormState(bulkSetFlagsEnabled, INITIAL_ACTION_RESULT);
+
+  return (
+    <form id={formId} action={formAction} style={styles.bulkForm}>
+      <span style={styles.label}>{t('flagAdmin.bulk.selected')}</span>
+
+      <div style={styles.buttons}>
+        <SubmitButton
+          intent="enable"
+          label={t('flagAdmin.bulk.enable')}
+          pendingLabel={t('flagAdmin.bulk.enabling')}
+        />
+        <SubmitButton
+          intent="disable"
+          label={t('flagAdmin.bulk.disable')}
+          pendingLabel={t('flagAdmin.bulk.disabling')}
+          secondary
+        />
+      </div>
+
+      <FieldError message={result.fieldErrors.flagNames} />
+      <ResultMessage
+        result={result}
+        success={result.ok && result.changed && describeBulkResult(result, t, locale)}
+      />
+    </form>
+  );
+}
+
+// ============================================================================
+// STYLES
+// ============================================================================
+
+const styles = {
+  form: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '16px'
+  },
+  lifecycleForm: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+    marginTop: '12px'
+  },
+  rolloutForm: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+    marginTop: '12px'
+  },
+  rolloutField: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    color: 'var(--color-text-secondary)'
+  },
+  percentageInput: {
+    width: '72px'
+  },
+  bulkForm: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: '12px',
+    marginBottom: '16px'
+  },
+  fields: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))',
+    gap: '16px'
+  },
+  field: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px'
+  },
+  fullWidthField: {
+    gridColumn: '1 / -1'
+  },
+  label: {
+    fontSize: '12px',
+    fontWeight: '600',
+    color: 'var(--color-text-muted)',
+    textTransform: 'uppercase',
+    letterSpacing: '0.05em'
+  },
+  input: {
+    padding: '10px 12px',
+    fontSize: '14px',
+    fontFamily: 'inherit',
+    border: '1px solid var(--color-border-strong)',
+    borderRadius: '8px',
+    color: 'var(--color-text)',
+    backgroundColor: 'var(--color-surface)'
+  },
+  fieldError: {
+    fontSize: '12px',
+    color: '#dc2626',
+    lineHeight: '1.4'
+  },
+  details: {
+    minWidth: '240px'
+  },
+  summary: {
+    cursor: 'pointer',
+    color: '#3b82f6',
+    fontWeight: '600',
+    marginBottom: '12px'
+  },
+  buttons: {
+    display: 'flex',
+    gap: '12px'
+  },
+  button: {
+    padding: '10px 20px',
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#ffffff',
+    backgroundColor: '#3b82f6',
+    border: 'none',
+    borderRadius: '8px',
+    cursor: 'pointer'
+  },
+  secondaryButton: {
+    padding: '10px 20px',
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#ffffff',
+    backgroundColor: '#6b7280',
+    border: 'none',
+    borderRadius: '8px',
+    cursor: 'pointer'
+  },
+  dangerButton: {
+    padding: '10px 20px',
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#ffffff',
+    backgroundColor: '#dc2626',
+    border: 'none',
+    borderRadius: '8px',
+    cursor: 'pointer'
+  },
+  error: {
+    margin: 0,
+    fontSize: '14px',
+    color: '#991b1b',
+    lineHeight: '1.4'
+  },
+  success: {
+    margin: 0,
+    fontSize: '14px',
+    color: '#065f46',
+    lineHeight: '1.4'
+  }
+};
@@ -0,0 +1,753 @@
+/*
+ * ============================================================================
+ * FEATURE FLAG ADMINISTRATION - SERVER COMPONENT
+ * ============================================================================
+ *
+ * Lists every feature flag with its description, owner, tags, creation date
+ * and current state, and lets admins manage them (see lib/feature-flags.js):
+ *
+ * - Search and filters are a plain GET form, so the filtered view is a
+ *   shareable URL and works without JavaScript
+ * - Create adds a flag, switched off at a 100% rollout
+ * - Edit changes the label, description, owner and tags
+ * - Rollout sets the share of users who receive an active flag while it is
+ *   enabled (the shared updateFlagRollout action in app/flag-actions.js)
+ * - Archive retires a flag (frozen, hidden by default); only archived flags
+ *   can be deleted, and built-in flags can be neither
+ * - The checkboxes select flags to enable or disable in bulk
+ *
+ * Every change goes through a Server Action that validates its input and
+ * writes through lib/config-mutations.js, so it is audited like any other
+ * flag change. Edits, rollout and lifecycle changes submit the flag version
+ * they rendered and are refused if the flag changed since
+ * (lib/record-version.js).
+ *
+ * Requires the admin role.
+ *
+ * ============================================================================
+ */
+
+import Link from 'next/link';
+import { revalidatePath } from 'next/cache';
+import { getStore } from '../../../lib/storage';
+import { authorize } from '../../../lib/auth';
+import { getSessionId } from '../../../lib/session';
+import { PERMISSIONS } from '../../../lib/roles';
+import { getAuditActor } from '../../../lib/audit';
+import {
+  actionConflict,
+  actionFailure,
+  actionForbidden,
+  actionSuccess,
+  attemptStorageOperation
+} from '../../../lib/action-result';
+import {
+  FLAG_STATE_FILTERS,
+  FLAG_STATUS_FILTERS,
+  filterFeatureFlags,
+  isBuiltInFlag,
+  normalizeFeatureFlags,
+  normalizeFlagFilters,
+  validateFlagDetails,
+  validateFlagName,
+  validateNewFlagName
+} from '../../../lib/feature-flags';
+import { validateVersion } from '../../../lib/record-version';
+import {
+  createFlag,
+  deleteFlag,
+  setFlagArchived,
+  setFlagsEnabled,
+  updateFlagDetails
+} from '../../../lib/config-mutations';
+import { getRequestLocale, getTranslator } from '../../../lib/i18n';
+import { translateCount, translateFieldErrors, translateMessage } from '../../../lib/i18n/translate';
+import { updateFlagRollout } from '../../flag-actions';
+import {
+  BulkFlagForm,
+  CreateFlagForm,
+  FlagDetailsForm,
+  FlagLifecycleForm,
+  FlagRolloutForm
+} from './client-components';
+
+// Flags change between requests, so never cache this page
+export const dynamic = 'force-dynamic';
+
+export async function generateMetadata() {
+  const t = await getTranslator();
+  return { title: `${t('flagAdmin.title')} - ${t('header.title')}` };
+}
+
+// Id of the bulk form; the row checkboxes join it with their form attribute
+const BULK_FORM_ID = 'bulk-flags';
+
+function readDetails(formData) {
+  return validateFlagDetails({
+    label: formData.get('label'),
+    description: formData.get('description'),
+    owner: formData.get('owner'),
+    tags: formData.get('tags')
+  });
+}
+
+// Stored fields returned with a conflict; the bucketing salt stays on the server
+function conflictingFlag({ label, description, owner, tags, archived, enabled, rolloutPercentage, version }) {
+  return { label, description, owner, tags, archived, enabled, rolloutPercentage, version };
+}
+
+// Maps the outcome of a single-flag change to an ActionResult, or null when
+// the change was made. Refusals from lib/config-mutations.js are message
+// descriptors, translated here like the validators' field errors.
+function describeRefusal(t, flagName, outcome, attempted = {}) {
+  if (outcome.conflict) {
+    return actionConflict(t('flagAdmin.errors.conflict', { name: flagName }), {
+      current: conflictingFlag(outcome.current),
+      attempted
+    });
+  }
+
+  return outcome.error ? actionFailure(translateMessage(t, outcome.error), {}, outcome.status) : null;
+}
+
+// ============================================================================
+// SERVER ACTION: Create Flag
+// ============================================================================
+
+async function createFeatureFlag(previousState, formData) {
+  'use server';
+
+  const access = await authorize(PERMISSIONS.manageFlags);
+
+  if (!access.allowed) {
+    return actionForbidden(access.message);
+  }
+
+  const t = await getTranslator();
+  const nameValidation = validateNewFlagName(formData.get('name'));
+  const detailsValidation = readDetails(formData);
+
+  if (nameValidation.fieldError || detailsValidation.fieldErrors) {
+    return actionFailure(t('flagAdmin.errors.notCreated'), translateFieldErrors(t, {
+      ...(nameValidation.fieldError && { name: nameValidation.fieldError }),
+      ...detailsValidation.fieldErrors
+    }));
+  }
+
+  const flagName = nameValidation.value;
+  const created = await attemptStorageOperation(() => createFlag(getStore(), {
+    flagName,
+    actor: getAuditActor(access.user, getSessionId()),
+    details: detailsValidation.value
+  }), 'create the feature flag');
+
+  if (created.failure) {
+    return created.failure;
+  }
+
+  if (created.value.error) {
+    const error = translateMessage(t, created.value.error);
+    return actionFailure(error, { name: error }, created.value.status);
+  }
+
+  console.log('🚩 [SERVER ACTION] Created feature flag:', flagName, 'by', access.user.username);
+
+  revalidatePath('/admin/flags');
+
+  return actionSuccess({ created: flagName });
+}
+
+// ============================================================================
+// SERVER ACTION: Edit Flag Details
+// ============================================================================
+
+async function editFeatureFlag(previousState, formData) {
+  'use server';
+
+  const access = await authorize(PERMISSIONS.manageFlags);
+
+  if (!access.allowed) {
+    return actionForbidden(access.message);
+  }
+
+  const t = await getTranslator();
+  const nameValidation = validateFlagName(formData.get('flagName'));
+  const versionValidation = validateVersion(formData.get('version'));
+  const detailsValidation = readDetails(formData);
+
+  if (nameValidation.fieldError || versionValidation.fieldError || detailsValidation.fieldErrors) {
+    return actionFailure(t('flagAdmin.errors.notSaved'), translateFieldErrors(t, {
+      ...(nameValidation.fieldError && { flagName: nameValidation.fieldError }),
+      ...(versionValidation.fieldError && { version: versionValidation.fieldError }),
+      ...detailsValidation.fieldErrors
+    }));
+  }
+
+  const flagName = nameValidation.value;
+  const updated = await attemptStorageOperation(() => updateFlagDetails(getStore(), {
+    flagName,
+    actor: getAuditActor(access.user, getSessionId()),
+    details: detailsValidation.value,
+    expectedVersion: versionValidation.value
+  }), 'save the feature flag');
+
+  if (updated.failure) {
+    return updated.failure;
+  }
+
+  revalidatePath('/admin/flags');
+
+  const refusal = describeRefusal(t, flagName, updated.value, detailsValidation.value);
+
+  if (refusal) {
+    return refusal;
+  }
+
+  console.log('✏️  [SERVER ACTION] Edited feature flag:', flagName, 'by', access.user.username);
+
+  return actionSuccess();
+}
+
+// ============================================================================
+// SERVER ACTION: Archive, Restore or Delete Flag
+// ============================================================================
+// The submit button's intent ("archive", "unarchive" or "delete") selects
+// the change. Deleting requires the flag to be archived first.
+// ============================================================================
+
+const LIFECYCLE_CHANGES = {
+  archive: (store, options) => setFlagArchived(store, { ...options, archived: true }),
+  unarchive: (store, options) => setFlagArchived(store, { ...options, archived: false }),
+  delete: (store, options) => deleteFlag(store, options)
+};
+
+async function changeFlagLifecycle(previousState, formData) {
+  'use server';
+
+  const access = await authorize(PERMISSIONS.manageFlags);
+
+  if (!access.allowed) {
+    return actionForbidden(access.message);
+  }
+
+  const t = await getTranslator();
+  const intent = formData.get('intent');
+  const nameValidation = validateFlagName(formData.get('flagName'));
+  const versionValidation = validateVersion(formData.get('version'));
+
+  if (!Object.hasOwn(LIFECYCLE_CHANGES, intent) || nameValidation.fieldError || versionValidation.fieldError) {
+    return actionFailure(t('flagAdmin.errors.notChanged'), translateFieldErrors(t, {
+      ...(!Object.hasOwn(LIFECYCLE_CHANGES, intent) && { intent: t('flagAdmin.errors.unknownChange') }),
+      ...(nameValidation.fieldError && { flagName: nameValidation.fieldError }),
+      ...(versionValidation.fieldError && { version: versionValidation.fieldError })
+    }));
+  }
+
+  const flagName = nameValidation.value;
+  const changed = await attemptStorageOperation(() => LIFECYCLE_CHANGES[intent](getStore(), {
+    flagName,
+    actor: getAuditActor(access.user, getSessionId()),
+    expectedVersion: versionValidation.value
+  }), `${intent} the feature flag`);
+
+  if (changed.failure) {
+    return changed.failure;
+  }
+
+  revalidatePath('/admin/flags');
+
+  const refusal = describeRefusal(t, flagName, changed.value);
+
+  if (refusal) {
+    return refusal;
+  }
+
+  console.log('🗃️  [SERVER ACTION] Feature flag lifecycle change:', intent, flagName, 'by', access.user.username);
+
+  return actionSuccess();
+}
+
+// ============================================================================
+// SERVER ACTION: Bulk Enable or Disable
+// ============================================================================
+// Sets the master switch of every selected flag (the flagNames checkboxes)
+// in one transaction. Archived and deleted flags are skipped. Requires the
+// permission to flip master switches, like toggleFeatureFlag.
+// ============================================================================
+
+async function bulkSetFlagsEnabled(previousState, formData) {
+  'use server';
+
+  const access = await authorize(PERMISSIONS.toggleFlag);
+
+  if (!access.allowed) {
+    return actionForbidden(access.message);
+  }
+
+  const t = await getTranslator();
+  const intent = formData.get('intent');
+  const submittedNames = formData.getAll('flagNames');
+  const invalidName = submittedNames.find(name => validateFlagName(name).fieldError);
+
+  if ((intent !== 'enable' && intent !== 'disable') || submittedNames.length === 0 || invalidName !== undefined) {
+    return actionFailure(t('flagAdmin.errors.bulkNotChanged'), {
+      ...(intent !== 'enable' && intent !== 'disable' && { intent: t('flagAdmin.errors.chooseIntent') }),
+      ...(submittedNames.length === 0 && { flagNames: t('flagAdmin.errors.selectFlags') }),
+      ...(invalidName !== undefined && { flagNames: t('flagAdmin.errors.unknownFlag') })
+    });
+  }
+
+  const enabled = intent === 'enable';
+  const updated = await attemptStorageOperation(() => setFlagsEnabled(getStore(), {
+    flagNames: [...new Set(submittedNames)],
+    actor: getAuditActor(access.user, getSessionId()),
+    enabled
+  }), `${intent} the selected flags`);
+
+  if (updated.failure) {
+    return updated.failure;
+  }
+
+  const { changed, skipped } = updated.value;
+
+  console.log('🚩 [SERVER ACTION] Bulk', intent, { changed, skipped, by: access.user.username });
+
+  revalidatePath('/admin/flags');
+  revalidatePath('/server-actions-demo');
+
+  return actionSuccess({ enabled, changed, skipped });
+}
+
+export default async function FeatureFlagAdminPage({ searchParams }) {
+  const access = await authorize(PERMISSIONS.manageFlags);
+  const t = await getTranslator();
+
+  if (!access.allowed) {
+    return (
+      <div style={styles.page}>
+        <div style={styles.header}>
+          <div style={styles.headerContent}>
+            <h1 style={styles.title}>🚩 {t('flagAdmin.title')}</h1>
+          </div>
+        </div>
+
+        <div style={styles.container}>
+          <div style={styles.card}>
+            <p style={styles.description}>
+              🔒 {t('adminPages.requiresAdmin')}{' '}
+              <Link href="/" style={styles.link}>{t('adminPages.logIn')} →</Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const featureFlags = normalizeFeatureFlags(await getStore().get('FEATURE_FLAGS'));
+  const filters = normalizeFlagFilters(searchParams);
+  const flags = filterFeatureFlags(featureFlags, filters);
+
+  const allFlags = Object.values(featureFlags);
+  const tags = [...new Set(allFlags.flatMap(flag => flag.tags))].sort();
+  const owners = [...new Set(allFlags.map(flag => flag.owner).filter(Boolean))].sort();
+  const { locale } = await getRequestLocale();
+
+  return (
+    <div style={styles.page}>
+      <div style={styles.header}>
+        <div style={styles.headerContent}>
+          <h1 style={styles.title}>🚩 {t('flagAdmin.title')}</h1>
+          <p style={styles.subtitle}>{t('flagAdmin.subtitle')}</p>
+        </div>
+      </div>
+
+      <div style={styles.container}>
+        <div style={styles.card}>
+          <h3 style={styles.cardTitle}>{t('flagAdmin.search.title')}</h3>
+
+          <form method="get" style={styles.filterForm}>
+            <label style={styles.filterField}>
+              <span style={styles.filterLabel}>{t('flagAdmin.search.label')}</span>
+              <input
+                name="q"
+                defaultValue={filters.q ?? ''}
+                placeholder={t('flagAdmin.search.placeholder')}
+                style={styles.input}
+              />
+            </label>
+
+            <label style={styles.filterField}>
+              <span style={styles.filterLabel}>{t('flagAdmin.search.tag')}</span>
+              <select name="tag" defaultValue={filters.tag ?? ''} style={styles.input}>
+                <option value="">{t('flagAdmin.search.allTags')}</option>
+                {tags.map(tag => (
+                  <option key={tag} value={tag}>{tag}</option>
+                ))}
+              </select>
+            </label>
+
+            <label style={styles.filterField}>
+              <span style={styles.filterLabel}>{t('flagAdmin.search.owner')}</span>
+              <select name="owner" defaultValue={filters.owner ?? ''} style={styles.input}>
+                <option value="">{t('flagAdmin.search.allOwners')}</option>
+                {owners.map(owner => (
+                  <option key={owner} value={owner}>{owner}</option>
+                ))}
+              </select>
+            </label>
+
+            <label style={styles.filterField}>
+              <span style={styles.filterLabel}>{t('flagAdmin.search.state')}</span>
+              <select name="state" defaultValue={filters.state ?? ''} style={styles.input}>
+                <option value="">{t('flagAdmin.search.anyState')}</option>
+                {FLAG_STATE_FILTERS.map(state => (
+                  <option key={state} value={state}>{t(`flagAdmin.states.${state}`)}</option>
+                ))}
+              </select>
+            </label>
+
+            <label style={styles.filterField}>
+              <span style={styles.filterLabel}>{t('flagAdmin.search.status')}</span>
+              <select name="status" defaultValue={filters.status} style={styles.input}>
+                {FLAG_STATUS_FILTERS.map(status => (
+                  <option key={status} value={status}>{t(`flagAdmin.statuses.${status}`)}</option>
+                ))}
+              </select>
+            </label>
+
+            <button type="submit" style={styles.button}>{t('flagAdmin.search.apply')}</button>
+            <Link href="/admin/flags" style={styles.link}>{t('flagAdmin.search.reset')}</Link>
+          </form>
+        </div>
+
+        <div style={styles.card}>
+          <h3 style={styles.cardTitle}>{t('flagAdmin.newFlag.title')}</h3>
+
+          <p style={styles.description}>{t('flagAdmin.newFlag.description')}</p>
+
+          <CreateFlagForm createFeatureFlag={createFeatureFlag} />
+        </div>
+
+        <div style={styles.card}>
+          <h3 style={styles.cardTitle}>
+            {translateCount(t, locale, 'flagAdmin.flagCount', flags.length)}
+          </h3>
+
+          <BulkFlagForm formId={BULK_FORM_ID} bulkSetFlagsEnabled={bulkSetFlagsEnabled} />
+
+          {flags.length === 0 ? (
+            <p style={styles.description}>{t('flagAdmin.noMatches')}</p>
+          ) : (
+            <div style={styles.tableWrapper}>
+              <table style={styles.table}>
+                <thead>
+                  <tr>
+                    <th style={styles.th}>
+                      <span style={styles.visuallyHidden}>{t('flagAdmin.columns.select')}</span>
+                    </th>
+                    <th style={styles.th}>{t('flagAdmin.columns.flag')}</th>
+                    <th style={styles.th}>{t('flagAdmin.columns.owner')}</th>
+                    <th style={styles.th}>{t('flagAdmin.columns.tags')}</th>
+                    <th style={styles.th}>{t('flagAdmin.columns.created')}</th>
+                    <th style={styles.th}>{t('flagAdmin.columns.state')}</th>
+                    <th style={styles.th}>{t('flagAdmin.columns.manage')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {flags.map(flag => (
+                    <tr key={flag.name}>
+                      <td style={styles.td}>
+                        <input
+                          type="checkbox"
+                          name="flagNames"
+                          value={flag.name}
+                          form={BULK_FORM_ID}
+                          disabled={flag.archived}
+                          aria-label={t('flagAdmin.selectFlag', { label: flag.label })}
+                        />
+                      </td>
+                      <td style={styles.td}>
+                        <strong>{flag.label}</strong>
+                        {isBuiltInFlag(flag.name) && (
+                          <span style={styles.badge}>{t('flagAdmin.badges.builtIn')}</span>
+                        )}
+                        <div style={styles.flagName}>{flag.name}</div>
+                        {flag.description && <p style={styles.flagDescription}>{flag.description}</p>}
+                      </td>
+                      <td style={styles.td}>{flag.owner || '—'}</td>
+                      <td style={styles.td}>
+                        {flag.tags.length === 0 ? '—' : flag.tags.map(tag => (
+                          <Link
+                            key={tag}
+                            href={`/admin/flags?tag=${encodeURIComponent(tag)}`}
+                            style={styles.tag}
+                          >
+                            {tag}
+                          </Link>
+                        ))}
+                      </td>
+                      <td style={styles.tdMono} title={flag.createdAt ?? undefined}>
+                        {flag.createdAt ? flag.createdAt.slice(0, 10) : '—'}
+                      </td>
+                      <td style={styles.td}>
+                        <span
+                          style={{
+                            ...styles.stateBadge,
+                            ...(flag.enabled ? styles.stateEnabled : styles.stateDisabled)
+                          }}
+                        >
+                          {flag.enabled
+                            ? t('flagAdmin.badges.enabledFor', { percentage: flag.rolloutPercentage })
+                            : t('flagAdmin.badges.disabled')}
+                        </span>
+                        {flag.archived ? (
+                          <span style={styles.badge}>{t('flagAdmin.badges.archived')}</span>
+                        ) : (
+                          <FlagRolloutForm
+                            flagName={flag.name}
+                            rolloutPercentage={flag.rolloutPercentage}
+                            version={flag.version}
+                            updateFlagRollout={updateFlagRollout}
+                          />
+                        )}
+                      </td>
+                      <td style={styles.td}>
+                        <FlagDetailsForm
+                          flagName={flag.name}
+                          flag={{
+                            label: flag.label,
+                            description: flag.description,
+                            owner: flag.owner,
+                            tags: flag.tags,
+                            version: flag.version
+                          }}
+                          editFeatureFlag={editFeatureFlag}
+                        />
+                        {!isBuiltInFlag(flag.name) && (
+                          <FlagLifecycleForm
+                            flagName={flag.name}
+                            archived={flag.archived}
+                            version={flag.version}
+                            changeFlagLifecycle={changeFlagLifecycle}
+                          />
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        <div style={styles.footer}>
+          <Link href="/server-actions-demo" style={styles.link}>
+            ← {t('adminPages.backToDemo')}
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ============================================================================
+// STYLES
+// ============================================================================
+
+const styles = {
+  page: {
+    minHeight: '100vh',
+    backgroundColor: 'var(--color-background)'
+  },
+  header: {
+    backgroundColor: '#1f2937',
+    color: '#ffffff',
+    padding: '32px 0',
+    marginBottom: '32px',
+    boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)'
+  },
+  headerContent: {
+    maxWidth: '1200px',
+    margin: '0 auto',
+    padding: '0 24px'
+  },
+  title: {
+    margin: '0 0 8px 0',
+    fontSize: '36px',
+    fontWeight: '700',
+    color: '#ffffff'
+  },
+  subtitle: {
+    margin: '0',
+    fontSize: '16px',
+    color: '#9ca3af',
+    lineHeight: '1.5'
+  },
+  container: {
+    maxWidth: '1200px',
+    margin: '0 auto',
+    padding: '0 24px 48px 24px'
+  },
+  card: {
+    backgroundColor: 'var(--color-surface)',
+    borderRadius: '12px',
+    padding: '24px',
+    marginBottom: '24px',
+    boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06)',
+    border: '1px solid var(--color-border)'
+  },
+  cardTitle: {
+    margin: '0 0 20px 0',
+    fontSize: '20px',
+    fontWeight: '600',
+    color: 'var(--color-text)',
+    borderBottom: '2px solid #3b82f6',
+    paddingBottom: '12px'
+  },
+  description: {
+    margin: '0 0 12px 0',
+    fontSize: '14px',
+    color: 'var(--color-text-secondary)',
+    lineHeight: '1.6'
+  },
+  filterForm: {
+    display: 'flex',
+    gap: '16px',
+    flexWrap: 'wrap',
+    alignItems: 'flex-end'
+  },
+  filterField: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px'
+  },
+  filterLabel: {
+    fontSize: '12px',
+    fontWeight: '600',
+    color: 'var(--color-text-muted)',
+    textTransform: 'uppercase',
+    letterSpacing: '0.05em'
+  },
+  input: {
+    padding: '10px 12px',
+    fontSize: '14px',
+    border: '1px solid var(--color-border-strong)',
+    borderRadius: '8px',
+    color: 'var(--color-text)',
+    backgroundColor: 'var(--color-surface)'
+  },
+  button: {
+    padding: '10px 20px',
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#ffffff',
+    backgroundColor: '#3b82f6',
+    border: 'none',
+    borderRadius: '8px',
+    cursor: 'pointer'
+  },
+  tableWrapper: {
+    overflowX: 'auto'
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    marginTop: '8px',
+    fontSize: '14px'
+  },
+  th: {
+    textAlign: 'left',
+    padding: '12px',
+    fontSize: '12px',
+    fontWeight: '600',
+    color: 'var(--color-text-muted)',
+    textTransform: 'uppercase',
+    letterSpacing: '0.05em',
+    borderBottom: '2px solid var(--color-border)',
+    whiteSpace: 'nowrap'
+  },
+  td: {
+    padding: '12px',
+    color: 'var(--color-text)',
+    borderBottom: '1px solid var(--color-border)',
+    verticalAlign: 'top'
+  },
+  tdMono: {
+    padding: '12px',
+    color: 'var(--color-text)',
+    fontFamily: 'Monaco, Consolas, "Courier New", monospace',
+    fontSize: '12px',
+    borderBottom: '1px solid var(--color-border)',
+    verticalAlign: 'top',
+    whiteSpace: 'nowrap'
+  },
+  flagName: {
+    marginTop: '4px',
+    fontFamily: 'Monaco, Consolas, "Courier New", monospace',
+    fontSize: '12px',
+    color: 'var(--color-text-muted)'
+  },
+  flagDescription: {
+    margin: '8px 0 0 0',
+    maxWidth: '360px',
+    fontSize: '13px',
+    color: 'var(--color-text-secondary)',
+    lineHeight: '1.5'
+  },
+  badge: {
+    display: 'inline-block',
+    marginLeft: '8px',
+    padding: '2px 8px',
+    fontSize: '11px',
+    fontWeight: '600',
+    color: 'var(--color-text-secondary)',
+    backgroundColor: 'var(--color-surface-muted)',
+    borderRadius: '9999px',
+    whiteSpace: 'nowrap'
+  },
+  tag: {
+    display: 'inline-block',
+    margin: '0 6px 6px 0',
+    padding: '2px 8px',
+    fontSize: '12px',
+    color: '#1d4ed8',
+    backgroundColor: '#dbeafe',
+    borderRadius: '6px',
+    textDecoration: 'none'
+  },
+  stateBadge: {
+    display: 'inline-block',
+    padding: '4px 10px',
+    fontSize: '12px',
+    fontWeight: '600',
+    borderRadius: '9999px',
+    whiteSpace: 'nowrap'
+  },
+  stateEnabled: {
+    color: '#065f46',
+    backgroundColor: '#d1fae5'
+  },
+  stateDisabled: {
+    color: '#991b1b',
+    backgroundColor: '#fee2e2'
+  },
+  visuallyHidden: {
+    position: 'absolute',
+    width: '1px',
+    height: '1px',
+    overflow: 'hidden',
+    clip: 'rect(0 0 0 0)',
+    whiteSpace: 'nowrap'
+  },
+  link: {
+    color: '#3b82f6',
+    textDecoration: 'none',
+    fontWeight: '600'
+  },
+  footer: {
+    textAlign: 'center',
+    paddingTop: '24px',
+    marginTop: '24px',
+    borderTop: '1px solid var(--color-border)'
+  }
+};
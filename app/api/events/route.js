@@ -0,0 +1,95 @@
+/*
+ * ============================================================================
+ * CONFIGURATION EVENTS API - SERVER-SENT EVENTS
+ * ============================================================================
+ *
+ * GET /api/events
+ *   A text/event-stream of configuration changes the visitor may see (see
+ *   lib/config-events.js). Dashboards subscribe with useConfigEvents() and
+ *   re-render when an event arrives.
+ *
+ * Resuming: the browser's EventSource sends the Last-Event-ID header when it
+ * reconnects, and the stream first replays the changes after that id. A new
+ * connection can pass the same id as ?lastEventId= (EventSource cannot set
+ * headers); without either, the stream starts at the newest change.
+ *
+ * A comment line is sent every HEARTBEAT_MS to keep proxies from closing an
+ * idle connection. The streams of a process share one audit log reader, so
+ * open tabs add no store reads of their own.
+ *
+ * ============================================================================
+ */
+
+import { getStore } from '../../../lib/storage';
+import { getSessionId } from '../../../lib/session';
+import { parseEventId, subscribeToConfigEvents } from '../../../lib/config-events';
+
+export const dynamic = 'force-dynamic';
+
+const HEARTBEAT_MS = 15_000;
+
+// How long EventSource waits before reconnecting after a dropped connection
+const RETRY_MS = 3_000;
+
+function formatEvent({ id, type, key }) {
+  return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify({ key })}\n\n`;
+}
+
+export async function GET(request) {
+  const store = getStore();
+  const sessionId = getSessionId();
+  const encoder = new TextEncoder();
+
+  const lastEventId = parseEventId(request.headers.get('last-event-id'))
+    ?? parseEventId(request.nextUrl.searchParams.get('lastEventId'));
+
+  let closed = false;
+  let cleanup = () => {};
+
+  const stream = new ReadableStream({
+    start(controller) {
+      const send = text => {
+        if (!closed) {
+          controller.enqueue(encoder.encode(text));
+        }
+      };
+
+      send(`retry: ${RETRY_MS}\n\n`);
+
+      const unsubscribe = subscribeToConfigEvents(store, {
+        lastEventId,
+        sessionId,
+        onEvents: events => events.forEach(event => send(formatEvent(event)))
+      });
+      const heartbeat = setInterval(() => send(': heartbeat\n\n'), HEARTBEAT_MS);
+
+      cleanup = () => {
+        closed = true;
+        unsubscribe();
+        clearInterval(heartbeat);
+      };
+
+      // The client went away
+      request.signal.addEventListener('abort', () => {
+        if (!closed) {
+          cleanup();
+          controller.close();
+        }
+      });
+    },
+    cancel() {
+      cleanup();
+    }
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Keeps reverse proxies (and compression) from buffering the stream
+      'X-Accel-Buffering': 'no',
+      'Content-Encoding': 'none'
+    }
+  });
+}
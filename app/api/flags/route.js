@@ -0,0 +1,362 @@
+/*
+ * ============================================================================
+ * FEATURE FLAGS API - ROUTE HANDLER
+ * ============================================================================
+ *
+ * GET /api/flags
+ *   Every flag, archived ones included: { flags: [{ name, label, description,
+ *   owner, tags, createdAt, archived, builtIn, enabled, rolloutPercentage,
+ *   version }] }
+ *
+ * POST /api/flags   { "name": "checkoutRedesign", "label": "Checkout redesign",
+ *                     "owner": "web-team", "description"?: "...", "tags"?: ["checkout"] }
+ *   Creates a flag, switched off at a 100% rollout. Answers 201 with the
+ *   flag, or 409 when the name is taken. Requires the admin role.
+ *
+ * PATCH /api/flags   { "name": "currencyToggleEnabled", ... }
+ *   Changes a flag. The body asks for exactly one kind of change:
+ *
+ *     "enabled": true, "rolloutPercentage": 25   Sets the fields present.
+ *                                               `enabled` requires the admin
+ *                                               role, `rolloutPercentage` the
+ *                                               editor or admin role
+ *     "action": "toggle"                         Flips the master switch (admin)
+ *     "action": "reset"                          Resets the switch and rollout
+ *                                               to their defaults (admin)
+ *     "archived": true | false                   Archives or restores the flag
+ *                                               (admin; not built-in flags)
+ *
+ * DELETE /api/flags?name=checkoutRedesign
+ *   Deletes an archived flag. Built-in flags cannot be deleted, and active
+ *   flags must be archived first (409). Requires the admin role.
+ *
+ * PATCH and DELETE accept the flag `version` they are based on (a body
+ * field, or `?version=` for DELETE). When the flag has been written since,
+ * nothing changes and the answer is 409 with the stored flag in
+ * `conflict.current`. Without a version the write always applies.
+ *
+ * Unknown names get a 404, and switch and rollout changes to archived flags
+ * a 409. Input is checked by the same validators as the /admin/flags
+ * console (lib/feature-flags.js), writes share storage with the Server
+ * Actions (lib/config-mutations.js) and are audited, and a store failure
+ * is answered with a 503. Scripts log in with /api/session.
+ *
+ * ============================================================================
+ */
+
+import { revalidatePath } from 'next/cache';
+import { getStore } from '../../../lib/storage';
+import { authorize } from '../../../lib/auth';
+import { PERMISSIONS } from '../../../lib/roles';
+import { getSessionId } from '../../../lib/session';
+import { getAuditActor } from '../../../lib/audit';
+import {
+  isBuiltInFlag,
+  normalizeFeatureFlags,
+  validateFlagChanges,
+  validateFlagDetails,
+  validateFlagName,
+  validateNewFlagName
+} from '../../../lib/feature-flags';
+import {
+  createFlag,
+  deleteFlag,
+  resetFlag,
+  setFlagArchived,
+  toggleFlag,
+  updateFlag
+} from '../../../lib/config-mutations';
+import { validateExpectedVersion } from '../../../lib/record-version';
+import {
+  actionConflict,
+  actionFailure,
+  actionForbidden,
+  actionSuccess,
+  attemptStorageOperation
+} from '../../../lib/action-result';
+import { jsonResult, readJsonObject } from '../../../lib/api-response';
+
+export const dynamic = 'force-dynamic';
+
+// Public view of a flag (the bucketing salt stays internal)
+function serializeFlag(name, state) {
+  return {
+    name,
+    label: state.label,
+    description: state.description,
+    owner: state.owner,
+    tags: state.tags,
+    createdAt: state.createdAt,
+    archived: state.archived,
+    builtIn: isBuiltInFlag(name),
+    enabled: state.enabled,
+    rolloutPercentage: state.rolloutPercentage,
+    version: state.version
+  };
+}
+
+/**
+ * checkFlagName - Validates the name of the flag a request addresses
+ *
+ * Whether the flag exists is checked by the change itself, in its
+ * transaction (see respondWithChange).
+ *
+ * @param {unknown} name
+ * @returns {import('../../../lib/action-result').ActionResult|null} A 400
+ *   result, a 404 for a name no flag can have, or null
+ */
+function checkFlagName(name) {
+  if (typeof name !== 'string' || name === '') {
+    return actionFailure('The flag name is required.', { name: 'Provide the name of a feature flag.' });
+  }
+
+  const validation = validateFlagName(name);
+
+  return validation.fieldError
+    ? actionFailure(`Feature flag "${name}" does not exist.`, { name: validation.fieldError }, 404)
+    : null;
+}
+
+/**
+ * authorizeAll - Checks every permission a request needs
+ *
+ * @param {string[]} permissions
+ * @returns {Promise<{ allowed: boolean, user: import('../../../lib/users').User|null,
+ *   message: string|null }>} The first refusal, or the last grant
+ */
+async function authorizeAll(permissions) {
+  let access;
+
+  for (const permission of permissions) {
+    access = await authorize(permission);
+    if (!access.allowed) {
+      break;
+    }
+  }
+
+  return access;
+}
+
+// Every write refreshes the pages that show the flag. A store failure is
+// answered with 503, an unknown flag with 404, an archived flag or a write
+// based on an outdated version with 409. Successful changes answer with the
+// flag, deletions with the deleted flag.
+async function respondWithChange(flagName, change, description, { attempted = {}, status = 200 } = {}) {
+  const attempt = await attemptStorageOperation(change, description);
+
+  if (attempt.failure) {
+    return jsonResult(attempt.failure);
+  }
+
+  if (attempt.value.error) {
+    return jsonResult(actionFailure(attempt.value.error, {}, attempt.value.status));
+  }
+
+  const { current, previous } = attempt.value;
+
+  if (attempt.value.conflict) {
+    return jsonResult(actionConflict(
+      `Feature flag "${flagName}" has changed since the version you sent; it is now version ${current.version}.`,
+      { current: serializeFlag(flagName, current), attempted }
+    ));
+  }
+
+  console.log('🌐 [API] Feature flag changed:', description, { [flagName]: current ?? null });
+
+  revalidatePath('/server-actions-demo');
+  revalidatePath('/admin/flags');
+
+  const data = current
+    ? { flag: serializeFlag(flagName, current) }
+    : { deleted: serializeFlag(flagName, previous) };
+
+  return jsonResult({ ...actionSuccess(data), status });
+}
+
+// Fields a POST body may contain
+const CREATE_FIELDS = ['name', 'label', 'description', 'owner', 'tags'];
+
+// PATCH "action" values and the change each one makes
+const PATCH_ACTIONS = {
+  toggle: {
+    permissions: [PERMISSIONS.toggleFlag],
+    change: toggleFlag,
+    description: 'toggle the feature flag'
+  },
+  reset: {
+    permissions: [PERMISSIONS.toggleFlag, PERMISSIONS.updateFlagRollout],
+    change: resetFlag,
+    description: 'reset the feature flag'
+  }
+};
+
+export async function GET() {
+  const read = await attemptStorageOperation(() => getStore().get('FEATURE_FLAGS'), 'read the feature flags');
+
+  if (read.failure) {
+    return jsonResult(read.failure);
+  }
+
+  const featureFlags = normalizeFeatureFlags(read.value);
+
+  return jsonResult(actionSuccess({
+    flags: Object.entries(featureFlags).map(([name, state]) => serializeFlag(name, state))
+  }));
+}
+
+export async function POST(request) {
+  const access = await authorize(PERMISSIONS.manageFlags);
+
+  if (!access.allowed) {
+    return jsonResult(actionForbidden(access.message));
+  }
+
+  const body = await readJsonObject(request);
+
+  if (!body) {
+    return jsonResult(actionFailure('Request body must be a JSON object.'));
+  }
+
+  const unknownFields = Object.keys(body).filter(field => !CREATE_FIELDS.includes(field));
+  const nameValidation = validateNewFlagName(body.name);
+  const detailsValidation = validateFlagDetails({
+    ...body,
+    // JSON clients send a list; the console sends comma-separated text
+    tags: Array.isArray(body.tags) ? body.tags.join(',') : body.tags
+  });
+
+  if (unknownFields.length > 0 || nameValidation.fieldError || detailsValidation.fieldErrors) {
+    return jsonResult(actionFailure('The feature flag could not be created.', {
+      ...Object.fromEntries(unknownFields.map(field => [field, 'Unknown field.'])),
+      ...(nameValidation.fieldError && { name: nameValidation.fieldError }),
+      ...detailsValidation.fieldErrors
+    }));
+  }
+
+  return respondWithChange(nameValidation.value, () => createFlag(getStore(), {
+    flagName: nameValidation.value,
+    actor: getAuditActor(access.user, getSessionId()),
+    details: detailsValidation.value
+  }), 'create the feature flag', { status: 201 });
+}
+
+export async function PATCH(request) {
+  const body = await readJsonObject(request);
+
+  if (!body) {
+    return jsonResult(actionFailure('Request body must be a JSON object.'));
+  }
+
+  const { name, version: submittedVersion, action, archived, ...fields } = body;
+  const nameProblem = checkFlagName(name);
+
+  if (nameProblem) {
+    return jsonResult(nameProblem);
+  }
+
+  const version = validateExpectedVersion(submittedVersion);
+
+  if (version.fieldError) {
+    return jsonResult(actionFailure('The version is invalid.', { version: version.fieldError }));
+  }
+
+  const requestedKinds = [action !== undefined, archived !== undefined, Object.keys(fields).length > 0]
+    .filter(Boolean).length;
+
+  if (requestedKinds > 1) {
+    return jsonResult(actionFailure(
+      'Send one kind of change per request: an action, archived, or enabled and rolloutPercentage.'
+    ));
+  }
+
+  if (action !== undefined) {
+    if (!Object.hasOwn(PATCH_ACTIONS, action)) {
+      return jsonResult(actionFailure('The feature flag could not be updated.', {
+        action: 'action must be "toggle" or "reset".'
+      }));
+    }
+
+    const { permissions, change, description } = PATCH_ACTIONS[action];
+    const access = await authorizeAll(permissions);
+
+    if (!access.allowed) {
+      return jsonResult(actionForbidden(access.message));
+    }
+
+    return respondWithChange(name, () => change(getStore(), {
+      flagName: name,
+      actor: getAuditActor(access.user, getSessionId()),
+      expectedVersion: version.value
+    }), description, { attempted: { action } });
+  }
+
+  if (archived !== undefined) {
+    if (typeof archived !== 'boolean') {
+      return jsonResult(actionFailure('The feature flag could not be updated.', {
+        archived: 'archived must be true or false.'
+      }));
+    }
+
+    const access = await authorize(PERMISSIONS.manageFlags);
+
+    if (!access.allowed) {
+      return jsonResult(actionForbidden(access.message));
+    }
+
+    return respondWithChange(name, () => setFlagArchived(getStore(), {
+      flagName: name,
+      actor: getAuditActor(access.user, getSessionId()),
+      archived,
+      expectedVersion: version.value
+    }), archived ? 'archive the feature flag' : 'restore the feature flag', { attempted: { archived } });
+  }
+
+  const validation = validateFlagChanges(fields);
+
+  if (validation.error) {
+    return jsonResult(actionFailure(validation.error, validation.fieldErrors));
+  }
+
+  const access = await authorizeAll([
+    ...('enabled' in validation.value ? [PERMISSIONS.toggleFlag] : []),
+    ...('rolloutPercentage' in validation.value ? [PERMISSIONS.updateFlagRollout] : [])
+  ]);
+
+  if (!access.allowed) {
+    return jsonResult(actionForbidden(access.message));
+  }
+
+  return respondWithChange(name, () => updateFlag(getStore(), {
+    flagName: name,
+    actor: getAuditActor(access.user, getSessionId()),
+    changes: validation.value,
+    expectedVersion: version.value
+  }), 'update the feature flag', { attempted: validation.value });
+}
+
+export async function DELETE(request) {
+  const access = await authorize(PERMISSIONS.manageFlags);
+
+  if (!access.allowed) {
+    return jsonResult(actionForbidden(access.message));
+  }
+
+  const name = request.nextUrl.searchParams.get('name');
+  const nameProblem = checkFlagName(name);
+
+  if (nameProblem) {
+    return jsonResult(nameProblem);
+  }
+
+  const version = validateExpectedVersion(request.nextUrl.searchParams.get('version'));
+
+  if (version.fieldError) {
+    return jsonResult(actionFailure('The version is invalid.', { version: version.fieldError }));
+  }
+
+  return respondWithChange(name, () => deleteFlag(getStore(), {
+    flagName: name,
+    actor: getAuditActor(access.user, getSessionId()),
+    expectedVersion: version.value
+  }), 'delete the feature flag');
+}
@@ -0,0 +1,121 @@
+/*
+ * ============================================================================
+ * PREFERENCES API - ROUTE HANDLER
+ * ============================================================================
+ *
+ * GET /api/preferences
+ *   The caller's preferences: { preferences: { currency, theme, language, version } }
+ *
+ * PUT /api/preferences   { "currency": "EUR", "theme": "dark", "language": "fr" }
+ *   Updates the fields present in the body; the others keep their values.
+ *   `language: null` returns to automatic language negotiation.
+ *
+ *   An optional `version` makes the update conditional: when the
+ *   preferences have been written since that version, nothing changes and
+ *   the answer is 409 with the stored preferences in `conflict.current`.
+ *
+ * Preferences belong to the session_id cookie issued by middleware, like
+ * the forms on /server-actions-demo. Input is validated and written by the
+ * same code as updateUserCurrency (lib/preferences.js and
+ * lib/config-mutations.js), and every write is audited. A store failure is
+ * answered with a 503, for reads and writes alike.
+ *
+ * ============================================================================
+ */
+
+import { revalidatePath } from 'next/cache';
+import { getStore } from '../../../lib/storage';
+import { authorize } from '../../../lib/auth';
+import { PERMISSIONS } from '../../../lib/roles';
+import { getSessionId } from '../../../lib/session';
+import { getAuditActor } from '../../../lib/audit';
+import { getUserPreferences, validatePreferenceChanges } from '../../../lib/preferences';
+import { savePreferences } from '../../../lib/config-mutations';
+import { validateExpectedVersion } from '../../../lib/record-version';
+import {
+  actionConflict,
+  actionFailure,
+  actionForbidden,
+  actionSuccess,
+  attemptStorageOperation
+} from '../../../lib/action-result';
+import { jsonResult, readJsonObject } from '../../../lib/api-response';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET() {
+  const read = await attemptStorageOperation(
+    () => getUserPreferences(getStore(), getSessionId()),
+    'read the preferences'
+  );
+
+  if (read.failure) {
+    return jsonResult(read.failure);
+  }
+
+  return jsonResult(actionSuccess({ preferences: read.value }));
+}
+
+export async function PUT(request) {
+  const access = await authorize(PERMISSIONS.updatePreferences);
+
+  if (!access.allowed) {
+    return jsonResult(actionForbidden(access.message));
+  }
+
+  const body = await readJsonObject(request);
+
+  if (!body) {
+    return jsonResult(actionFailure('Request body must be a JSON object.'));
+  }
+
+  const { version: submittedVersion, ...fields } = body;
+  const validation = validatePreferenceChanges(fields);
+
+  if (validation.error) {
+    return jsonResult(actionFailure(validation.error, validation.fieldErrors));
+  }
+
+  const version = validateExpectedVersion(submittedVersion);
+
+  if (version.fieldError) {
+    return jsonResult(actionFailure('The version is invalid.', { version: version.fieldError }));
+  }
+
+  const sessionId = getSessionId();
+
+  if (!sessionId) {
+    return jsonResult(actionFailure('Your session could not be identified. Send the session_id cookie.'));
+  }
+
+  const saved = await attemptStorageOperation(() => savePreferences(getStore(), {
+    sessionId,
+    actor: getAuditActor(access.user, sessionId),
+    changes: validation.value,
+    expectedVersion: version.value
+  }), 'save preferences');
+
+  if (saved.failure) {
+    return jsonResult(saved.failure);
+  }
+
+  if (saved.value.conflict) {
+    return jsonResult(actionConflict(
+      `Your preferences have changed since the version you sent; they are now version ${saved.value.current.version}.`,
+      { current: saved.value.current, attempted: validation.value }
+    ));
+  }
+
+  const preferences = saved.value.current;
+
+  console.log('🌐 [API] Preferences updated:', preferences);
+
+  revalidatePath('/server-actions-demo');
+
+  // The theme and language are rendered by the root layout on every route
+  if ('theme' in validation.value || 'language' in validation.value) {
+    revalidatePath('/', 'layout');
+  }
+
+  return jsonResult(actionSuccess({ preferences }));
+}
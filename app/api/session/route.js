@@ -0,0 +1,97 @@
+/*
+ * ============================================================================
+ * SESSION API - ROUTE HANDLER
+ * ============================================================================
+ *
+ * Lets scripts and other non-browser clients log in to the REST API:
+ *
+ *   curl -c cookies.txt -b cookies.txt -X POST localhost:3000/api/session \
+ *     -H 'Content-Type: application/json' \
+ *     -d '{"username":"demo","password":"demo-password"}'
+ *
+ * The response sets the same signed auth_token cookie as the login form on
+ * the main page (and middleware adds the session_id cookie), so later
+ * requests sent with the cookie jar act as that user.
+ *
+ * GET /api/session
+ *   The logged-in user: { user: { username, displayName, role } }, or
+ *   { user: null } for anonymous callers.
+ *
+ * POST /api/session   { "username": "demo", "password": "demo-password" }
+ *   Checks the credentials like the login form and issues the auth cookie.
+ *   Wrong credentials get a 401, and a production server without
+ *   AUTH_SECRET a 503. The body must be sent as application/json,
+ *   so a cross-site HTML form cannot log a visitor in to another account.
+ *
+ * DELETE /api/session
+ *   Clears the auth cookie.
+ *
+ * ============================================================================
+ */
+
+import { endAuthSession, getCurrentUser, startAuthSession } from '../../../lib/auth';
+import { MissingSecretError } from '../../../lib/auth-token';
+import { authenticateUser, validatePassword, validateUsername } from '../../../lib/users';
+import { actionFailure, actionSuccess } from '../../../lib/action-result';
+import { jsonResult, readJsonObject } from '../../../lib/api-response';
+
+export const dynamic = 'force-dynamic';
+
+// Public view of an account (the password hash never leaves lib/users.js)
+function serializeUser(user) {
+  return user ? { username: user.username, displayName: user.displayName, role: user.role } : null;
+}
+
+export async function GET() {
+  return jsonResult(actionSuccess({ user: serializeUser(await getCurrentUser()) }));
+}
+
+export async function POST(request) {
+  if (!request.headers.get('content-type')?.startsWith('application/json')) {
+    return jsonResult(actionFailure('Send the credentials as JSON (Content-Type: application/json).', {}, 415));
+  }
+
+  const body = await readJsonObject(request);
+
+  if (!body) {
+    return jsonResult(actionFailure('Request body must be a JSON object.'));
+  }
+
+  const username = validateUsername(body.username);
+  const password = validatePassword(body.password);
+
+  if (username.fieldError || password.fieldError) {
+    return jsonResult(actionFailure('Enter your username and password.', {
+      ...(username.fieldError && { username: username.fieldError }),
+      ...(password.fieldError && { password: password.fieldError })
+    }));
+  }
+
+  const user = await authenticateUser(username.value, password.value);
+
+  if (!user) {
+    console.log('⛔ [API] Failed login for:', username.value);
+    return jsonResult(actionFailure('Incorrect username or password.', {}, 401));
+  }
+
+  try {
+    await startAuthSession(user.username);
+  } catch (error) {
+    if (!(error instanceof MissingSecretError)) {
+      throw error;
+    }
+    console.error('⛔ [API] Cannot log in:', error.message);
+    return jsonResult(actionFailure('Logging in is unavailable: the server has no AUTH_SECRET.', {}, 503));
+  }
+
+  console.log('🔐 [API] Logged in:', user.username);
+
+  return jsonResult(actionSuccess({ user: serializeUser(user) }));
+}
+
+export async function DELETE() {
+  endAuthSession();
+  console.log('🔓 [API] Logged out');
+
+  return jsonResult(actionSuccess({ user: null }));
+}
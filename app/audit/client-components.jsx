@@ -0,0 +1,87 @@
+/*
+ * ============================================================================
+ * AUDIT LOG - CLIENT COMPONENTS
+ * ============================================================================
+ *
+ * Interactive pieces of the /audit page. The page itself stays a Server
+ * Component; only the revert buttons need client-side state.
+ *
+ * ============================================================================
+ */
+
+'use client';
+
+import { useFormState, useFormStatus } from 'react-dom';
+import { INITIAL_ACTION_RESULT } from '../../lib/action-result';
+
+function RevertButton() {
+  const { pending } = useFormStatus();
+
+  return (
+    <button
+      type="submit"
+      disabled={pending}
+      style={{
+        ...styles.button,
+        opacity: pending ? 0.6 : 1,
+        cursor: pending ? 'not-allowed' : 'pointer'
+      }}
+    >
+      {pending ? 'Reverting...' : '↩️ Revert'}
+    </button>
+  );
+}
+
+// ============================================================================
+// CLIENT COMPONENT: RevertForm
+// ============================================================================
+// Submits one audit entry id to the revertChange Server Action. Refusals
+// (e.g. 409 when the value has changed since) are shown next to the button.
+// ============================================================================
+
+export function RevertForm({ entryId, revertChange }) {
+  const [result, formAction] = useFormState(revertChange, INITIAL_ACTION_RESULT);
+
+  return (
+    <form action={formAction} style={styles.form}>
+      <input type="hidden" name="entryId" value={entryId} />
+      <RevertButton />
+
+      {result.error && (
+        <p role="alert" style={styles.error}>
+          ⚠️ {result.error}
+        </p>
+      )}
+    </form>
+  );
+}
+
+// ============================================================================
+// STYLES
+// ============================================================================
+
+const styles = {
+  form: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+    alignItems: 'flex-start'
+  },
+  button: {
+    padding: '6px 12px',
+    fontSize: '12px',
+    fontWeight: '600',
+    color: '#ffffff',
+    backgroundColor: '#6b7280',
+    border: 'none',
+    borderRadius: '6px',
+    whiteSpace: 'nowrap'
+  },
+  error: {
+    margin: 0,
+    maxWidth: '240px',
+    fontSize: '12px',
+    color: '#991b1b',
+    lineHeight: '1.4'
+  }
+};
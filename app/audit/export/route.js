@@ -0,0 +1,76 @@
+/*
+ * ============================================================================
+ * AUDIT LOG EXPORT - ROUTE HANDLER
+ * ============================================================================
+ *
+ * GET /audit/export?format=csv|json[&actor=...&key=...&from=...&to=...]
+ *
+ * Downloads the audit entries matching the same filters as the /audit page,
+ * newest first. Requires the admin role. If the store cannot be read, responds
+ * with a 503 and a JSON { error } body instead of a partial download.
+ *
+ * ============================================================================
+ */
+
+import { NextResponse } from 'next/server';
+import { getStore } from '../../../lib/storage';
+import { authorize } from '../../../lib/auth';
+import { PERMISSIONS } from '../../../lib/roles';
+import { attemptStorageOperation } from '../../../lib/action-result';
+import {
+  auditEntriesToCsv,
+  getAuditEntries,
+  normalizeAuditFilters
+} from '../../../lib/audit';
+
+export const dynamic = 'force-dynamic';
+
+const FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    serialize: auditEntriesToCsv
+  },
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    serialize: entries => JSON.stringify(entries, null, 2)
+  }
+};
+
+export async function GET(request) {
+  const access = await authorize(PERMISSIONS.readAuditLog);
+
+  if (!access.allowed) {
+    return NextResponse.json({ error: access.message }, { status: 403 });
+  }
+
+  const searchParams = Object.fromEntries(request.nextUrl.searchParams);
+  const formatName = searchParams.format ?? 'csv';
+
+  if (!Object.hasOwn(FORMATS, formatName)) {
+    return NextResponse.json(
+      { error: `Unsupported format "${formatName}". Use csv or json.` },
+      { status: 400 }
+    );
+  }
+
+  const format = FORMATS[formatName];
+  const read = await attemptStorageOperation(
+    () => getAuditEntries(getStore(), normalizeAuditFilters(searchParams)),
+    'read the audit log for export'
+  );
+
+  if (read.failure) {
+    return NextResponse.json({ error: read.failure.error }, { status: read.failure.status });
+  }
+
+  const entries = read.value;
+  const date = new Date().toISOString().slice(0, 10);
+
+  return new NextResponse(format.serialize(entries), {
+    headers: {
+      'Content-Type': format.contentType,
+      'Content-Disposition': `attachment; filename="audit-log-${date}.${formatName}"`,
+      'Cache-Control': 'no-store'
+    }
+  });
+}
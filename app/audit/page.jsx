@@ -0,0 +1,432 @@
+/*
+ * ============================================================================
+ * AUDIT LOG - SERVER COMPONENT
+ * ============================================================================
+ *
+ * Lists every recorded configuration change, newest first, from the
+ * AUDIT_LOG collection of the data store (see lib/audit.js).
+ *
+ * - Filters (actor, key, date range) are a plain GET form, so the filtered
+ *   view is a shareable URL and works without JavaScript
+ * - The export links download the same filtered entries as CSV or JSON via
+ *   the /audit/export Route Handler
+ * - Each entry has a revert button that restores its old value (see
+ *   lib/history.js)
+ *
+ * Requires the admin role.
+ *
+ * ============================================================================
+ */
+
+import Link from 'next/link';
+import { revalidatePath } from 'next/cache';
+import { getStore } from '../../lib/storage';
+import { authorize } from '../../lib/auth';
+import { getSessionId } from '../../lib/session';
+import { PERMISSIONS } from '../../lib/roles';
+import {
+  actionFailure,
+  actionForbidden,
+  actionSuccess,
+  attemptStorageOperation
+} from '../../lib/action-result';
+import {
+  getAuditActor,
+  getAuditActors,
+  getAuditEntries,
+  normalizeAuditFilters
+} from '../../lib/audit';
+import { isRevertible, revertAuditEntry } from '../../lib/history';
+import { notifyConfigChanged } from '../../lib/config-events';
+import { RevertForm } from './client-components';
+
+// New entries are appended with every change, so never cache this page
+export const dynamic = 'force-dynamic';
+
+export const metadata = {
+  title: 'Audit Log - Global Configuration Dashboard'
+};
+
+function formatValue(value) {
+  return JSON.stringify(value);
+}
+
+// ============================================================================
+// SERVER ACTION: Revert Change
+// ============================================================================
+// Restores the old value of one audit entry and records the revert as a new
+// entry. Refuses with 409 when the value has changed again since that entry.
+// Revalidates every route that shows flags, preferences or the log.
+// ============================================================================
+
+async function revertChange(previousState, formData) {
+  'use server';
+
+  const access = await authorize(PERMISSIONS.revertChanges);
+
+  if (!access.allowed) {
+    return actionForbidden(access.message);
+  }
+
+  const rawEntryId = formData.get('entryId');
+  const entryId = typeof rawEntryId === 'string' && /^\d+$/.test(rawEntryId) ? Number(rawEntryId) : NaN;
+
+  if (!Number.isSafeInteger(entryId)) {
+    return actionFailure('The change could not be reverted.', { entryId: 'Invalid change id.' });
+  }
+
+  const actor = getAuditActor(access.user, getSessionId());
+  const attempt = await attemptStorageOperation(
+    () => getStore().transaction(tx => revertAuditEntry(tx, entryId, actor)),
+    'revert the change'
+  );
+
+  if (attempt.failure) {
+    return attempt.failure;
+  }
+
+  const result = attempt.value;
+
+  if (result.error) {
+    console.log('⛔ [SERVER ACTION] Refused revert:', result.error);
+    return actionFailure(result.error, {}, result.status);
+  }
+
+  console.log('↩️  [SERVER ACTION] Reverted change:', result.entry);
+
+  notifyConfigChanged();
+
+  revalidatePath('/server-actions-demo');
+  revalidatePath('/audit');
+
+  if (result.entry.key.startsWith('FEATURE_FLAGS.')) {
+    revalidatePath('/admin/flags');
+  }
+
+  // The theme and language are rendered by the root layout on every route
+  if (/\.(theme|language)$/.test(result.entry.key)) {
+    revalidatePath('/', 'layout');
+  }
+
+  return actionSuccess();
+}
+
+export default async function AuditLogPage({ searchParams }) {
+  const access = await authorize(PERMISSIONS.readAuditLog);
+
+  if (!access.allowed) {
+    return (
+      <div style={styles.page}>
+        <div style={styles.header}>
+          <div style={styles.headerContent}>
+            <h1 style={styles.title}>📜 Audit Log</h1>
+          </div>
+        </div>
+
+        <div style={styles.container}>
+          <div style={styles.card}>
+            <p style={styles.description}>
+              🔒 {access.message} <Link href="/" style={styles.link}>Log in →</Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const store = getStore();
+  const filters = normalizeAuditFilters(searchParams);
+  const read = await attemptStorageOperation(
+    () => Promise.all([getAuditEntries(store, filters), getAuditActors(store)]),
+    'read the audit log'
+  );
+
+  if (read.failure) {
+    return (
+      <div style={styles.page}>
+        <div style={styles.header}>
+          <div style={styles.headerContent}>
+            <h1 style={styles.title}>📜 Audit Log</h1>
+          </div>
+        </div>
+
+        <div style={styles.container}>
+          <div style={styles.card}>
+            <p style={styles.description}>
+              ⚠️ {read.failure.error} <Link href="/audit" style={styles.link}>Retry →</Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const [entries, actors] = read.value;
+
+  const exportQuery = new URLSearchParams(filters).toString();
+  const canRevert = (await authorize(PERMISSIONS.revertChanges)).allowed;
+
+  return (
+    <div style={styles.page}>
+      <div style={styles.header}>
+        <div style={styles.headerContent}>
+          <h1 style={styles.title}>📜 Audit Log</h1>
+          <p style={styles.subtitle}>
+            Append-only record of every configuration change, from the local data store
+          </p>
+        </div>
+      </div>
+
+      <div style={styles.container}>
+        <div style={styles.card}>
+          <h3 style={styles.cardTitle}>Filters</h3>
+
+          <form method="get" style={styles.filterForm}>
+            <label style={styles.filterField}>
+              <span style={styles.filterLabel}>Actor</span>
+              <select name="actor" defaultValue={filters.actor ?? ''} style={styles.input}>
+                <option value="">All actors</option>
+                {actors.map(actor => (
+                  <option key={actor} value={actor}>{actor}</option>
+                ))}
+              </select>
+            </label>
+
+            <label style={styles.filterField}>
+              <span style={styles.filterLabel}>Key contains</span>
+              <input
+                name="key"
+                defaultValue={filters.key ?? ''}
+                placeholder="e.g. FEATURE_FLAGS"
+                style={styles.input}
+              />
+            </label>
+
+            <label style={styles.filterField}>
+              <span style={styles.filterLabel}>From (UTC)</span>
+              <input type="date" name="from" defaultValue={filters.from ?? ''} style={styles.input} />
+            </label>
+
+            <label style={styles.filterField}>
+              <span style={styles.filterLabel}>To (UTC)</span>
+              <input type="date" name="to" defaultValue={filters.to ?? ''} style={styles.input} />
+            </label>
+
+            <button type="submit" style={styles.button}>Apply</button>
+            <Link href="/audit" style={styles.link}>Reset</Link>
+          </form>
+        </div>
+
+        <div style={styles.card}>
+          <h3 style={styles.cardTitle}>
+            {entries.length} {entries.length === 1 ? 'Entry' : 'Entries'}
+          </h3>
+
+          <p style={styles.description}>
+            Export:{' '}
+            <a href={`/audit/export?format=csv${exportQuery && `&${exportQuery}`}`} style={styles.link}>CSV</a>
+            {' · '}
+            <a href={`/audit/export?format=json${exportQuery && `&${exportQuery}`}`} style={styles.link}>JSON</a>
+          </p>
+
+          {entries.length === 0 ? (
+            <p style={styles.description}>No audit entries match these filters.</p>
+          ) : (
+            <div style={styles.tableWrapper}>
+              <table style={styles.table}>
+                <thead>
+                  <tr>
+                    <th style={styles.th}>Time (UTC)</th>
+                    <th style={styles.th}>Actor</th>
+                    <th style={styles.th}>Action</th>
+                    <th style={styles.th}>Key</th>
+                    <th style={styles.th}>Old</th>
+                    <th style={styles.th}>New</th>
+                    <th style={styles.th}>Request ID</th>
+                    {canRevert && <th style={styles.th}>History</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map(entry => (
+                    <tr key={entry.id}>
+                      <td style={styles.tdMono}>{entry.timestamp}</td>
+                      <td style={styles.td}>{entry.actor}</td>
+                      <td style={styles.td}>{entry.action}</td>
+                      <td style={styles.tdMono}>{entry.key}</td>
+                      <td style={styles.tdMono}>{formatValue(entry.oldValue)}</td>
+                      <td style={styles.tdMono}>{formatValue(entry.newValue)}</td>
+                      <td style={styles.tdMono}>{entry.requestId ?? '—'}</td>
+                      {canRevert && (
+                        <td style={styles.td}>
+                          {entry.revertOf && (
+                            <p style={styles.revertNote}>Reverts #{entry.revertOf}</p>
+                          )}
+                          {isRevertible(entry) && (
+                            <RevertForm entryId={entry.id} revertChange={revertChange} />
+                          )}
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        <div style={styles.footer}>
+          <Link href="/server-actions-demo" style={styles.link}>
+            ← Back to Server Actions & Feature Flags Demo
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ============================================================================
+// STYLES
+// ============================================================================
+
+const styles = {
+  page: {
+    minHeight: '100vh',
+    backgroundColor: 'var(--color-background)'
+  },
+  header: {
+    backgroundColor: '#1f2937',
+    color: '#ffffff',
+    padding: '32px 0',
+    marginBottom: '32px',
+    boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)'
+  },
+  headerContent: {
+    maxWidth: '1200px',
+    margin: '0 auto',
+    padding: '0 24px'
+  },
+  title: {
+    margin: '0 0 8px 0',
+    fontSize: '36px',
+    fontWeight: '700',
+    color: '#ffffff'
+  },
+  subtitle: {
+    margin: '0',
+    fontSize: '16px',
+    color: '#9ca3af',
+    lineHeight: '1.5'
+  },
+  container: {
+    maxWidth: '1200px',
+    margin: '0 auto',
+    padding: '0 24px 48px 24px'
+  },
+  card: {
+    backgroundColor: 'var(--color-surface)',
+    borderRadius: '12px',
+    padding: '24px',
+    marginBottom: '24px',
+    boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06)',
+    border: '1px solid var(--color-border)'
+  },
+  cardTitle: {
+    margin: '0 0 20px 0',
+    fontSize: '20px',
+    fontWeight: '600',
+    color: 'var(--color-text)',
+    borderBottom: '2px solid #3b82f6',
+    paddingBottom: '12px'
+  },
+  description: {
+    margin: '0 0 12px 0',
+    fontSize: '14px',
+    color: 'var(--color-text-secondary)',
+    lineHeight: '1.6'
+  },
+  filterForm: {
+    display: 'flex',
+    gap: '16px',
+    flexWrap: 'wrap',
+    alignItems: 'flex-end'
+  },
+  filterField: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px'
+  },
+  filterLabel: {
+    fontSize: '12px',
+    fontWeight: '600',
+    color: 'var(--color-text-muted)',
+    textTransform: 'uppercase',
+    letterSpacing: '0.05em'
+  },
+  input: {
+    padding: '10px 12px',
+    fontSize: '14px',
+    border: '1px solid var(--color-border-strong)',
+    borderRadius: '8px',
+    color: 'var(--color-text)',
+    backgroundColor: 'var(--color-surface)'
+  },
+  button: {
+    padding: '10px 20px',
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#ffffff',
+    backgroundColor: '#3b82f6',
+    border: 'none',
+    borderRadius: '8px',
+    cursor: 'pointer'
+  },
+  tableWrapper: {
+    overflowX: 'auto'
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    marginTop: '8px',
+    fontSize: '14px'
+  },
+  th: {
+    textAlign: 'left',
+    padding: '12px',
+    fontSize: '12px',
+    fontWeight: '600',
+    color: 'var(--color-text-muted)',
+    textTransform: 'uppercase',
+    letterSpacing: '0.05em',
+    borderBottom: '2px solid var(--color-border)',
+    whiteSpace: 'nowrap'
+  },
+  td: {
+    padding: '12px',
+    color: 'var(--color-text)',
+    borderBottom: '1px solid var(--color-border)'
+  },
+  revertNote: {
+    margin: '0 0 6px 0',
+    fontSize: '12px',
+    color: 'var(--color-text-muted)'
+  },
+  tdMono: {
+    padding: '12px',
+    color: 'var(--color-text)',
+    fontFamily: 'Monaco, Consolas, "Courier New", monospace',
+    fontSize: '12px',
+    borderBottom: '1px solid var(--color-border)',
+    wordBreak: 'break-all'
+  },
+  link: {
+    color: '#3b82f6',
+    textDecoration: 'none',
+    fontWeight: '600'
+  },
+  footer: {
+    textAlign: 'center',
+    paddingTop: '24px',
+    marginTop: '24px',
+    borderTop: '1px solid var(--color-border)'
+  }
+};
@@ -0,0 +1,202 @@
+/*
+ * ============================================================================
+ * EXPERIMENT RESULTS - SERVER COMPONENT
+ * ============================================================================
+ *
+ * Lists every A/B experiment with its exposure and conversion counts per
+ * variant, read from the EXPERIMENT_RESULTS collection of the data store.
+ *
+ * - Exposures are recorded the first time a session sees a variant
+ * - Conversions are recorded when the experiment's goal is completed
+ *
+ * See lib/experiments.js for assignment and logging.
+ *
+ * ============================================================================
+ */
+
+import Link from 'next/link';
+import { getStore } from '../../lib/storage';
+import { getExperimentResults } from '../../lib/experiments';
+
+// Counts change with every render of the experiment, so never cache this page
+export const dynamic = 'force-dynamic';
+
+export const metadata = {
+  title: 'Experiment Results - Global Configuration Dashboard'
+};
+
+function formatRate(rate) {
+  return rate === null ? '—' : `${(rate * 100).toFixed(1)}%`;
+}
+
+export default async function ExperimentResultsPage() {
+  const experiments = await getExperimentResults(getStore());
+
+  return (
+    <div style={styles.page}>
+      <div style={styles.header}>
+        <div style={styles.headerContent}>
+          <h1 style={styles.title}>🧪 Experiment Results</h1>
+          <p style={styles.subtitle}>
+            Exposures and conversions per variant, from the local data store
+          </p>
+        </div>
+      </div>
+
+      <div style={styles.container}>
+        {experiments.map(experiment => (
+          <div key={experiment.key} style={styles.card}>
+            <h3 style={styles.cardTitle}>{experiment.name}</h3>
+
+            <p style={styles.description}>{experiment.description}</p>
+            <p style={styles.description}>
+              <strong>Conversion goal:</strong> {experiment.goal}
+            </p>
+
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>Variant</th>
+                  <th style={styles.th}>Weight</th>
+                  <th style={styles.thNumeric}>Exposures</th>
+                  <th style={styles.thNumeric}>Conversions</th>
+                  <th style={styles.thNumeric}>Conversion Rate</th>
+                </tr>
+              </thead>
+              <tbody>
+                {experiment.variants.map(variant => (
+                  <tr key={variant.key}>
+                    <td style={styles.td}>
+                      <strong>{variant.key}</strong> · {variant.name}
+                    </td>
+                    <td style={styles.td}>{variant.weight}</td>
+                    <td style={styles.tdNumeric}>{variant.exposures}</td>
+                    <td style={styles.tdNumeric}>{variant.conversions}</td>
+                    <td style={styles.tdNumeric}>{formatRate(variant.conversionRate)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ))}
+
+        <div style={styles.footer}>
+          <Link href="/server-actions-demo" style={styles.link}>
+            ← Back to Server Actions & Feature Flags Demo
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ============================================================================
+// STYLES
+// ============================================================================
+
+const styles = {
+  page: {
+    minHeight: '100vh',
+    backgroundColor: 'var(--color-background)'
+  },
+  header: {
+    backgroundColor: '#1f2937',
+    color: '#ffffff',
+    padding: '32px 0',
+    marginBottom: '32px',
+    boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)'
+  },
+  headerContent: {
+    maxWidth: '1200px',
+    margin: '0 auto',
+    padding: '0 24px'
+  },
+  title: {
+    margin: '0 0 8px 0',
+    fontSize: '36px',
+    fontWeight: '700',
+    color: '#ffffff'
+  },
+  subtitle: {
+    margin: '0',
+    fontSize: '16px',
+    color: '#9ca3af',
+    lineHeight: '1.5'
+  },
+  container: {
+    maxWidth: '1200px',
+    margin: '0 auto',
+    padding: '0 24px 48px 24px'
+  },
+  card: {
+    backgroundColor: 'var(--color-surface)',
+    borderRadius: '12px',
+    padding: '24px',
+    marginBottom: '24px',
+    boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06)',
+    border: '1px solid var(--color-border)'
+  },
+  cardTitle: {
+    margin: '0 0 20px 0',
+    fontSize: '20px',
+    fontWeight: '600',
+    color: 'var(--color-text)',
+    borderBottom: '2px solid #3b82f6',
+    paddingBottom: '12px'
+  },
+  description: {
+    margin: '0 0 12px 0',
+    fontSize: '14px',
+    color: 'var(--color-text-secondary)',
+    lineHeight: '1.6'
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    marginTop: '8px',
+    fontSize: '14px'
+  },
+  th: {
+    textAlign: 'left',
+    padding: '12px',
+    fontSize: '12px',
+    fontWeight: '600',
+    color: 'var(--color-text-muted)',
+    textTransform: 'uppercase',
+    letterSpacing: '0.05em',
+    borderBottom: '2px solid var(--color-border)'
+  },
+  thNumeric: {
+    textAlign: 'right',
+    padding: '12px',
+    fontSize: '12px',
+    fontWeight: '600',
+    color: 'var(--color-text-muted)',
+    textTransform: 'uppercase',
+    letterSpacing: '0.05em',
+    borderBottom: '2px solid var(--color-border)'
+  },
+  td: {
+    padding: '12px',
+    color: 'var(--color-text)',
+    borderBottom: '1px solid var(--color-border)'
+  },
+  tdNumeric: {
+    padding: '12px',
+    color: 'var(--color-text)',
+    textAlign: 'right',
+    fontFamily: 'Monaco, Consolas, "Courier New", monospace',
+    borderBottom: '1px solid var(--color-border)'
+  },
+  link: {
+    color: '#3b82f6',
+    textDecoration: 'none',
+    fontWeight: '600'
+  },
+  footer: {
+    textAlign: 'center',
+    paddingTop: '24px',
+    marginTop: '24px',
+    borderTop: '1px solid var(--color-border)'
+  }
+};
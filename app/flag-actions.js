@@ -0,0 +1,240 @@
+/*
+ * ============================================================================
+ * FEATURE FLAG SERVER ACTIONS
+ * ============================================================================
+ *
+ * Server Actions that change a flag's master switch and rollout percentage,
+ * shared by /server-actions-demo and the /admin/flags console. Both pages
+ * pass them to their forms as props; the module-level 'use server'
+ * directive makes every export a Server Action.
+ *
+ * Each action submits the flag version its form rendered and returns a 409
+ * result when the flag changed since (see lib/record-version.js). Changes
+ * revalidate both pages, since both show the flag's state. Error messages
+ * are translated into the visitor's language (lib/i18n).
+ *
+ * ============================================================================
+ */
+
+'use server';
+
+import { revalidatePath } from 'next/cache';
+import { getStore } from '../lib/storage';
+import {
+  actionConflict,
+  actionFailure,
+  actionForbidden,
+  actionSuccess,
+  attemptStorageOperation
+} from '../lib/action-result';
+import { validateFlagEnabled, validateFlagName, validateRolloutPercentage } from '../lib/feature-flags';
+import { validateVersion } from '../lib/record-version';
+import { getSessionId } from '../lib/session';
+import { authorize } from '../lib/auth';
+import { PERMISSIONS } from '../lib/roles';
+import { getAuditActor } from '../lib/audit';
+import { updateFlag } from '../lib/config-mutations';
+import { FAULT_OPERATIONS, withInjectedFaults } from '../lib/fault-injection';
+import { getTranslator } from '../lib/i18n';
+import { translateFieldErrors, translateMessage } from '../lib/i18n/translate';
+
+// Stored fields returned with a conflict; the flag salt stays on the server
+function conflictingFlag({ enabled, rolloutPercentage, version }) {
+  return { enabled, rolloutPercentage, version };
+}
+
+function describeFlagConflict(t, flagName, { enabled, rolloutPercentage }) {
+  return enabled
+    ? t('flagChanges.conflictEnabled', { name: flagName, percentage: rolloutPercentage })
+    : t('flagChanges.conflictDisabled', { name: flagName });
+}
+
+// Both pages render flag state
+function revalidateFlagPages() {
+  revalidatePath('/server-actions-demo');
+  revalidatePath('/admin/flags');
+}
+
+// ============================================================================
+// SERVER ACTION: Toggle Feature Flag
+// ============================================================================
+// Additional Server Action to demonstrate feature flag toggling.
+// This allows runtime configuration changes without code deployment.
+//
+// ENTERPRISE PATTERN: Feature flags enable:
+// - Gradual rollouts (enable for 10% of users, then 50%, then 100%)
+// - A/B testing (show variant A to 50%, variant B to other 50%)
+// - Kill switches (instantly disable broken features)
+// - Runtime configuration (change behavior without redeploying)
+//
+// This action sets the flag's master switch (`enabled`) to the value the
+// form submits, the opposite of the one it rendered. The rollout percentage
+// is changed separately by updateFlagRollout below.
+//
+// SECURITY: Flipping a master switch requires the admin role; anyone else
+// gets a 403 result. The flag name comes from a hidden form input and can be
+// changed by anyone. Only existing, unarchived flags are changed (see
+// lib/config-mutations.js), and names are checked against the flag name
+// format, so clients cannot create flags or touch keys like __proto__.
+// ============================================================================
+
+export async function toggleFeatureFlag(previousState, formData) {
+  const access = await authorize(PERMISSIONS.toggleFlag);
+
+  if (!access.allowed) {
+    console.log('⛔ [SERVER ACTION] Forbidden feature flag toggle for role:', access.role);
+    return actionForbidden(access.message);
+  }
+
+  const t = await getTranslator();
+  const validation = validateFlagName(formData.get('flagName'));
+  const enabledValidation = validateFlagEnabled(formData.get('enabled'));
+  const versionValidation = validateVersion(formData.get('version'));
+
+  if (validation.fieldError || enabledValidation.fieldError || versionValidation.fieldError) {
+    const fieldErrors = translateFieldErrors(t, {
+      ...(validation.fieldError && { flagName: validation.fieldError }),
+      ...(enabledValidation.fieldError && { enabled: enabledValidation.fieldError }),
+      ...(versionValidation.fieldError && { version: versionValidation.fieldError })
+    });
+    console.log('⛔ [SERVER ACTION] Rejected feature flag toggle:', fieldErrors);
+    return actionFailure(t('flagChanges.notToggled'), fieldErrors);
+  }
+
+  const flagName = validation.value;
+  const enabled = enabledValidation.value;
+
+  console.log('🚩 [SERVER ACTION] Toggling feature flag:', flagName, 'by', access.user.username);
+
+  // Set the master switch (read, write and audit in one transaction), after
+  // the simulated write latency
+  const store = getStore();
+  const toggled = await attemptStorageOperation(() => withInjectedFaults(
+    store,
+    FAULT_OPERATIONS.toggleFlag,
+    () => updateFlag(store, {
+      flagName,
+      actor: getAuditActor(access.user, getSessionId()),
+      changes: { enabled },
+      expectedVersion: versionValidation.value
+    })
+  ), 'toggle the feature flag');
+
+  if (toggled.failure) {
+    return toggled.failure;
+  }
+
+  // An unknown or archived flag (see lib/config-mutations.js)
+  if (toggled.value.error) {
+    return actionFailure(translateMessage(t, toggled.value.error), {}, toggled.value.status);
+  }
+
+  if (toggled.value.conflict) {
+    const { current } = toggled.value;
+
+    console.log('⚠️ [SERVER ACTION] Feature flag toggle conflict:', {
+      flagName,
+      expectedVersion: versionValidation.value,
+      storedVersion: current.version
+    });
+
+    revalidateFlagPages();
+
+    return actionConflict(describeFlagConflict(t, flagName, current), {
+      current: conflictingFlag(current),
+      attempted: { enabled: String(enabled) }
+    });
+  }
+
+  console.log('✅ [SERVER ACTION] Feature flag updated:', { [flagName]: toggled.value.current });
+
+  // Revalidate to refresh the UI
+  revalidateFlagPages();
+
+  console.log('🔄 [SERVER ACTION] Cache invalidated for feature flag change');
+
+  return actionSuccess({ version: toggled.value.current.version });
+}
+
+// ============================================================================
+// SERVER ACTION: Update Flag Rollout Percentage
+// ============================================================================
+// Sets the share of users (0-100%) who receive a flag while its master
+// switch is on. Ramping 10% → 50% → 100% keeps earlier users enabled, since
+// each user's bucket is stable (see lib/rollout.js).
+//
+// SECURITY: Requires the editor or admin role.
+// ============================================================================
+
+export async function updateFlagRollout(previousState, formData) {
+  const access = await authorize(PERMISSIONS.updateFlagRollout);
+
+  if (!access.allowed) {
+    console.log('⛔ [SERVER ACTION] Forbidden rollout update for role:', access.role);
+    return actionForbidden(access.message);
+  }
+
+  const t = await getTranslator();
+  const flagValidation = validateFlagName(formData.get('flagName'));
+  const percentageValidation = validateRolloutPercentage(formData.get('rolloutPercentage'));
+  const versionValidation = validateVersion(formData.get('version'));
+
+  if (flagValidation.fieldError || percentageValidation.fieldError || versionValidation.fieldError) {
+    return actionFailure(t('flagChanges.rolloutNotUpdated'), translateFieldErrors(t, {
+      ...(flagValidation.fieldError && { flagName: flagValidation.fieldError }),
+      ...(percentageValidation.fieldError && { rolloutPercentage: percentageValidation.fieldError }),
+      ...(versionValidation.fieldError && { version: versionValidation.fieldError })
+    }));
+  }
+
+  const flagName = flagValidation.value;
+  const rolloutPercentage = percentageValidation.value;
+
+  const store = getStore();
+  const updated = await attemptStorageOperation(() => withInjectedFaults(
+    store,
+    FAULT_OPERATIONS.updateFlagRollout,
+    () => updateFlag(store, {
+      flagName,
+      actor: getAuditActor(access.user, getSessionId()),
+      changes: { rolloutPercentage },
+      expectedVersion: versionValidation.value
+    })
+  ), 'update the rollout');
+
+  if (updated.failure) {
+    return updated.failure;
+  }
+
+  if (updated.value.error) {
+    return actionFailure(translateMessage(t, updated.value.error), {}, updated.value.status);
+  }
+
+  if (updated.value.conflict) {
+    const { current } = updated.value;
+
+    console.log('⚠️ [SERVER ACTION] Rollout update conflict:', {
+      flagName,
+      expectedVersion: versionValidation.value,
+      storedVersion: current.version
+    });
+
+    revalidateFlagPages();
+
+    return actionConflict(describeFlagConflict(t, flagName, current), {
+      current: conflictingFlag(current),
+      attempted: { rolloutPercentage: String(rolloutPercentage) }
+    });
+  }
+
+  console.log('📈 [SERVER ACTION] Updated rollout:', {
+    flagName,
+    by: access.user.username,
+    from: updated.value.previous.rolloutPercentage,
+    to: rolloutPercentage
+  });
+
+  revalidateFlagPages();
+
+  return actionSuccess({ version: updated.value.current.version });
+}
@@ -6,30 +6,53 @@
  * This is the root layout for the Next.js application.
  * It wraps all pages and provides the HTML structure.
  *
+ * THEME: The visitor's theme preference is read from the store and rendered
+ * as <html data-theme="...">, together with the stylesheet of theme colors
+ * (see lib/theme.js). Both are part of the server-rendered HTML, so there is
+ * no flash of the wrong colors while the page loads.
+ *
+ * LANGUAGE: The locale is negotiated from the saved language, Accept-Language
+ * and the visitor's region (see lib/i18n), set as <html lang="..."> and
+ * handed to Client Components with its message catalog via <I18nProvider>.
+ *
  * SERVER COMPONENT: Executes on the server during build/request time.
  * ============================================================================
  */
 
+import { getStore } from '../lib/storage';
+import { getDisplayPreferences } from '../lib/preferences';
+import { getSessionId } from '../lib/session';
+import { THEME_STYLESHEET } from '../lib/theme';
+import { getMessages, getRequestLocale } from '../lib/i18n';
+import { I18nProvider } from './I18nProvider';
+
 export const metadata = {
   title: 'Global Configuration Dashboard',
   description: 'Enterprise-grade demonstration of Next.js Server/Client Component architecture',
 }
 
-export default function RootLayout({ children }) {
+export default async function RootLayout({ children }) {
+  // Defaults when the store is unavailable, so error boundaries can render
+  const { theme } = await getDisplayPreferences(getStore(), getSessionId());
+  const { locale } = await getRequestLocale();
+
   return (
-    <html lang="en">
+    <html lang={locale} data-theme={theme}>
       <head>
         <meta charSet="utf-8" />
         <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <style dangerouslySetInnerHTML={{ __html: THEME_STYLESHEET }} />
       </head>
       <body style={{
         margin: 0,
         padding: 0,
         fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif',
-        backgroundColor: '#f3f4f6',
-        color: '#111827'
+        backgroundColor: 'var(--color-background)',
+        color: 'var(--color-text)'
       }}>
-        {children}
+        <I18nProvider locale={locale} messages={getMessages(locale)}>
+          {children}
+        </I18nProvider>
       </body>
     </html>
   )
@@ -6,23 +6,59 @@
  * This is a SERVER COMPONENT (default in Next.js App Router).
  * It demonstrates:
  *
- * 1. MIDDLEWARE SIMULATION: Server-side logic that would typically come from
- *    Next.js Middleware, headers, or environment variables
+ * 1. MIDDLEWARE VALUES: Geo-location determined by middleware.js and read
+ *    from normalized request headers via headers()
  *
- * 2. SERVER-SIDE DATA FETCHING: Could include database queries, API calls, etc.
+ * 2. AUTHENTICATION: Login status derived from a verified, signed session
+ *    cookie, issued and cleared by the login/logout Server Actions
  *
- * 3. SERVER → CLIENT DATA FLOW: Passing server-determined state to Client
+ * 3. SERVER-SIDE DATA FETCHING: Could include database queries, API calls, etc.
+ *
+ * 4. SERVER → CLIENT DATA FLOW: Passing server-determined state to Client
  *    Components via props
  *
- * 4. COMPOSITION: Mixing Server Components (StaticHeader) with Client
+ * 5. COMPOSITION: Mixing Server Components (StaticHeader) with Client
  *    Components (UserProvider, CurrencyToggle, etc.)
  *
+ * 6. TRANSLATION: Server Components translate with getTranslator(), Client
+ *    Components with useTranslations(); both use the locale RootLayout
+ *    negotiated (see lib/i18n)
+ *
  * ============================================================================
  */
 
+import { headers } from 'next/headers';
+import { redirect } from 'next/navigation';
+import { revalidatePath } from 'next/cache';
+import { REQUEST_HEADERS, resolveCountry } from '../lib/request-context';
+import { authorize, endAuthSession, getCurrentUser, startAuthSession } from '../lib/auth';
+import { MissingSecretError } from '../lib/auth-token';
+import { authenticateUser, validatePassword, validateUsername } from '../lib/users';
+import {
+  actionConflict,
+  actionFailure,
+  actionForbidden,
+  actionSuccess,
+  attemptStorageOperation
+} from '../lib/action-result';
+import { getStore } from '../lib/storage';
+import { validateLanguage } from '../lib/preferences';
+import { validateVersion } from '../lib/record-version';
+import { getSessionId } from '../lib/session';
+import { PERMISSIONS } from '../lib/roles';
+import { getAuditActor } from '../lib/audit';
+import { savePreferences } from '../lib/config-mutations';
+import { getLastConfigEventId } from '../lib/config-events';
+import { getRequestLocale, getTranslator } from '../lib/i18n';
+import { LOCALE_NAMES, translateFieldErrors } from '../lib/i18n/translate';
+import { getRegionForCountry } from '../lib/regions';
+import { evaluateFlags } from '../lib/targeting';
+import { getExchangeRates } from '../lib/exchange-rates';
+import featureTargeting from '../config/feature-targeting.json';
 import {
   UserProvider,
   CurrencyToggle,
+  PriceList,
   FeatureFlags,
   DataFlowVisualization
 } from './GlobalConfigDashboard.jsx';
@@ -35,11 +71,13 @@ import {
 // Server Component for optimal performance.
 // ============================================================================
 
-function StaticHeader() {
+async function StaticHeader() {
+  const t = await getTranslator();
+
   // Simulate fetching static data on the server
   // In a real application, this might be a database query or CMS fetch
   const dashboardMetadata = {
-    title: 'Global Configuration Dashboard',
+    title: t('header.title'),
     version: '2.0.0',
     lastUpdated: new Date().toISOString().split('T')[0],
     environment: process.env.NODE_ENV || 'development'
@@ -52,18 +90,18 @@ function StaticHeader() {
           ⚙️ {dashboardMetadata.title}
         </h1>
         <p style={styles.subtitle}>
-          Enterprise-grade demonstration of Next.js 13+ Server/Client Component Architecture
+          {t('header.subtitle')}
         </p>
 
         <div style={styles.metadata}>
           <span style={styles.metadataItem}>
-            <strong>Version:</strong> {dashboardMetadata.version}
+            <strong>{t('header.version')}</strong> {dashboardMetadata.version}
           </span>
           <span style={styles.metadataItem}>
-            <strong>Environment:</strong> {dashboardMetadata.environment}
+            <strong>{t('header.environment')}</strong> {dashboardMetadata.environment}
           </span>
           <span style={styles.metadataItem}>
-            <strong>Last Updated:</strong> {dashboardMetadata.lastUpdated}
+            <strong>{t('header.lastUpdated')}</strong> {dashboardMetadata.lastUpdated}
           </span>
         </div>
 
@@ -86,7 +124,9 @@ function StaticHeader() {
 // Another example of a Server Component that could fetch server-side data
 // ============================================================================
 
-function ServerStatsCard() {
+async function ServerStatsCard() {
+  const t = await getTranslator();
+
   // Simulate server-side computation or data fetching
   // In production, this might query a database or call an internal API
   const serverStats = {
@@ -98,26 +138,26 @@ function ServerStatsCard() {
 
   return (
     <div style={styles.card}>
-      <h3 style={styles.cardTitle}>🖥️ Server-Side Information</h3>
+      <h3 style={styles.cardTitle}>{t('serverStats.title')}</h3>
 
       <div style={styles.statsGrid}>
         <div style={styles.statItem}>
-          <span style={styles.statLabel}>Request Timestamp:</span>
+          <span style={styles.statLabel}>{t('serverStats.requestTimestamp')}</span>
           <span style={styles.statValue}>{serverStats.requestTimestamp}</span>
         </div>
 
         <div style={styles.statItem}>
-          <span style={styles.statLabel}>Server Region:</span>
+          <span style={styles.statLabel}>{t('serverStats.serverRegion')}</span>
           <span style={styles.statValue}>{serverStats.serverRegion}</span>
         </div>
 
         <div style={styles.statItem}>
-          <span style={styles.statLabel}>Node Version:</span>
+          <span style={styles.statLabel}>{t('serverStats.nodeVersion')}</span>
           <span style={styles.statValue}>{serverStats.nodeVersion}</span>
         </div>
 
         <div style={styles.statItem}>
-          <span style={styles.statLabel}>Platform:</span>
+          <span style={styles.statLabel}>{t('serverStats.platform')}</span>
           <span style={styles.statValue}>{serverStats.platform}</span>
         </div>
       </div>
@@ -133,33 +173,181 @@ function ServerStatsCard() {
   );
 }
 
+// ============================================================================
+// SERVER ACTIONS: Login / Logout
+// ============================================================================
+// Login checks the submitted credentials against the local user store
+// (lib/users.js) and issues an HMAC-signed auth cookie. Logout clears it.
+//
+// Both end with redirect('/') rather than revalidatePath: Next.js renders
+// the redirect target as a new request carrying the updated cookie, so
+// GlobalConfigurationPage re-renders with the verified login status and the
+// context reflects the real result. (A page re-rendered by revalidatePath
+// would still see the cookies the action request arrived with.)
+//
+// Failed logins return one message for both unknown users and wrong
+// passwords, so the form does not reveal which usernames exist.
+// ============================================================================
+
+async function login(previousState, formData) {
+  'use server';
+
+  const t = await getTranslator();
+  const username = validateUsername(formData.get('username'));
+  const password = validatePassword(formData.get('password'));
+
+  if (username.fieldError || password.fieldError) {
+    return actionFailure(t('auth.missingCredentials'), {
+      ...(username.fieldError && { username: username.fieldError }),
+      ...(password.fieldError && { password: password.fieldError })
+    });
+  }
+
+  const user = await authenticateUser(username.value, password.value);
+
+  if (!user) {
+    console.log('⛔ [SERVER ACTION] Failed login for:', username.value);
+    return actionFailure(t('auth.invalidCredentials'));
+  }
+
+  try {
+    await startAuthSession(user.username);
+  } catch (error) {
+    if (!(error instanceof MissingSecretError)) {
+      throw error;
+    }
+    console.error('⛔ [SERVER ACTION] Cannot log in:', error.message);
+    return actionFailure(t('auth.loginUnavailable'), {}, 503);
+  }
+
+  console.log('🔐 [SERVER ACTION] Logged in:', user.username);
+
+  redirect('/');
+}
+
+async function logout() {
+  'use server';
+
+  endAuthSession();
+  console.log('🔓 [SERVER ACTION] Logged out');
+
+  redirect('/');
+}
+
+// ============================================================================
+// SERVER ACTION: updateLanguage
+// ============================================================================
+// Saves the visitor's language, or clears it (empty value) to go back to
+// negotiating from Accept-Language and the region. RootLayout renders the
+// locale for every route, so the whole layout is revalidated.
+//
+// Like the currency and theme actions in app/server-actions-demo, the form
+// submits the preferences version it rendered, and a change based on an
+// outdated version returns a 409 result naming the stored language (see
+// lib/record-version.js).
+// ============================================================================
+
+async function updateLanguage(previousState, formData) {
+  'use server';
+
+  const t = await getTranslator();
+  const access = await authorize(PERMISSIONS.updatePreferences);
+
+  if (!access.allowed) {
+    console.log('⛔ [SERVER ACTION] Forbidden language update for role:', access.role);
+    return actionForbidden(access.message);
+  }
+
+  const validation = validateLanguage(formData.get('language'));
+  const versionValidation = validateVersion(formData.get('version'));
+
+  if (validation.fieldError || versionValidation.fieldError) {
+    const fieldErrors = translateFieldErrors(t, {
+      ...(validation.fieldError && { language: validation.fieldError }),
+      ...(versionValidation.fieldError && { version: versionValidation.fieldError })
+    });
+    console.log('⛔ [SERVER ACTION] Rejected language update:', fieldErrors);
+    return actionFailure(t('language.errors.notUpdated'), fieldErrors);
+  }
+
+  const newLanguage = validation.value;
+  const sessionId = getSessionId();
+
+  if (!sessionId) {
+    console.log('⛔ [SERVER ACTION] Rejected language update: no session');
+    return actionFailure(t('language.errors.noSession'));
+  }
+
+  const saved = await attemptStorageOperation(() => savePreferences(getStore(), {
+    sessionId,
+    actor: getAuditActor(access.user, sessionId),
+    changes: { language: newLanguage },
+    expectedVersion: versionValidation.value
+  }), 'save the language');
+
+  if (saved.failure) {
+    return saved.failure;
+  }
+
+  // Every route renders the locale through the root layout
+  revalidatePath('/', 'layout');
+
+  if (saved.value.conflict) {
+    const { current } = saved.value;
+
+    console.log('⚠️ [SERVER ACTION] Language update conflict:', {
+      sessionId,
+      expectedVersion: versionValidation.value,
+      storedVersion: current.version
+    });
+
+    return actionConflict(
+      current.language
+        ? t('language.errors.conflict', { language: LOCALE_NAMES[current.language] })
+        : t('language.errors.conflictAutomatic'),
+      {
+        current: { language: current.language ?? '', version: current.version },
+        attempted: { language: newLanguage ?? '' }
+      }
+    );
+  }
+
+  console.log('🗣️ [SERVER ACTION] Language updated:', saved.value.current);
+
+  return actionSuccess({ version: saved.value.current.version });
+}
+
 // ============================================================================
 // SERVER COMPONENT: Main Page Export
 // ============================================================================
 // This is the MAIN SERVER COMPONENT that orchestrates the entire page.
-// It simulates middleware logic and passes initial state to Client Components.
+// It reads middleware values and passes initial state to Client Components.
 // ============================================================================
 
-export default function GlobalConfigurationPage() {
+export default async function GlobalConfigurationPage() {
   // ========================================================================
-  // MIDDLEWARE SIMULATION
+  // MIDDLEWARE VALUES
   // ========================================================================
-  // In a real Next.js application, these values would come from:
-  // - Middleware (examining headers, cookies, etc.)
-  // - Environment variables
-  // - Edge functions
-  // - Server-side API calls
-  //
-  // For this demonstration, we simulate these server-determined values.
+  // middleware.js inspects the geo headers on every request and forwards
+  // normalized values as request headers. We read them here via headers().
+  // If the middleware did not run for this request, we fall back to
+  // resolving the raw geo headers directly.
   // ========================================================================
 
-  // Simulate reading from request headers or middleware
-  // In production: const authToken = cookies().get('auth_token')
-  const AUTH_TOKEN = true; // Simulate authenticated user
+  const requestHeaders = headers();
+  const t = await getTranslator();
+  const language = await getRequestLocale();
+
+  // Authentication from the signed auth_token cookie (null when missing,
+  // forged or expired)
+  const currentUser = await getCurrentUser();
+  const AUTH_TOKEN = currentUser ? 'verified' : 'none';
 
-  // Simulate geo-location from request headers
-  // In production: const geoCode = headers().get('x-vercel-ip-country')
-  const GEO_COUNTRY_CODE = 'CA'; // Simulate Canadian user
+  // Geo-location from x-vercel-ip-country, cf-ipcountry or a custom header
+  const middlewareCountry = requestHeaders.get(REQUEST_HEADERS.country);
+  const { countryCode: GEO_COUNTRY_CODE, source: GEO_SOURCE } = middlewareCountry
+    ? { countryCode: middlewareCountry, source: requestHeaders.get(REQUEST_HEADERS.countrySource) }
+    : resolveCountry(requestHeaders);
 
   // ========================================================================
   // SERVER-SIDE BUSINESS LOGIC
@@ -168,30 +356,53 @@ export default function GlobalConfigurationPage() {
   // This logic runs ONLY on the server
   // ========================================================================
 
-  // Determine currency based on geographic location
-  const currencyCode = GEO_COUNTRY_CODE === 'CA' ? 'CAD' : 'USD';
+  // Determine currency based on geographic location (see lib/regions.js)
+  const region = getRegionForCountry(GEO_COUNTRY_CODE);
+  const currencyCode = region.currency;
 
-  // Determine login status from auth token
-  const isLoggedIn = Boolean(AUTH_TOKEN);
+  // Determine login status from the verified session
+  const isLoggedIn = currentUser !== null;
 
   // User location from geo code
   const userLocation = GEO_COUNTRY_CODE;
 
+  // Evaluate feature targeting rules with the server-determined context.
+  // FeatureFlags runs the same evaluator in the browser as the context changes.
+  const targetedFlags = featureTargeting.flags;
+  const enabledFeatures = evaluateFlags(targetedFlags, { isLoggedIn, currencyCode, userLocation })
+    .filter(feature => feature.enabled)
+    .map(feature => feature.key);
+
+  // Exchange rates for the price panel. Loaded once here; the client converts
+  // with them as the location (and currency) changes.
+  const exchangeRates = await getExchangeRates();
+
+  // Starting point of the live update stream FeatureFlags subscribes to. If
+  // the store is unavailable the page still renders, and the stream starts
+  // at the newest change once it connects.
+  const { value: lastEventId } = await attemptStorageOperation(
+    () => getLastConfigEventId(getStore()),
+    'read the last configuration event'
+  );
+
   // Package server initial data for visualization
   const serverInitialData = {
     AUTH_TOKEN,
     GEO_COUNTRY_CODE,
+    GEO_SOURCE,
     isLoggedIn,
     currencyCode,
-    userLocation
+    userLocation,
+    enabledFeatures
   };
 
   console.log('🖥️  SERVER COMPONENT EXECUTION:');
-  console.log('   Simulated AUTH_TOKEN:', AUTH_TOKEN);
-  console.log('   Simulated GEO_COUNTRY_CODE:', GEO_COUNTRY_CODE);
+  console.log('   Verified session:', currentUser?.username ?? 'none');
+  console.log('   Middleware GEO_COUNTRY_CODE:', GEO_COUNTRY_CODE, `(${GEO_SOURCE})`);
   console.log('   Computed isLoggedIn:', isLoggedIn);
   console.log('   Computed currencyCode:', currencyCode);
   console.log('   Computed userLocation:', userLocation);
+  console.log('   Enabled features:', enabledFeatures);
 
   // ========================================================================
   // COMPONENT COMPOSITION
@@ -224,12 +435,19 @@ export default function GlobalConfigurationPage() {
 
           This demonstrates the SERVER → CLIENT data flow pattern.
           The server computes the initial state, and the client can
-          then mutate it without server round-trips.
+          then mutate it without server round-trips. Login status is
+          the exception: it changes only through the login/logout
+          Server Actions.
         */}
         <UserProvider
           isLoggedIn={isLoggedIn}
+          user={currentUser}
           currencyCode={currencyCode}
           userLocation={userLocation}
+          language={language}
+          login={login}
+          logout={logout}
+          updateLanguage={updateLanguage}
         >
           {/*
             All components inside UserProvider can access the context.
@@ -239,7 +457,9 @@ export default function GlobalConfigurationPage() {
 
           <CurrencyToggle />
 
-          <FeatureFlags />
+          <PriceList exchangeRates={exchangeRates} />
+
+          <FeatureFlags flags={targetedFlags} lastEventId={lastEventId} />
 
           <DataFlowVisualization serverInitialData={serverInitialData} />
 
@@ -247,73 +467,66 @@ export default function GlobalConfigurationPage() {
 
         {/* Architecture Overview Section */}
         <div style={styles.card}>
-          <h3 style={styles.cardTitle}>📚 Architecture Overview</h3>
+          <h3 style={styles.cardTitle}>{t('architecture.title')}</h3>
 
           <div style={styles.architectureOverview}>
             <div style={styles.architectureSection}>
-              <h4 style={styles.architectureSectionTitle}>🖥️ Server Components (Default)</h4>
+              <h4 style={styles.architectureSectionTitle}>{t('architecture.serverComponents.title')}</h4>
               <ul style={styles.architectureList}>
-                <li><strong>StaticHeader</strong>: Renders static dashboard title and metadata</li>
-                <li><strong>ServerStatsCard</strong>: Displays server-side runtime information</li>
-                <li><strong>GlobalConfigurationPage (this)</strong>: Main orchestrator with middleware simulation</li>
+                <li><strong>StaticHeader</strong>: {t('architecture.serverComponents.staticHeader')}</li>
+                <li><strong>ServerStatsCard</strong>: {t('architecture.serverComponents.serverStatsCard')}</li>
+                <li><strong>GlobalConfigurationPage (this)</strong>: {t('architecture.serverComponents.page')}</li>
               </ul>
               <p style={styles.architectureDescription}>
-                These components execute ONLY on the server. They can access server-side
-                resources, perform database queries, and deliver pre-rendered HTML. No
-                JavaScript for these components is sent to the browser.
+                {t('architecture.serverComponents.description')}
               </p>
             </div>
 
             <div style={styles.architectureSection}>
-              <h4 style={styles.architectureSectionTitle}>💻 Client Components ("use client")</h4>
+              <h4 style={styles.architectureSectionTitle}>{t('architecture.clientComponents.title')}</h4>
               <ul style={styles.architectureList}>
-                <li><strong>UserProvider</strong>: Manages global user state context</li>
-                <li><strong>CurrencyToggle</strong>: Interactive controls for location/currency</li>
-                <li><strong>FeatureFlags</strong>: Context-driven feature enablement</li>
-                <li><strong>DataFlowVisualization</strong>: Visual representation of data flow</li>
+                <li><strong>UserProvider</strong>: {t('architecture.clientComponents.userProvider')}</li>
+                <li><strong>CurrencyToggle</strong>: {t('architecture.clientComponents.currencyToggle')}</li>
+                <li><strong>FeatureFlags</strong>: {t('architecture.clientComponents.featureFlags')}</li>
+                <li><strong>DataFlowVisualization</strong>: {t('architecture.clientComponents.dataFlowVisualization')}</li>
               </ul>
               <p style={styles.architectureDescription}>
-                These components execute in the browser and enable interactivity. They can
-                use React hooks (useState, useEffect, etc.) and respond to user events.
-                They receive initial state from Server Components via props.
+                {t('architecture.clientComponents.description')}
               </p>
             </div>
 
             <div style={styles.architectureSection}>
-              <h4 style={styles.architectureSectionTitle}>🔄 Data Flow Pattern</h4>
+              <h4 style={styles.architectureSectionTitle}>{t('architecture.dataFlow.title')}</h4>
               <ol style={styles.architectureList}>
                 <li>
-                  <strong>Server:</strong> Middleware simulates AUTH_TOKEN and GEO_COUNTRY_CODE
+                  <strong>{t('architecture.dataFlow.server')}</strong> {t('architecture.dataFlow.resolveRequest')}
                 </li>
                 <li>
-                  <strong>Server:</strong> Business logic computes isLoggedIn, currencyCode, userLocation
+                  <strong>{t('architecture.dataFlow.server')}</strong> {t('architecture.dataFlow.computeState')}
                 </li>
                 <li>
-                  <strong>Server → Client:</strong> Initial state passed as props to UserProvider
+                  <strong>{t('architecture.dataFlow.serverToClient')}</strong> {t('architecture.dataFlow.passProps')}
                 </li>
                 <li>
-                  <strong>Client:</strong> UserProvider initializes context with server values
+                  <strong>{t('architecture.dataFlow.client')}</strong> {t('architecture.dataFlow.initializeContext')}
                 </li>
                 <li>
-                  <strong>Client:</strong> Child components consume and mutate context as needed
+                  <strong>{t('architecture.dataFlow.client')}</strong> {t('architecture.dataFlow.consumeContext')}
                 </li>
               </ol>
               <p style={styles.architectureDescription}>
-                This unidirectional data flow ensures that the server has full control over
-                the initial state while allowing the client to manage subsequent mutations
-                without server round-trips.
+                {t('architecture.dataFlow.description')}
               </p>
             </div>
 
             <div style={styles.architectureSection}>
-              <h4 style={styles.architectureSectionTitle}>🎯 Enterprise Benefits</h4>
+              <h4 style={styles.architectureSectionTitle}>{t('architecture.benefits.title')}</h4>
               <ul style={styles.architectureList}>
-                <li><strong>Performance:</strong> Server Components reduce client-side bundle size</li>
-                <li><strong>Security:</strong> Sensitive logic stays on the server</li>
-                <li><strong>SEO:</strong> Pre-rendered HTML improves search engine indexing</li>
-                <li><strong>Data Fetching:</strong> Direct database/API access from Server Components</li>
-                <li><strong>Code Splitting:</strong> Automatic optimization of Client Components</li>
-                <li><strong>Streaming:</strong> Progressive page rendering as data becomes available</li>
+                {['performance', 'security', 'seo', 'dataFetching', 'codeSplitting', 'streaming'].map(benefit => (
+                  <li key={benefit}>
+                    <strong>{t(`architecture.benefits.${benefit}`)}</strong> {t(`architecture.benefits.${benefit}Text`)}
+                  </li>
+                ))}
               </ul>
             </div>
           </div>
@@ -322,10 +535,10 @@ export default function GlobalConfigurationPage() {
         {/* Footer */}
         <div style={styles.footer}>
           <p style={styles.footerText}>
-            Built with Next.js 13+ App Router • Server Components • Client Components • React Server Components
+            {t('footer.builtWith')}
           </p>
           <p style={styles.footerText}>
-            This dashboard demonstrates enterprise-grade architectural patterns for modern web applications.
+            {t('footer.tagline')}
           </p>
         </div>
       </div>
@@ -340,7 +553,7 @@ export default function GlobalConfigurationPage() {
 const styles = {
   page: {
     minHeight: '100vh',
-    backgroundColor: '#f3f4f6'
+    backgroundColor: 'var(--color-background)'
   },
   header: {
     backgroundColor: '#1f2937',
@@ -396,18 +609,18 @@ const styles = {
     padding: '0 24px 48px 24px'
   },
   card: {
-    backgroundColor: '#ffffff',
+    backgroundColor: 'var(--color-surface)',
     borderRadius: '12px',
     padding: '24px',
     marginBottom: '24px',
     boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06)',
-    border: '1px solid #e5e7eb'
+    border: '1px solid var(--color-border)'
   },
   cardTitle: {
     margin: '0 0 20px 0',
     fontSize: '20px',
     fontWeight: '600',
-    color: '#111827',
+    color: 'var(--color-text)',
     borderBottom: '2px solid #3b82f6',
     paddingBottom: '12px'
   },
@@ -422,20 +635,20 @@ const styles = {
     flexDirection: 'column',
     gap: '8px',
     padding: '12px',
-    backgroundColor: '#f9fafb',
+    backgroundColor: 'var(--color-surface-muted)',
     borderRadius: '8px'
   },
   statLabel: {
     fontSize: '12px',
     fontWeight: '600',
-    color: '#6b7280',
+    color: 'var(--color-text-muted)',
     textTransform: 'uppercase',
     letterSpacing: '0.05em'
   },
   statValue: {
     fontSize: '14px',
     fontWeight: '600',
-    color: '#111827',
+    color: 'var(--color-text)',
     fontFamily: 'Monaco, Consolas, "Courier New", monospace'
   },
   explanation: {
@@ -457,7 +670,7 @@ const styles = {
   },
   architectureSection: {
     padding: '20px',
-    backgroundColor: '#f9fafb',
+    backgroundColor: 'var(--color-surface-muted)',
     borderRadius: '8px',
     borderLeft: '4px solid #3b82f6'
   },
@@ -465,29 +678,29 @@ const styles = {
     margin: '0 0 12px 0',
     fontSize: '18px',
     fontWeight: '600',
-    color: '#111827'
+    color: 'var(--color-text)'
   },
   architectureList: {
     margin: '0 0 12px 0',
     paddingLeft: '20px',
-    color: '#4b5563'
+    color: 'var(--color-text-secondary)'
   },
   architectureDescription: {
     margin: 0,
     fontSize: '14px',
     lineHeight: '1.6',
-    color: '#6b7280',
+    color: 'var(--color-text-muted)',
     fontStyle: 'italic'
   },
   footer: {
     textAlign: 'center',
     paddingTop: '24px',
     marginTop: '24px',
-    borderTop: '1px solid #e5e7eb'
+    borderTop: '1px solid var(--color-border)'
   },
   footerText: {
     margin: '8px 0',
     fontSize: '14px',
-    color: '#6b7280'
+    color: 'var(--color-text-muted)'
   }
 };
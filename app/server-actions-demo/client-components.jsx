@@ -7,14 +7,28 @@
  * 1. Receive data and feature flags from Server Component (via props)
  * 2. Render interactive forms that trigger Server Actions
  * 3. Use useFormStatus for real-time loading states
- * 4. Implement feature-gated UI based on server configuration
+ * 4. Render errors returned by Server Actions (useFormState, or
+ *    useOptimisticAction for forms with optimistic updates)
+ * 5. Implement feature-gated UI based on server configuration
+ * 6. Translate labels with useTranslations() (the 💡 pattern notes are
+ *    developer documentation and stay in English)
+ * 7. Show preference and feature flag changes before the server confirms them
+ *    with useOptimistic, rolling back if the action fails
+ * 8. Submit the version of the record they rendered, and offer to re-apply
+ *    a change the server refused because the record changed in the meantime
  *
  * ============================================================================
  */
 
 'use client';
 
-import { useFormStatus } from 'react-dom';
+import { useOptimistic, useRef, useState, useTransition } from 'react';
+import { useFormState, useFormStatus } from 'react-dom';
+import { SUPPORTED_CURRENCIES } from '../../lib/regions';
+import { SUPPORTED_THEMES } from '../../lib/preferences';
+import { INITIAL_ACTION_RESULT, actionFailure } from '../../lib/action-result';
+import { useTranslations } from '../I18nProvider';
+import { useConfigEvents } from '../useConfigEvents';
 
 // ============================================================================
 // CLIENT COMPONENT: Submit Button with Loading State
@@ -23,23 +37,479 @@ import { useFormStatus } from 'react-dom';
 //
 // CRITICAL PATTERN: useFormStatus must be called from a component that is
 // a child of the <form> element. It provides real-time submission status.
+//
+// Forms with optimistic updates pass `optimistic` and their own `saving`
+// state, since they submit in a transition that useFormStatus does not see
+// (see useOptimisticAction). The page already shows the submitted value, so
+// the button stays usable and the loading label is shown next to it while
+// the action runs.
 // ============================================================================
 
-function SubmitButton({ label = 'Save', loadingLabel = 'Saving...' }) {
+function SubmitButton({ label, loadingLabel, optimistic = false, saving = false }) {
   const { pending } = useFormStatus();
+  const disabled = pending && !optimistic;
+
+  return (
+    <div style={styles.submitRow}>
+      <button
+        type="submit"
+        disabled={disabled}
+        style={{
+          ...styles.submitButton,
+          opacity: disabled ? 0.6 : 1,
+          cursor: disabled ? 'not-allowed' : 'pointer'
+        }}
+      >
+        {disabled ? loadingLabel : label}
+      </button>
+      {optimistic && (
+        <span role="status" style={styles.savingHint}>
+          {saving || pending ? loadingLabel : ''}
+        </span>
+      )}
+    </div>
+  );
+}
+
+// ============================================================================
+// HOOK: useOptimisticAction
+// ============================================================================
+// Runs a Server Action after applying an optimistic update (a setter
+// returned by useOptimistic in PreferencesManager). Returns the result to
+// show, props for the <form> and whether a submission is still saving:
+//
+//   const [result, formProps, saving] = useOptimisticAction(action, update, writes);
+//   <form {...formProps}>
+//
+// PROGRESSIVE ENHANCEMENT: formProps.action comes from useFormState, so the
+// form still posts to the Server Action before JavaScript has loaded. Once
+// hydrated, onSubmit takes over: it cancels that submission and calls the
+// action itself inside a transition.
+//
+// The optimistic value lasts while the transition is pending. React then
+// falls back to the props, which the action has revalidated on success and
+// left unchanged on failure, so a failed change rolls back by itself; the
+// failure is returned as the result to show. An action that throws (e.g.
+// the server is unreachable) is reported the same way.
+//
+// Overlapping submissions: each one applies its own optimistic update on top
+// of the latest props until all of them settle, and only the newest
+// submission's result is kept, so a slow earlier response cannot replace it.
+//
+// VERSIONS: the forms submit the record version they rendered, and the
+// server refuses a write based on an outdated one (lib/record-version.js).
+// Submissions are therefore sent one at a time, each with at least the
+// version the previous one saved, so quick repeated clicks do not conflict
+// with each other while the props still hold the old version. Forms that
+// write the same record pass the same `writes` (see useRecordWrites), so
+// they also wait for and build on each other's saves.
+// ============================================================================
+
+// Queue and newest saved version of the submissions writing one record
+function useRecordWrites() {
+  return useRef({ previousSubmissions: Promise.resolve(), savedVersion: 0 }).current;
+}
+
+function useOptimisticAction(action, applyOptimisticUpdate, sharedWrites) {
+  const { t } = useTranslations();
+  const [formState, formAction] = useFormState(action, INITIAL_ACTION_RESULT);
+  const [clientResult, setClientResult] = useState(null);
+  const [saving, startTransition] = useTransition();
+  const latestSubmission = useRef(0);
+  const ownWrites = useRecordWrites();
+  const writes = sharedWrites ?? ownWrites;
+
+  function handleSubmit(event) {
+    event.preventDefault();
+
+    const formData = new FormData(event.currentTarget);
+    const submission = ++latestSubmission.current;
+    const earlierSubmissions = writes.previousSubmissions;
+    let settle;
+    writes.previousSubmissions = new Promise(resolve => { settle = resolve; });
+
+    startTransition(async () => {
+      applyOptimisticUpdate(formData);
+
+      await earlierSubmissions;
+
+      if (formData.has('version')) {
+        formData.set('version', String(Math.max(Number(formData.get('version')), writes.savedVersion)));
+      }
+
+      let nextResult;
+      try {
+        nextResult = await action(INITIAL_ACTION_RESULT, formData);
+      } catch (error) {
+        console.error('Server Action failed:', error);
+        nextResult = actionFailure(t('saveStatus.unreachable'), {}, 500);
+      } finally {
+        settle();
+      }
+
+      if (nextResult.ok && Number.isInteger(nextResult.version)) {
+        writes.savedVersion = Math.max(writes.savedVersion, nextResult.version);
+      }
+
+      if (submission === latestSubmission.current) {
+        setClientResult(nextResult);
+      }
+    });
+  }
+
+  return [clientResult ?? formState, { action: formAction, onSubmit: handleSubmit }, saving];
+}
+
+// Error banner of a form with optimistic updates
+function RollbackNotice({ result, children }) {
+  const { t } = useTranslations();
+
+  if (!result.error) {
+    return null;
+  }
+
+  return (
+    <div role="alert" style={styles.errorBanner}>
+      ⚠️ {t('saveStatus.undone')} {result.error} {children}
+    </div>
+  );
+}
+
+// ============================================================================
+// CLIENT COMPONENT: Re-apply Form
+// ============================================================================
+// Rendered inside the error banner of a 409 result, when the record changed
+// after the form was rendered. Submits the user's values again, based on the
+// version the server returned, through the same form props as the form that
+// conflicted. Nothing is offered when the stored values already match.
+// ============================================================================
+
+function ReapplyForm({ result, formProps, hiddenFields = {} }) {
+  const { t } = useTranslations();
+
+  if (!result.conflict) {
+    return null;
+  }
+
+  const { current, attempted } = result.conflict;
+  const alreadyApplied = Object.entries(attempted)
+    .every(([field, value]) => String(current[field]) === value);
+
+  if (alreadyApplied) {
+    return null;
+  }
+
+  const fields = { ...hiddenFields, ...attempted, version: String(current.version) };
+
+  return (
+    <form {...formProps} style={styles.reapplyForm}>
+      {Object.entries(fields).map(([name, value]) => (
+        <input key={name} type="hidden" name={name} value={value} />
+      ))}
+      <button type="submit" style={styles.reapplyButton}>
+        {t('saveStatus.reapply')}
+      </button>
+    </form>
+  );
+}
+
+// ============================================================================
+// CLIENT COMPONENT: Currency Form with Validation Errors
+// ============================================================================
+// useOptimisticAction wraps the updateUserCurrency Server Action and keeps
+// its most recent ActionResult ({ ok, error, fieldErrors }) in state.
+//
+// The layout depends on the visitor's variant in the currencyFormLayout
+// experiment, assigned on the server (see lib/experiments.js).
+//
+// The submitted currency is shown as current right away. When validation
+// fails on the server, nothing is written, so the "Current Currency" display
+// and the radio buttons return to the stored value while the error messages
+// render next to the form. When the preferences changed after the page
+// loaded, the banner names the stored currency and offers to re-apply.
+// The theme form writes the same preferences record through the same
+// `preferenceWrites`.
+// ============================================================================
+
+function CurrencyForm({
+  currency,
+  version,
+  variant,
+  preferenceWrites,
+  updateUserCurrency,
+  setOptimisticCurrency
+}) {
+  const { t } = useTranslations();
+  const [result, formProps, saving] = useOptimisticAction(
+    updateUserCurrency,
+    formData => setOptimisticCurrency(formData.get('currency')),
+    preferenceWrites
+  );
+  const currencyError = result.fieldErrors.currency;
+
+  // A/B EXPERIMENT (currencyFormLayout): A = vertical radio list, B = compact grid
+  const isGridLayout = variant === 'B';
+
+  return (
+    <div style={styles.form}>
+      <RollbackNotice result={result}>
+        <ReapplyForm result={result} formProps={formProps} />
+      </RollbackNotice>
+
+      <form {...formProps} style={styles.form}>
+        <input type="hidden" name="version" value={version} />
+
+        <div
+          role="radiogroup"
+          aria-invalid={Boolean(currencyError)}
+          aria-describedby={currencyError ? 'currency-error' : undefined}
+          style={isGridLayout ? styles.tileGrid : styles.radioGroup}
+        >
+          {SUPPORTED_CURRENCIES.map(option => (
+            <label key={option.code} style={isGridLayout ? styles.tileLabel : styles.radioLabel}>
+              <input
+                // Re-mount when the shown currency changes so defaultChecked applies
+                key={currency}
+                type="radio"
+                name="currency"
+                value={option.code}
+                defaultChecked={currency === option.code}
+                style={styles.radio}
+              />
+              {isGridLayout ? (
+                <span style={styles.tileText}>
+                  <span style={styles.tileFlag}>{option.flag}</span>
+                  {option.code}
+                </span>
+              ) : (
+                <span style={styles.radioText}>
+                  {option.flag} {option.code} - {option.name}
+                </span>
+              )}
+            </label>
+          ))}
+        </div>
+
+        {currencyError && (
+          <p id="currency-error" style={styles.fieldError}>
+            {currencyError}
+          </p>
+        )}
+
+        {/* Optimistic submit: the saving state comes from useOptimisticAction */}
+        <SubmitButton
+          label={t('preferences.updateCurrency')}
+          loadingLabel={t('preferences.updating')}
+          optimistic
+          saving={saving}
+        />
+      </form>
+    </div>
+  );
+}
+
+// ============================================================================
+// CLIENT COMPONENT: Theme Picker
+// ============================================================================
+// Submits to the updateUserTheme Server Action. The new theme is applied by
+// RootLayout when the action revalidates it, not by this component; only the
+// "Current Theme" display updates optimistically.
+//
+// The currency form writes the same preferences record, so both submit
+// through the same `preferenceWrites`: a theme saved right after a currency
+// waits for it and sends the version it wrote instead of conflicting.
+// ============================================================================
+
+function ThemeForm({ theme, version, preferenceWrites, updateUserTheme, setOptimisticTheme }) {
+  const { t } = useTranslations();
+  const [result, formProps, saving] = useOptimisticAction(
+    updateUserTheme,
+    formData => setOptimisticTheme(formData.get('theme')),
+    preferenceWrites
+  );
+  const themeError = result.fieldErrors.theme;
+
+  return (
+    <div style={styles.form}>
+      <RollbackNotice result={result}>
+        <ReapplyForm result={result} formProps={formProps} />
+      </RollbackNotice>
+
+      <form {...formProps} style={styles.form}>
+        <input type="hidden" name="version" value={version} />
+
+        <div
+          role="radiogroup"
+          aria-invalid={Boolean(themeError)}
+          aria-describedby={themeError ? 'theme-error' : undefined}
+          style={styles.tileGrid}
+        >
+          {SUPPORTED_THEMES.map(option => (
+            <label key={option} style={styles.tileLabel}>
+              <input
+                // Re-mount when the shown theme changes so defaultChecked applies
+                key={theme}
+                type="radio"
+                name="theme"
+                value={option}
+                defaultChecked={theme === option}
+                style={styles.radio}
+              />
+              <span style={styles.tileText}>{t(`preferences.themes.${option}`)}</span>
+            </label>
+          ))}
+        </div>
+
+        {themeError && (
+          <p id="theme-error" style={styles.fieldError}>
+            {themeError}
+          </p>
+        )}
+
+        <SubmitButton
+          label={t('preferences.updateTheme')}
+          loadingLabel={t('preferences.updating')}
+          optimistic
+          saving={saving}
+        />
+      </form>
+    </div>
+  );
+}
+
+// ============================================================================
+// CLIENT COMPONENT: Feature Flag Toggle Form
+// ============================================================================
+// Submits the flag name and the value the button offers (the opposite of
+// the one shown) to the toggleFeatureFlag Server Action. The server only
+// changes existing, unarchived flags; a rejected name comes back as an
+// ActionResult error and is shown above the button.
+//
+// The submitted value is shown optimistically, so quick repeated clicks
+// alternate between enabling and disabling, and each click is saved on top
+// of the version the previous one wrote (see useOptimisticAction). The
+// rollout form writes the same flag record through the same `flagWrites`.
+// ============================================================================
+
+function FeatureFlagForm({
+  flagName,
+  enabled,
+  version,
+  flagWrites,
+  toggleFeatureFlag,
+  updateOptimisticFlag
+}) {
+  const { t } = useTranslations();
+  const [result, formProps, saving] = useOptimisticAction(
+    toggleFeatureFlag,
+    formData => updateOptimisticFlag({ type: 'enabled', enabled: formData.get('enabled') === 'true' }),
+    flagWrites
+  );
+
+  return (
+    <div style={styles.form}>
+      <RollbackNotice result={result}>
+        {result.fieldErrors.flagName}
+        <ReapplyForm result={result} formProps={formProps} hiddenFields={{ flagName }} />
+      </RollbackNotice>
+
+      <form {...formProps} style={styles.form}>
+        <input type="hidden" name="flagName" value={flagName} />
+        <input type="hidden" name="enabled" value={String(!enabled)} />
+        <input type="hidden" name="version" value={version} />
+        <SubmitButton
+          label={enabled ? t('flagControls.disableFeature') : t('flagControls.enableFeature')}
+          loadingLabel={t('flagControls.toggling')}
+          optimistic
+          saving={saving}
+        />
+      </form>
+    </div>
+  );
+}
+
+// ============================================================================
+// CLIENT COMPONENT: Rollout Percentage Slider
+// ============================================================================
+// Local state mirrors the slider so the percentage updates while dragging;
+// nothing is saved until the form is submitted to updateFlagRollout.
+//
+// The slider follows the shown percentage whenever it changes: after a save,
+// another tab's change, or a rollback of a failed save.
+// ============================================================================
+
+function RolloutForm({
+  flagName,
+  rollout,
+  currencyToggleEnabled,
+  flagWrites,
+  updateFlagRollout,
+  updateOptimisticFlag
+}) {
+  const { t } = useTranslations();
+  const [result, formProps, saving] = useOptimisticAction(
+    updateFlagRollout,
+    formData => updateOptimisticFlag({
+      type: 'rollout',
+      rolloutPercentage: Number(formData.get('rolloutPercentage'))
+    }),
+    flagWrites
+  );
+  const [percentage, setPercentage] = useState(rollout.rolloutPercentage);
+  const [shownPercentage, setShownPercentage] = useState(rollout.rolloutPercentage);
+
+  if (rollout.rolloutPercentage !== shownPercentage) {
+    setShownPercentage(rollout.rolloutPercentage);
+    setPercentage(rollout.rolloutPercentage);
+  }
 
   return (
-    <button
-      type="submit"
-      disabled={pending}
-      style={{
-        ...styles.submitButton,
-        opacity: pending ? 0.6 : 1,
-        cursor: pending ? 'not-allowed' : 'pointer'
-      }}
-    >
-      {pending ? loadingLabel : label}
-    </button>
+    <div style={styles.form}>
+      <RollbackNotice result={result}>
+        <ReapplyForm result={result} formProps={formProps} hiddenFields={{ flagName }} />
+      </RollbackNotice>
+
+      <form {...formProps} style={styles.form}>
+        <input type="hidden" name="flagName" value={flagName} />
+        <input type="hidden" name="version" value={rollout.version} />
+
+        <label style={styles.sliderLabel}>
+          <span style={styles.label}>{t('flagControls.serveTo', { percentage })}</span>
+          <input
+            type="range"
+            name="rolloutPercentage"
+            min="0"
+            max="100"
+            step="5"
+            value={percentage}
+            onChange={(e) => setPercentage(Number(e.target.value))}
+            style={styles.slider}
+          />
+        </label>
+
+        {result.fieldErrors.rolloutPercentage && (
+          <p style={styles.fieldError}>{result.fieldErrors.rolloutPercentage}</p>
+        )}
+
+        {rollout.userBucket !== null && (
+          <p style={styles.bucketInfo}>
+            {t('flagControls.yourBucket')} <strong>{rollout.userBucket.toFixed(2)}</strong>
+            {' '}{t('flagControls.ofHundred')}{' '}
+            {currencyToggleEnabled
+              ? t('flagControls.receivesFeature')
+              : t('flagControls.doesNotReceiveFeature')}
+            {!rollout.enabled && ` ${t('flagControls.masterSwitchOff')}`}
+          </p>
+        )}
+
+        <SubmitButton
+          label={t('flagControls.saveRollout')}
+          loadingLabel={t('flagControls.saving')}
+          optimistic
+          saving={saving}
+        />
+      </form>
+    </div>
   );
 }
 
@@ -53,148 +523,222 @@ function SubmitButton({ label = 'Save', loadingLabel = 'Saving...' }) {
 //
 // DATA FLOW:
 // Server Component → Props → Client Component → Server Action → revalidatePath
+//
+// ACCESS CONTROL: flagPermissions ({ canToggle, canUpdateRollout }) comes from
+// the visitor's role. Controls the role cannot use are not rendered; the
+// Server Actions enforce the same permissions and return a 403 result.
+//
+// LIVE UPDATES: useConfigEvents() refreshes the page when another tab, the
+// REST API or a revert changes a flag or this visitor's preferences.
+//
+// OPTIMISTIC UPDATES: the currency and the currencyToggleEnabled flag are
+// rendered from useOptimistic copies of the props, which the forms update on
+// submit (see useOptimisticAction).
+//
+// CONFLICTS: preferencesVersion and currencyToggleRollout.version are the
+// versions this render is based on. The forms submit them, and a change
+// refused because the record moved on shows the stored value with a
+// "Re-apply my change" button (see ReapplyForm).
 // ============================================================================
 
+// Reducer for optimistic changes to { enabled, rolloutPercentage, version, userBucket }
+function applyFlagChange(flag, change) {
+  if (change.type === 'enabled') {
+    return { ...flag, enabled: change.enabled };
+  }
+
+  if (change.type === 'rollout') {
+    return { ...flag, rolloutPercentage: change.rolloutPercentage };
+  }
+
+  return flag;
+}
+
+// Same rule as isFlagEnabledForUser (lib/rollout.js, server-only), applied
+// to the bucket the server computed for this visitor
+function isRolledOutToVisitor({ enabled, rolloutPercentage, userBucket }) {
+  if (!enabled) {
+    return false;
+  }
+
+  if (rolloutPercentage >= 100) {
+    return true;
+  }
+
+  return userBucket !== null && userBucket < rolloutPercentage;
+}
+
 export function PreferencesManager({
   currency,
   theme,
+  preferencesVersion,
   currencyToggleEnabled,
+  currencyToggleRollout,
+  currencyFormVariant,
+  flagPermissions,
   updateUserCurrency,
-  toggleFeatureFlag
+  updateUserTheme,
+  toggleFeatureFlag,
+  updateFlagRollout,
+  lastEventId
 }) {
+  const { t } = useTranslations();
+
+  // Re-render when flags or these preferences change in another tab
+  useConfigEvents(lastEventId);
+
+  const [shownCurrency, setOptimisticCurrency] = useOptimistic(currency);
+  const [shownTheme, setOptimisticTheme] = useOptimistic(theme);
+  const [shownRollout, updateOptimisticFlag] = useOptimistic(currencyToggleRollout, applyFlagChange);
+
+  // The currency and theme forms save the same preferences record, and the
+  // toggle and rollout forms the same flag, one after the other
+  const preferenceWrites = useRecordWrites();
+  const flagWrites = useRecordWrites();
+
+  // Without pending changes this is the value the server computed
+  const currencyFormEnabled = shownRollout === currencyToggleRollout
+    ? currencyToggleEnabled
+    : isRolledOutToVisitor(shownRollout);
+
   return (
     <div style={styles.clientWrapper}>
       <div style={styles.card}>
-        <h3 style={styles.cardTitle}>💰 Currency Preferences</h3>
+        <h3 style={styles.cardTitle}>{t('preferences.title')}</h3>
 
         <div style={styles.currentValue}>
-          <span style={styles.label}>Current Currency:</span>
-          <span style={styles.valueLarge}>{currency}</span>
+          <span style={styles.label}>{t('preferences.currentCurrency')}</span>
+          <span style={styles.valueLarge}>{shownCurrency}</span>
         </div>
 
         <div style={styles.currentValue}>
-          <span style={styles.label}>Current Theme:</span>
-          <span style={styles.value}>{theme}</span>
+          <span style={styles.label}>{t('preferences.currentTheme')}</span>
+          <span style={styles.value}>{t(`preferences.themes.${shownTheme}`)}</span>
         </div>
 
         {/* FEATURE-GATED FORM */}
         {/* This form only renders if currencyToggleEnabled feature flag is true */}
         {/* This demonstrates server-side configuration of client features */}
-        {currencyToggleEnabled ? (
+        {currencyFormEnabled ? (
           <div style={styles.formSection}>
-            <h4 style={styles.sectionTitle}>Change Currency</h4>
-
-            {/* Form that triggers Server Action */}
-            <form action={updateUserCurrency} style={styles.form}>
-              <div style={styles.radioGroup}>
-                <label style={styles.radioLabel}>
-                  <input
-                    type="radio"
-                    name="currency"
-                    value="USD"
-                    defaultChecked={currency === 'USD'}
-                    style={styles.radio}
-                  />
-                  <span style={styles.radioText}>🇺🇸 USD - US Dollar</span>
-                </label>
-
-                <label style={styles.radioLabel}>
-                  <input
-                    type="radio"
-                    name="currency"
-                    value="EUR"
-                    defaultChecked={currency === 'EUR'}
-                    style={styles.radio}
-                  />
-                  <span style={styles.radioText}>🇪🇺 EUR - Euro</span>
-                </label>
-
-                <label style={styles.radioLabel}>
-                  <input
-                    type="radio"
-                    name="currency"
-                    value="GBP"
-                    defaultChecked={currency === 'GBP'}
-                    style={styles.radio}
-                  />
-                  <span style={styles.radioText}>🇬🇧 GBP - British Pound</span>
-                </label>
-
-                <label style={styles.radioLabel}>
-                  <input
-                    type="radio"
-                    name="currency"
-                    value="JPY"
-                    defaultChecked={currency === 'JPY'}
-                    style={styles.radio}
-                  />
-                  <span style={styles.radioText}>🇯🇵 JPY - Japanese Yen</span>
-                </label>
-
-                <label style={styles.radioLabel}>
-                  <input
-                    type="radio"
-                    name="currency"
-                    value="CAD"
-                    defaultChecked={currency === 'CAD'}
-                    style={styles.radio}
-                  />
-                  <span style={styles.radioText}>🇨🇦 CAD - Canadian Dollar</span>
-                </label>
-              </div>
-
-              {/* Submit button with loading state via useFormStatus */}
-              {/* This MUST be a child component of the form to access useFormStatus */}
-              <SubmitButton label="Update Currency" loadingLabel="Updating..." />
-            </form>
+            <h4 style={styles.sectionTitle}>{t('preferences.changeCurrency')}</h4>
+
+            {/* Form that triggers Server Action and shows validation errors */}
+            <CurrencyForm
+              currency={shownCurrency}
+              version={preferencesVersion}
+              variant={currencyFormVariant}
+              preferenceWrites={preferenceWrites}
+              updateUserCurrency={updateUserCurrency}
+              setOptimisticCurrency={setOptimisticCurrency}
+            />
 
             <div style={styles.explanation}>
               <p style={styles.explanationText}>
                 <strong>💡 Pattern:</strong> This form triggers a <em>Server Action</em> that
                 mutates the database and calls <code>revalidatePath()</code>. The entire
                 Server Component re-executes, fetching fresh data from the updated database.
-                The submit button uses <code>useFormStatus()</code> to show loading state.
+                The new currency is shown at once with <code>useOptimistic()</code> and rolls
+                back if the action fails; <code>useFormStatus()</code> shows the pending save,
+                and errors returned by the action are rendered next to the form.
               </p>
             </div>
           </div>
         ) : (
           <div style={styles.disabledFeature}>
             <p style={styles.disabledFeatureText}>
-              🔒 <strong>Feature Disabled:</strong> Currency toggle is currently disabled
-              by the feature flag. Enable it below to access this functionality.
+              🔒 <strong>{t('preferences.featureDisabled')}</strong>{' '}
+              {t('preferences.currencyToggleDisabled')}{' '}
+              {flagPermissions.canToggle
+                ? t('preferences.enableBelow')
+                : t('preferences.askAdmin')}
             </p>
           </div>
         )}
+
+        {/* The theme is not behind a feature flag */}
+        <div style={styles.formSection}>
+          <h4 style={styles.sectionTitle}>{t('preferences.changeTheme')}</h4>
+
+          <ThemeForm
+            theme={shownTheme}
+            version={preferencesVersion}
+            preferenceWrites={preferenceWrites}
+            updateUserTheme={updateUserTheme}
+            setOptimisticTheme={setOptimisticTheme}
+          />
+
+          <div style={styles.explanation}>
+            <p style={styles.explanationText}>
+              <strong>💡 Pattern:</strong> The root layout reads this preference on the server
+              and renders it as <code>&lt;html data-theme&gt;</code>, so pages paint in the right
+              colors before hydration. <em>System</em> follows your OS setting through the
+              {' '}<code>prefers-color-scheme</code> media query.
+            </p>
+          </div>
+        </div>
       </div>
 
       {/* Feature Flag Control Section */}
       <div style={styles.card}>
-        <h3 style={styles.cardTitle}>⚙️ Feature Flag Controls</h3>
+        <h3 style={styles.cardTitle}>{t('flagControls.title')}</h3>
 
         <div style={styles.featureFlagStatus}>
-          <span style={styles.label}>Currency Toggle Feature:</span>
+          <span style={styles.label}>{t('flagControls.currencyToggleFeature')}</span>
           <span style={{
             ...styles.badge,
-            backgroundColor: currencyToggleEnabled ? '#d1fae5' : '#fee2e2',
-            color: currencyToggleEnabled ? '#065f46' : '#991b1b'
+            backgroundColor: shownRollout.enabled ? '#d1fae5' : '#fee2e2',
+            color: shownRollout.enabled ? '#065f46' : '#991b1b'
           }}>
-            {currencyToggleEnabled ? '✓ Enabled' : '✗ Disabled'}
+            {shownRollout.enabled ? t('featureFlags.enabled') : t('featureFlags.disabled')}
           </span>
         </div>
 
-        <form action={toggleFeatureFlag} style={styles.form}>
-          <input type="hidden" name="flagName" value="currencyToggleEnabled" />
-          <SubmitButton
-            label={currencyToggleEnabled ? 'Disable Feature' : 'Enable Feature'}
-            loadingLabel="Toggling..."
+        {flagPermissions.canToggle && (
+          <FeatureFlagForm
+            flagName="currencyToggleEnabled"
+            enabled={shownRollout.enabled}
+            version={shownRollout.version}
+            flagWrites={flagWrites}
+            toggleFeatureFlag={toggleFeatureFlag}
+            updateOptimisticFlag={updateOptimisticFlag}
           />
-        </form>
+        )}
+
+        {flagPermissions.canUpdateRollout && (
+          <div style={styles.formSection}>
+            <h4 style={styles.sectionTitle}>{t('flagControls.gradualRollout')}</h4>
+
+            <RolloutForm
+              flagName="currencyToggleEnabled"
+              rollout={shownRollout}
+              currencyToggleEnabled={currencyFormEnabled}
+              flagWrites={flagWrites}
+              updateFlagRollout={updateFlagRollout}
+              updateOptimisticFlag={updateOptimisticFlag}
+            />
+          </div>
+        )}
+
+        {!(flagPermissions.canToggle && flagPermissions.canUpdateRollout) && (
+          <div style={styles.disabledFeature}>
+            <p style={styles.disabledFeatureText}>
+              🔒 <strong>{t('flagControls.restricted')}</strong>{' '}
+              {flagPermissions.canUpdateRollout
+                ? t('flagControls.adminsOnly')
+                : t('flagControls.editorOrAdmin')}
+              {' '}{t('flagControls.logInPermitted')}
+            </p>
+          </div>
+        )}
 
         <div style={styles.explanation}>
           <p style={styles.explanationText}>
             <strong>💡 Pattern:</strong> Feature flags are stored server-side and control
             client UI rendering. Toggle this flag to see how the currency form above
             appears/disappears. This demonstrates runtime configuration without code deployment.
+            The rollout slider serves the flag to a percentage of visitors, each placed in a
+            stable bucket by hashing their session ID.
           </p>
         </div>
       </div>
@@ -213,18 +757,18 @@ const styles = {
     gap: '24px'
   },
   card: {
-    backgroundColor: '#ffffff',
+    backgroundColor: 'var(--color-surface)',
     borderRadius: '12px',
     padding: '24px',
     marginBottom: '24px',
     boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06)',
-    border: '1px solid #e5e7eb'
+    border: '1px solid var(--color-border)'
   },
   cardTitle: {
     margin: '0 0 20px 0',
     fontSize: '20px',
     fontWeight: '600',
-    color: '#111827',
+    color: 'var(--color-text)',
     borderBottom: '2px solid #3b82f6',
     paddingBottom: '12px'
   },
@@ -233,19 +777,19 @@ const styles = {
     alignItems: 'center',
     gap: '16px',
     padding: '12px',
-    backgroundColor: '#f9fafb',
+    backgroundColor: 'var(--color-surface-muted)',
     borderRadius: '8px',
     marginBottom: '12px'
   },
   label: {
     fontSize: '14px',
     fontWeight: '600',
-    color: '#6b7280'
+    color: 'var(--color-text-muted)'
   },
   value: {
     fontSize: '16px',
     fontWeight: '600',
-    color: '#111827'
+    color: 'var(--color-text)'
   },
   valueLarge: {
     fontSize: '24px',
@@ -256,13 +800,13 @@ const styles = {
   formSection: {
     marginTop: '24px',
     paddingTop: '24px',
-    borderTop: '2px solid #e5e7eb'
+    borderTop: '2px solid var(--color-border)'
   },
   sectionTitle: {
     margin: '0 0 16px 0',
     fontSize: '16px',
     fontWeight: '600',
-    color: '#111827'
+    color: 'var(--color-text)'
   },
   form: {
     display: 'flex',
@@ -279,12 +823,40 @@ const styles = {
     alignItems: 'center',
     gap: '12px',
     padding: '12px',
-    backgroundColor: '#f9fafb',
+    backgroundColor: 'var(--color-surface-muted)',
     borderRadius: '8px',
     cursor: 'pointer',
     transition: 'all 0.2s',
     border: '2px solid transparent'
   },
+  tileGrid: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fill, minmax(100px, 1fr))',
+    gap: '12px'
+  },
+  tileLabel: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '16px 12px',
+    backgroundColor: 'var(--color-surface-muted)',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    border: '2px solid var(--color-border)'
+  },
+  tileText: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    gap: '4px',
+    fontSize: '14px',
+    fontWeight: '600',
+    color: 'var(--color-text)'
+  },
+  tileFlag: {
+    fontSize: '28px'
+  },
   radio: {
     width: '18px',
     height: '18px',
@@ -293,7 +865,16 @@ const styles = {
   radioText: {
     fontSize: '14px',
     fontWeight: '500',
-    color: '#111827'
+    color: 'var(--color-text)'
+  },
+  submitRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px'
+  },
+  savingHint: {
+    fontSize: '13px',
+    color: 'var(--color-text-muted)'
   },
   submitButton: {
     padding: '12px 24px',
@@ -326,7 +907,7 @@ const styles = {
     alignItems: 'center',
     gap: '16px',
     padding: '12px',
-    backgroundColor: '#f9fafb',
+    backgroundColor: 'var(--color-surface-muted)',
     borderRadius: '8px',
     marginBottom: '16px'
   },
@@ -336,6 +917,50 @@ const styles = {
     padding: '6px 12px',
     borderRadius: '12px'
   },
+  errorBanner: {
+    padding: '12px 16px',
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#991b1b',
+    backgroundColor: '#fef2f2',
+    borderRadius: '8px',
+    border: '2px solid #fecaca'
+  },
+  reapplyForm: {
+    display: 'inline-block',
+    marginLeft: '4px'
+  },
+  reapplyButton: {
+    padding: '4px 12px',
+    fontSize: '13px',
+    fontWeight: '600',
+    color: '#ffffff',
+    backgroundColor: '#dc2626',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer'
+  },
+  sliderLabel: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px'
+  },
+  slider: {
+    width: '100%',
+    maxWidth: '400px',
+    cursor: 'pointer'
+  },
+  bucketInfo: {
+    margin: 0,
+    fontSize: '13px',
+    color: 'var(--color-text-secondary)'
+  },
+  fieldError: {
+    margin: 0,
+    fontSize: '13px',
+    fontWeight: '500',
+    color: '#dc2626'
+  },
   explanation: {
     backgroundColor: '#eff6ff',
     borderRadius: '8px',
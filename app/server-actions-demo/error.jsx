@@ -0,0 +1,140 @@
+/*
+ * ============================================================================
+ * SERVER ACTIONS DEMO - ERROR BOUNDARY
+ * ============================================================================
+ *
+ * Next.js renders this Client Component instead of the page when rendering
+ * /server-actions-demo throws, for example when getServerPreferences()
+ * cannot reach the store. The root layout (theme, language) stays in place.
+ *
+ * Server Actions do not end up here: they return store failures as 503
+ * results (attemptStorageOperation in lib/action-result.js), which the forms
+ * show inline.
+ *
+ * In production the error message is replaced by a digest that matches the
+ * server log entry, so only the digest is shown.
+ *
+ * ============================================================================
+ */
+
+'use client';
+
+import { useEffect, useTransition } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { useTranslations } from '../I18nProvider';
+
+export default function ServerActionsDemoError({ error, reset }) {
+  const { t } = useTranslations();
+  const router = useRouter();
+  const [retrying, startTransition] = useTransition();
+
+  useEffect(() => {
+    console.error('Server actions demo failed to render:', error);
+  }, [error]);
+
+  // reset() alone re-renders the boundary with the Server Component payload
+  // it already has; refreshing first fetches the page from the server again
+  function retry() {
+    startTransition(() => {
+      router.refresh();
+      reset();
+    });
+  }
+
+  return (
+    <div style={styles.page}>
+      <div style={styles.container}>
+        <div role="alert" style={styles.card}>
+          <h2 style={styles.title}>⚠️ {t('routeStatus.errorTitle')}</h2>
+          <p style={styles.message}>{t('routeStatus.errorMessage')}</p>
+
+          {error.digest && (
+            <p style={styles.reference}>
+              {t('routeStatus.errorReference', { digest: error.digest })}
+            </p>
+          )}
+
+          <div style={styles.actions}>
+            <button
+              type="button"
+              onClick={retry}
+              disabled={retrying}
+              style={{
+                ...styles.button,
+                opacity: retrying ? 0.6 : 1,
+                cursor: retrying ? 'not-allowed' : 'pointer'
+              }}
+            >
+              {retrying ? t('routeStatus.retrying') : t('routeStatus.retry')}
+            </button>
+            <Link href="/" style={styles.link}>{t('routeStatus.backToDashboard')} →</Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ============================================================================
+// STYLES
+// ============================================================================
+
+const styles = {
+  page: {
+    minHeight: '100vh',
+    backgroundColor: 'var(--color-background)',
+    paddingTop: '64px'
+  },
+  container: {
+    maxWidth: '720px',
+    margin: '0 auto',
+    padding: '0 24px'
+  },
+  card: {
+    backgroundColor: 'var(--color-surface)',
+    borderRadius: '12px',
+    padding: '32px',
+    boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06)',
+    border: '2px solid #fecaca'
+  },
+  title: {
+    margin: '0 0 12px 0',
+    fontSize: '24px',
+    fontWeight: '700',
+    color: '#991b1b'
+  },
+  message: {
+    margin: '0 0 12px 0',
+    fontSize: '15px',
+    lineHeight: '1.6',
+    color: 'var(--color-text-secondary)'
+  },
+  reference: {
+    margin: '0 0 12px 0',
+    fontSize: '13px',
+    color: 'var(--color-text-muted)',
+    fontFamily: 'Monaco, Consolas, "Courier New", monospace'
+  },
+  actions: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '20px',
+    marginTop: '24px'
+  },
+  button: {
+    padding: '12px 24px',
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#ffffff',
+    backgroundColor: '#3b82f6',
+    border: 'none',
+    borderRadius: '8px'
+  },
+  link: {
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#3b82f6',
+    textDecoration: 'none'
+  }
+};
@@ -0,0 +1,151 @@
+/*
+ * ============================================================================
+ * SERVER ACTIONS DEMO - LOADING SKELETON
+ * ============================================================================
+ *
+ * Shown by Next.js (as a Suspense fallback) while ServerActionsDemoPage
+ * awaits getServerPreferences() and the other store reads. The placeholders
+ * follow the page's card layout, so nothing jumps when the content arrives:
+ * status grid, price panel, preferences and feature flag controls.
+ *
+ * ============================================================================
+ */
+
+import { getTranslator } from '../../lib/i18n';
+
+// Placeholder cards in page order: a grid of status items, or bars of text
+// with their widths
+const CARDS = [
+  { id: 'status', grid: 6 },
+  { id: 'prices', bars: ['60%', '45%', '55%', '40%'] },
+  { id: 'preferences', bars: ['35%', '80%', '80%', '80%', '25%'] },
+  { id: 'flags', bars: ['50%', '30%', '90%', '25%'] }
+];
+
+function SkeletonBar({ width, height = 14 }) {
+  return <div style={{ ...styles.bar, width, height }} />;
+}
+
+export default async function ServerActionsDemoLoading() {
+  const t = await getTranslator();
+
+  return (
+    <div style={styles.page} aria-busy="true">
+      {/* Pulse animation for the placeholders (inline styles cannot declare keyframes) */}
+      <style>{`
+        @keyframes skeleton-pulse {
+          0%, 100% { opacity: 1; }
+          50% { opacity: 0.5; }
+        }
+      `}</style>
+
+      <div style={styles.header}>
+        <div style={styles.headerContent}>
+          <h1 style={styles.title}>{t('routeStatus.demoTitle')}</h1>
+          <p role="status" style={styles.subtitle}>{t('routeStatus.loading')}</p>
+        </div>
+      </div>
+
+      <div style={styles.container}>
+        {CARDS.map(card => (
+          <div key={card.id} style={styles.card}>
+            <SkeletonBar width="40%" height={24} />
+
+            {card.grid ? (
+              <div style={styles.grid}>
+                {Array.from({ length: card.grid }, (_, index) => (
+                  <div key={index} style={styles.gridItem}>
+                    <SkeletonBar width="50%" height={10} />
+                    <SkeletonBar width="80%" />
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div style={styles.lines}>
+                {card.bars.map((width, index) => (
+                  <SkeletonBar key={index} width={width} />
+                ))}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// ============================================================================
+// STYLES
+// ============================================================================
+// Page, header and card match app/server-actions-demo/page.jsx.
+// ============================================================================
+
+const styles = {
+  page: {
+    minHeight: '100vh',
+    backgroundColor: 'var(--color-background)'
+  },
+  header: {
+    backgroundColor: '#1f2937',
+    color: '#ffffff',
+    padding: '32px 0',
+    marginBottom: '32px',
+    boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)'
+  },
+  headerContent: {
+    maxWidth: '1200px',
+    margin: '0 auto',
+    padding: '0 24px'
+  },
+  title: {
+    margin: '0 0 8px 0',
+    fontSize: '36px',
+    fontWeight: '700',
+    color: '#ffffff'
+  },
+  subtitle: {
+    margin: '0',
+    fontSize: '16px',
+    color: '#9ca3af',
+    lineHeight: '1.5'
+  },
+  container: {
+    maxWidth: '1200px',
+    margin: '0 auto',
+    padding: '0 24px 48px 24px'
+  },
+  card: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '20px',
+    backgroundColor: 'var(--color-surface)',
+    borderRadius: '12px',
+    padding: '24px',
+    marginBottom: '24px',
+    boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06)',
+    border: '1px solid var(--color-border)'
+  },
+  grid: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))',
+    gap: '16px'
+  },
+  gridItem: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+    padding: '12px',
+    backgroundColor: 'var(--color-surface-muted)',
+    borderRadius: '8px'
+  },
+  lines: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '12px'
+  },
+  bar: {
+    borderRadius: '6px',
+    backgroundColor: 'var(--color-border)',
+    animation: 'skeleton-pulse 1.5s ease-in-out infinite'
+  }
+};
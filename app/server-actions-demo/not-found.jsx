@@ -0,0 +1,75 @@
+/*
+ * ============================================================================
+ * SERVER ACTIONS DEMO - NOT FOUND
+ * ============================================================================
+ *
+ * Rendered when code in this route segment calls notFound() from
+ * next/navigation, inside the root layout so the visitor keeps their theme
+ * and language. page.jsx calls it when the record the demo is built around
+ * (the currencyToggleEnabled flag) or the starting event ID of its live
+ * updates does not resolve. Unmatched URLs elsewhere still get the Next.js
+ * 404 page.
+ *
+ * ============================================================================
+ */
+
+import Link from 'next/link';
+import { getTranslator } from '../../lib/i18n';
+
+export default async function ServerActionsDemoNotFound() {
+  const t = await getTranslator();
+
+  return (
+    <div style={styles.page}>
+      <div style={styles.container}>
+        <div style={styles.card}>
+          <h2 style={styles.title}>🔎 {t('routeStatus.notFoundTitle')}</h2>
+          <p style={styles.message}>{t('routeStatus.notFoundMessage')}</p>
+          <Link href="/" style={styles.link}>{t('routeStatus.backToDashboard')} →</Link>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ============================================================================
+// STYLES
+// ============================================================================
+
+const styles = {
+  page: {
+    minHeight: '100vh',
+    backgroundColor: 'var(--color-background)',
+    paddingTop: '64px'
+  },
+  container: {
+    maxWidth: '720px',
+    margin: '0 auto',
+    padding: '0 24px'
+  },
+  card: {
+    backgroundColor: 'var(--color-surface)',
+    borderRadius: '12px',
+    padding: '32px',
+    boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06)',
+    border: '1px solid var(--color-border)'
+  },
+  title: {
+    margin: '0 0 12px 0',
+    fontSize: '24px',
+    fontWeight: '700',
+    color: 'var(--color-text)'
+  },
+  message: {
+    margin: '0 0 24px 0',
+    fontSize: '15px',
+    lineHeight: '1.6',
+    color: 'var(--color-text-secondary)'
+  },
+  link: {
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#3b82f6',
+    textDecoration: 'none'
+  }
+};
@@ -5,50 +5,84 @@
  *
  * This application demonstrates advanced Next.js patterns including:
  *
- * 1. SIMULATED DATABASE: Global mutable object acting as server-side cache
+ * 1. STORAGE LAYER: Pluggable store (in-memory, JSON file or SQLite) for server data
  * 2. SERVER ACTIONS: Data mutation with revalidatePath cache invalidation
  * 3. FEATURE FLAGS: Server-side configuration controlling client features
  * 4. SERVER COMPONENTS: Data fetching and passing feature flags to client
  * 5. CLIENT COMPONENTS: Interactive forms with loading states (useFormStatus)
  * 6. CACHE INVALIDATION: Complete re-fetch after mutations via revalidatePath
+ * 7. ACCESS CONTROL: Every action checks the caller's role (lib/roles.js)
+ * 8. AUDIT LOG: Every change is recorded in the same transaction (lib/audit.js)
  *
  * DATA FLOW:
- * 1. Server Component fetches data from db (e.g., currency: 'USD')
+ * 1. Server Component fetches data from the store (e.g., currency: 'USD')
  * 2. Server passes feature flags to Client Component
  * 3. Client Component renders form (if feature enabled)
- * 4. User submits form → Server Action mutates db
+ * 4. User submits form → Server Action writes to the store
  * 5. Server Action calls revalidatePath('/server-actions-demo')
  * 6. Next.js re-renders Server Component with fresh data
  *
  * ============================================================================
  */
 
+import Link from 'next/link';
+import { headers } from 'next/headers';
 import { revalidatePath } from 'next/cache';
+import { notFound } from 'next/navigation';
+import { getStore } from '../../lib/storage';
+import {
+  actionConflict,
+  actionFailure,
+  actionForbidden,
+  actionSuccess,
+  attemptStorageOperation
+} from '../../lib/action-result';
+import { getUserPreferences, validateCurrency, validateTheme } from '../../lib/preferences';
+import { normalizeFeatureFlags } from '../../lib/feature-flags';
+import { validateVersion } from '../../lib/record-version';
+import { getRolloutBucket, isFlagEnabledForUser } from '../../lib/rollout';
+import { getSessionId } from '../../lib/session';
+import { authorize, getCurrentUser } from '../../lib/auth';
+import { ANONYMOUS_ROLE, PERMISSIONS, hasPermission } from '../../lib/roles';
+import { getAuditActor } from '../../lib/audit';
+import { savePreferences } from '../../lib/config-mutations';
+import { getLastConfigEventId } from '../../lib/config-events';
+import { FAULT_OPERATIONS, withInjectedFaults } from '../../lib/fault-injection';
+import {
+  EXPERIMENTS,
+  assignVariant,
+  recordConversion,
+  recordExposure
+} from '../../lib/experiments';
+import { REQUEST_HEADERS, resolveCountry } from '../../lib/request-context';
+import { getRegionForCountry } from '../../lib/regions';
+import { getExchangeRates } from '../../lib/exchange-rates';
+import { getTranslator } from '../../lib/i18n';
+import { translateFieldErrors } from '../../lib/i18n/translate';
+import { toggleFeatureFlag, updateFlagRollout } from '../flag-actions';
 import { PreferencesManager } from './client-components';
+import { PricePanel } from '../Money';
 
 // ============================================================================
-// SIMULATED SERVER DATABASE (GLOBAL MUTABLE OBJECT)
+// SERVER DATABASE (PLUGGABLE STORAGE LAYER)
 // ============================================================================
-// This simulates a server-side database or cache that persists between
-// requests. In production, this would be Redis, PostgreSQL, MongoDB, etc.
-//
-// IMPORTANT: This object exists OUTSIDE React components and persists across
-// requests in the Node.js server runtime.
+// All reads and writes go through the Store returned by getStore() (see
+// lib/storage). The STORAGE_ADAPTER environment variable selects where the
+// data lives:
+// - memory: process memory, like the original global `db` object
+// - json-file: a JSON file on disk that survives restarts and hot reloads
+// - sqlite: a local SQLite database with versioned schema migrations
 //
 // STRUCTURE:
-// - USER_PREFERENCES: Stores user settings (currency, theme, etc.)
-// - FEATURE_FLAGS: Controls which features are enabled/disabled
+// - USER_PREFERENCES:<sessionId>: Each user's settings (currency, theme,
+//   etc.), keyed by the session ID issued by middleware
+// - FEATURE_FLAGS: Controls which features are enabled/disabled, and for
+//   what percentage of users
 // ============================================================================
 
-const db = {
-  USER_PREFERENCES: {
-    currency: 'USD',
-    theme: 'light'
-  },
-  FEATURE_FLAGS: {
-    currencyToggleEnabled: true
-  }
-};
+// Always render with fresh data from the store. Another worker process may
+// have written to a shared store since this route was last rendered.
+export const dynamic = 'force-dynamic';
 
 // ============================================================================
 // SERVER-SIDE DATA FETCHING FUNCTION
@@ -63,20 +97,58 @@ const db = {
 // ============================================================================
 
 async function getServerPreferences() {
-  // Simulate database query latency (100ms)
-  await new Promise(resolve => setTimeout(resolve, 100));
+  const store = getStore();
 
-  console.log('🔍 [SERVER] Fetching preferences from database:', {
-    currency: db.USER_PREFERENCES.currency,
-    theme: db.USER_PREFERENCES.theme,
-    currencyToggleEnabled: db.FEATURE_FLAGS.currencyToggleEnabled
-  });
+  // Preferences and percentage rollouts are per visitor, keyed by session ID
+  const sessionId = getSessionId();
 
-  return {
-    currency: db.USER_PREFERENCES.currency,
-    theme: db.USER_PREFERENCES.theme,
-    currencyToggleEnabled: db.FEATURE_FLAGS.currencyToggleEnabled
+  // Simulated query latency and failures, configurable per operation (see
+  // lib/fault-injection.js). A failure here renders error.jsx.
+  const [userPreferences, storedFlags] = await withInjectedFaults(
+    store,
+    FAULT_OPERATIONS.readPreferences,
+    () => Promise.all([getUserPreferences(store, sessionId), store.get('FEATURE_FLAGS')])
+  );
+  const featureFlags = normalizeFeatureFlags(storedFlags);
+
+  // The demo is built around this flag; without it there is nothing to show
+  // (renders not-found.jsx)
+  const currencyToggleFlag = featureFlags.currencyToggleEnabled;
+  if (!currencyToggleFlag) {
+    notFound();
+  }
+
+  const preferences = {
+    currency: userPreferences.currency,
+    theme: userPreferences.theme,
+    version: userPreferences.version,
+    currencyToggleEnabled: isFlagEnabledForUser(currencyToggleFlag, sessionId),
+    currencyToggleRollout: {
+      enabled: currencyToggleFlag.enabled,
+      rolloutPercentage: currencyToggleFlag.rolloutPercentage,
+      version: currencyToggleFlag.version,
+      userBucket: sessionId ? getRolloutBucket(currencyToggleFlag.salt, sessionId) : null
+    }
   };
+
+  console.log(`🔍 [SERVER] Fetching preferences from ${store.name} store:`, preferences);
+
+  return preferences;
+}
+
+// ============================================================================
+// VERSION CONFLICTS
+// ============================================================================
+// Every form submits the version of the record it rendered. When someone
+// else (another tab, another admin, the REST API) has written the record
+// since, the write is refused and the action returns a 409 result with the
+// stored values, so the form can show them and offer to re-apply the
+// user's change on top (see lib/record-version.js).
+// ============================================================================
+
+// Stored fields returned with a conflict
+function conflictingPreferences({ currency, theme, version }) {
+  return { currency, theme, version };
 }
 
 // ============================================================================
@@ -87,35 +159,116 @@ async function getServerPreferences() {
 // CRITICAL PATTERN: After mutation, it calls revalidatePath to force Next.js
 // to re-fetch data for the Server Component, demonstrating cache invalidation.
 //
-// SECURITY: Server Actions run securely on the server with full access to
-// databases and APIs. They cannot be manipulated by client-side code.
+// SECURITY: Server Actions are public HTTP endpoints. Anyone can POST crafted
+// FormData to them, so the caller's permission is checked and the currency
+// is validated against the supported list before it is written.
+//
+// RESULT: Returns an ActionResult ({ ok, error, fieldErrors }) instead of
+// throwing, so PreferencesManager can show errors inline via useFormState.
 //
 // FLOW:
 // 1. Receives FormData from client form submission
-// 2. Extracts currency value from FormData
-// 3. Mutates the global db object (simulating database write)
+// 2. Extracts and validates the currency value from FormData
+// 3. Writes the new value to the caller's own record (keyed by session ID)
+//    and an audit log entry inside one store transaction
 // 4. Calls revalidatePath to invalidate Next.js cache
 // 5. Server Component re-executes on next render with fresh data
 // ============================================================================
 
-async function updateUserCurrency(formData) {
+async function updateUserCurrency(previousState, formData) {
   'use server';
 
-  const newCurrency = formData.get('currency');
+  const access = await authorize(PERMISSIONS.updatePreferences);
 
-  console.log('💾 [SERVER ACTION] Updating currency:', {
-    from: db.USER_PREFERENCES.currency,
-    to: newCurrency
-  });
+  if (!access.allowed) {
+    console.log('⛔ [SERVER ACTION] Forbidden currency update for role:', access.role);
+    return actionForbidden(access.message);
+  }
 
-  // Simulate database write latency (500ms)
-  // In production: await db.query('UPDATE user_preferences SET currency = ?', [newCurrency])
-  await new Promise(resolve => setTimeout(resolve, 500));
+  // The validators return message descriptors, translated here into the
+  // visitor's language (lib/i18n/translate.js)
+  const t = await getTranslator();
+  const validation = validateCurrency(formData.get('currency'));
+  const versionValidation = validateVersion(formData.get('version'));
+
+  if (validation.fieldError || versionValidation.fieldError) {
+    const fieldErrors = translateFieldErrors(t, {
+      ...(validation.fieldError && { currency: validation.fieldError }),
+      ...(versionValidation.fieldError && { version: versionValidation.fieldError })
+    });
+    console.log('⛔ [SERVER ACTION] Rejected currency update:', fieldErrors);
+    return actionFailure(t('preferences.errors.currencyNotUpdated'), fieldErrors);
+  }
+
+  const newCurrency = validation.value;
+
+  // Only the caller's own record is written. Middleware issues a session ID
+  // on every page request, so a missing one means the cookie was blocked.
+  const sessionId = getSessionId();
+
+  if (!sessionId) {
+    console.log('⛔ [SERVER ACTION] Rejected currency update: no session');
+    return actionFailure(t('preferences.errors.noSession'));
+  }
 
   // MUTATE THE DATABASE
-  db.USER_PREFERENCES.currency = newCurrency;
+  // One transaction writes the change and its audit entry (shared with
+  // PUT /api/preferences, see lib/config-mutations.js), after the simulated
+  // write latency (lib/fault-injection.js). A store failure, real or
+  // injected, comes back as a 503 result the form can show.
+  const store = getStore();
+  const saved = await attemptStorageOperation(() => withInjectedFaults(
+    store,
+    FAULT_OPERATIONS.updateCurrency,
+    () => savePreferences(store, {
+      sessionId,
+      actor: getAuditActor(access.user, sessionId),
+      changes: { currency: newCurrency },
+      expectedVersion: versionValidation.value
+    })
+  ), 'save the currency');
+
+  if (saved.failure) {
+    return saved.failure;
+  }
+
+  // CONFLICT: the preferences were written after this form was rendered.
+  // Nothing was changed; show the stored currency instead.
+  if (saved.value.conflict) {
+    const { current } = saved.value;
 
-  console.log('✅ [SERVER ACTION] Database updated:', db.USER_PREFERENCES);
+    console.log('⚠️ [SERVER ACTION] Currency update conflict:', {
+      sessionId,
+      expectedVersion: versionValidation.value,
+      storedVersion: current.version
+    });
+
+    revalidatePath('/server-actions-demo');
+
+    return actionConflict(
+      t('preferences.errors.currencyConflict', { currency: current.currency }),
+      { current: conflictingPreferences(current), attempted: { currency: newCurrency } }
+    );
+  }
+
+  const { previous, current: updatedPreferences } = saved.value;
+
+  console.log('💾 [SERVER ACTION] Updated currency:', {
+    sessionId,
+    from: previous.currency,
+    to: newCurrency
+  });
+
+  console.log('✅ [SERVER ACTION] Database updated:', updatedPreferences);
+
+  // A/B EXPERIMENT: a successful update is the conversion goal of the
+  // currency form layout experiment. The currency is already saved, so a
+  // failure here is only logged.
+  const currencyFormVariant = assignVariant(EXPERIMENTS.currencyFormLayout, sessionId);
+  await attemptStorageOperation(
+    () => recordConversion(store, 'currencyFormLayout', currencyFormVariant),
+    'record the experiment conversion'
+  );
 
   // CRITICAL: Invalidate the cache for this route
   // This forces Next.js to re-execute the Server Component on the next render
@@ -123,42 +276,87 @@ async function updateUserCurrency(formData) {
   revalidatePath('/server-actions-demo');
 
   console.log('🔄 [SERVER ACTION] Cache invalidated via revalidatePath');
+
+  return actionSuccess({ version: updatedPreferences.version });
 }
 
 // ============================================================================
-// SERVER ACTION: Toggle Feature Flag
+// SERVER ACTION: Update User Theme
 // ============================================================================
-// Additional Server Action to demonstrate feature flag toggling.
-// This allows runtime configuration changes without code deployment.
+// Same flow as updateUserCurrency for the theme (light, dark or system).
 //
-// ENTERPRISE PATTERN: Feature flags enable:
-// - Gradual rollouts (enable for 10% of users, then 50%, then 100%)
-// - A/B testing (show variant A to 50%, variant B to other 50%)
-// - Kill switches (instantly disable broken features)
-// - Runtime configuration (change behavior without redeploying)
+// The theme is applied by RootLayout, which wraps every route, so this
+// action revalidates the root layout instead of a single page.
 // ============================================================================
 
-async function toggleFeatureFlag(formData) {
+async function updateUserTheme(previousState, formData) {
   'use server';
 
-  const flagName = formData.get('flagName');
+  const access = await authorize(PERMISSIONS.updatePreferences);
 
-  console.log('🚩 [SERVER ACTION] Toggling feature flag:', flagName);
+  if (!access.allowed) {
+    console.log('⛔ [SERVER ACTION] Forbidden theme update for role:', access.role);
+    return actionForbidden(access.message);
+  }
 
-  // Simulate database write
-  await new Promise(resolve => setTimeout(resolve, 300));
+  const t = await getTranslator();
+  const validation = validateTheme(formData.get('theme'));
+  const versionValidation = validateVersion(formData.get('version'));
+
+  if (validation.fieldError || versionValidation.fieldError) {
+    const fieldErrors = translateFieldErrors(t, {
+      ...(validation.fieldError && { theme: validation.fieldError }),
+      ...(versionValidation.fieldError && { version: versionValidation.fieldError })
+    });
+    console.log('⛔ [SERVER ACTION] Rejected theme update:', fieldErrors);
+    return actionFailure(t('preferences.errors.themeNotUpdated'), fieldErrors);
+  }
 
-  // Toggle the feature flag
-  db.FEATURE_FLAGS[flagName] = !db.FEATURE_FLAGS[flagName];
+  const newTheme = validation.value;
+  const sessionId = getSessionId();
 
-  console.log('✅ [SERVER ACTION] Feature flag updated:', {
-    [flagName]: db.FEATURE_FLAGS[flagName]
-  });
+  if (!sessionId) {
+    console.log('⛔ [SERVER ACTION] Rejected theme update: no session');
+    return actionFailure(t('preferences.errors.noSession'));
+  }
 
-  // Revalidate to refresh the UI
-  revalidatePath('/server-actions-demo');
+  const store = getStore();
+  const saved = await attemptStorageOperation(() => withInjectedFaults(
+    store,
+    FAULT_OPERATIONS.updateTheme,
+    () => savePreferences(store, {
+      sessionId,
+      actor: getAuditActor(access.user, sessionId),
+      changes: { theme: newTheme },
+      expectedVersion: versionValidation.value
+    })
+  ), 'save the theme');
+
+  if (saved.failure) {
+    return saved.failure;
+  }
+
+  // Every route renders the theme through the root layout
+  revalidatePath('/', 'layout');
 
-  console.log('🔄 [SERVER ACTION] Cache invalidated for feature flag change');
+  if (saved.value.conflict) {
+    const { current } = saved.value;
+
+    console.log('⚠️ [SERVER ACTION] Theme update conflict:', {
+      sessionId,
+      expectedVersion: versionValidation.value,
+      storedVersion: current.version
+    });
+
+    return actionConflict(
+      t('preferences.errors.themeConflict', { theme: current.theme }),
+      { current: conflictingPreferences(current), attempted: { theme: newTheme } }
+    );
+  }
+
+  console.log('🎨 [SERVER ACTION] Theme updated:', saved.value.current);
+
+  return actionSuccess({ version: saved.value.current.version });
 }
 
 // ============================================================================
@@ -181,6 +379,50 @@ export default async function ServerActionsDemoPage() {
   // Fetch current preferences from the database
   // This runs on EVERY request after revalidatePath is called
   const preferences = await getServerPreferences();
+  const storeName = getStore().name;
+
+  // LIVE UPDATES: PreferencesManager streams changes made after this render
+  // (by other tabs, the REST API or reverts) and refreshes the page. If the
+  // store cannot be read, the stream starts from the newest change; an ID
+  // that was read but is not a valid event ID renders not-found.jsx.
+  const { value: lastEventId } = await attemptStorageOperation(
+    () => getLastConfigEventId(getStore()),
+    'read the last configuration event'
+  );
+  if (lastEventId !== null && !(Number.isSafeInteger(lastEventId) && lastEventId >= 0)) {
+    notFound();
+  }
+
+  // ACCESS CONTROL: hide controls the visitor's role cannot use. The actions
+  // check permissions again, since hidden UI does not stop a crafted request.
+  const currentUser = await getCurrentUser();
+  const role = currentUser?.role ?? ANONYMOUS_ROLE;
+  const flagPermissions = {
+    canToggle: hasPermission(role, PERMISSIONS.toggleFlag),
+    canUpdateRollout: hasPermission(role, PERMISSIONS.updateFlagRollout)
+  };
+
+  // A/B EXPERIMENT: choose this visitor's currency form layout and log an
+  // exposure the first time the form is actually rendered for their session.
+  // Later renders (event-stream refreshes, revalidation after an action) are
+  // not counted again. Exposures are best-effort analytics: a failed write is
+  // logged and the page still renders.
+  const sessionId = getSessionId();
+  const currencyFormExperiment = EXPERIMENTS.currencyFormLayout;
+  const currencyFormVariant = assignVariant(currencyFormExperiment, sessionId);
+  if (preferences.currencyToggleEnabled) {
+    await attemptStorageOperation(
+      () => recordExposure(getStore(), currencyFormExperiment.key, currencyFormVariant, sessionId),
+      'record the experiment exposure'
+    );
+  }
+
+  // MONEY FORMATTING: sample prices converted to the stored currency and shown
+  // in the visitor's regional locale
+  const countryCode = headers().get(REQUEST_HEADERS.country) ?? resolveCountry(headers()).countryCode;
+  const locale = getRegionForCountry(countryCode).locale;
+  const exchangeRates = await getExchangeRates();
+  const t = await getTranslator();
 
   console.log('🖥️  [SERVER COMPONENT] Rendering with preferences:', preferences);
 
@@ -189,10 +431,8 @@ export default async function ServerActionsDemoPage() {
       {/* Header Section */}
       <div style={styles.header}>
         <div style={styles.headerContent}>
-          <h1 style={styles.title}>⚡ Server Actions & Feature Flags Demo</h1>
-          <p style={styles.subtitle}>
-            Enterprise patterns for data mutation, caching, and server-driven client configuration
-          </p>
+          <h1 style={styles.title}>{t('routeStatus.demoTitle')}</h1>
+          <p style={styles.subtitle}>{t('routeStatus.demoSubtitle')}</p>
         </div>
       </div>
 
@@ -208,19 +448,57 @@ export default async function ServerActionsDemoPage() {
             </div>
 
             <div style={styles.statusItem}>
-              <span style={styles.statusLabel}>Database Currency:</span>
-              <span style={styles.statusValue}>{db.USER_PREFERENCES.currency}</span>
+              <span style={styles.statusLabel}>Your Currency:</span>
+              <span style={styles.statusValue}>{preferences.currency}</span>
             </div>
 
             <div style={styles.statusItem}>
-              <span style={styles.statusLabel}>Database Theme:</span>
-              <span style={styles.statusValue}>{db.USER_PREFERENCES.theme}</span>
+              <span style={styles.statusLabel}>Your Theme:</span>
+              <span style={styles.statusValue}>{preferences.theme}</span>
             </div>
 
             <div style={styles.statusItem}>
               <span style={styles.statusLabel}>Feature Flag:</span>
               <span style={styles.statusValue}>
-                {db.FEATURE_FLAGS.currencyToggleEnabled ? 'ENABLED' : 'DISABLED'}
+                {preferences.currencyToggleRollout.enabled
+                  ? `ENABLED (${preferences.currencyToggleRollout.rolloutPercentage}% rollout)`
+                  : 'DISABLED'}
+              </span>
+            </div>
+
+            <div style={styles.statusItem}>
+              <span style={styles.statusLabel}>Signed In As:</span>
+              <span style={styles.statusValue}>
+                {currentUser ? currentUser.displayName : 'Anonymous'} ({role})
+                {' · '}
+                <Link href="/" style={styles.link}>{currentUser ? 'Switch user' : 'Log in'} →</Link>
+                {hasPermission(role, PERMISSIONS.readAuditLog) && (
+                  <>
+                    {' · '}
+                    <Link href="/audit" style={styles.link}>Audit log →</Link>
+                  </>
+                )}
+                {hasPermission(role, PERMISSIONS.manageFaults) && (
+                  <>
+                    {' · '}
+                    <Link href="/admin/faults" style={styles.link}>Fault injection →</Link>
+                  </>
+                )}
+                {hasPermission(role, PERMISSIONS.manageFlags) && (
+                  <>
+                    {' · '}
+                    <Link href="/admin/flags" style={styles.link}>Feature flags →</Link>
+                  </>
+                )}
+              </span>
+            </div>
+
+            <div style={styles.statusItem}>
+              <span style={styles.statusLabel}>Experiment Variant:</span>
+              <span style={styles.statusValue}>
+                {currencyFormVariant} ({currencyFormExperiment.variants.find(v => v.key === currencyFormVariant).name})
+                {' · '}
+                <Link href="/experiments" style={styles.link}>View results →</Link>
               </span>
             </div>
           </div>
@@ -235,15 +513,43 @@ export default async function ServerActionsDemoPage() {
           </div>
         </div>
 
+        {/* Rendered on the server; updateUserCurrency re-renders it via revalidatePath */}
+        <div style={styles.card}>
+          <h3 style={styles.cardTitle}>{t('prices.serverTitle')}</h3>
+
+          <PricePanel
+            currency={preferences.currency}
+            locale={locale}
+            exchangeRates={exchangeRates}
+            t={t}
+          />
+
+          <div style={styles.explanation}>
+            <p style={styles.explanationText}>
+              <strong>💡 Architecture Note:</strong> The same <code>&lt;Money&gt;</code> component
+              as on the main dashboard, rendered here by a <em>Server Component</em> with no
+              client JavaScript. Changing your currency converts and re-renders these prices on
+              the server.
+            </p>
+          </div>
+        </div>
+
         {/* CLIENT COMPONENT BOUNDARY */}
         {/* Pass server-fetched data, feature flags, and Server Actions as props */}
         {/* This demonstrates the critical Server → Client data flow pattern */}
         <PreferencesManager
           currency={preferences.currency}
           theme={preferences.theme}
+          preferencesVersion={preferences.version}
           currencyToggleEnabled={preferences.currencyToggleEnabled}
+          currencyToggleRollout={preferences.currencyToggleRollout}
+          currencyFormVariant={currencyFormVariant}
+          flagPermissions={flagPermissions}
           updateUserCurrency={updateUserCurrency}
+          updateUserTheme={updateUserTheme}
           toggleFeatureFlag={toggleFeatureFlag}
+          updateFlagRollout={updateFlagRollout}
+          lastEventId={lastEventId}
         />
 
         {/* Data Flow Visualization */}
@@ -257,13 +563,17 @@ export default async function ServerActionsDemoPage() {
                 <h4 style={styles.flowStepTitle}>Initial Server Render</h4>
                 <p style={styles.flowStepText}>
                   Server Component executes <code>getServerPreferences()</code> and
-                  fetches data from the global <code>db</code> object.
+                  fetches data from the <code>{storeName}</code> store.
                 </p>
                 <div style={styles.codeBlock}>
-                  <pre style={styles.code}>{`// Database state:
-db.USER_PREFERENCES.currency = '${db.USER_PREFERENCES.currency}'
-db.USER_PREFERENCES.theme = '${db.USER_PREFERENCES.theme}'
-db.FEATURE_FLAGS.currencyToggleEnabled = ${db.FEATURE_FLAGS.currencyToggleEnabled}`}</pre>
+                  <pre style={styles.code}>{`// Database state (this visitor's record):
+USER_PREFERENCES[sessionId].currency = '${preferences.currency}'
+USER_PREFERENCES[sessionId].theme = '${preferences.theme}'
+FEATURE_FLAGS.currencyToggleEnabled = {
+  enabled: ${preferences.currencyToggleRollout.enabled},
+  rolloutPercentage: ${preferences.currencyToggleRollout.rolloutPercentage}
+}
+// Enabled for this visitor: ${preferences.currencyToggleEnabled}`}</pre>
                 </div>
               </div>
             </div>
@@ -325,14 +635,22 @@ db.FEATURE_FLAGS.currencyToggleEnabled = ${db.FEATURE_FLAGS.currencyToggleEnable
               <div style={styles.flowStepContent}>
                 <h4 style={styles.flowStepTitle}>Server Action Executes</h4>
                 <p style={styles.flowStepText}>
-                  <code>updateUserCurrency(formData)</code> runs on the server, mutates
-                  the database, and calls <code>revalidatePath('/server-actions-demo')</code>.
+                  <code>updateUserCurrency(previousState, formData)</code> runs on the server,
+                  validates the input, mutates the database, and calls
+                  {' '}<code>revalidatePath('/server-actions-demo')</code>.
                 </p>
                 <div style={styles.codeBlock}>
                   <pre style={styles.code}>{`// Server Action execution:
-const newCurrency = formData.get('currency')
-db.USER_PREFERENCES.currency = newCurrency
-revalidatePath('/server-actions-demo')`}</pre>
+const { value: newCurrency, fieldError } = validateCurrency(formData.get('currency'))
+if (fieldError) return actionFailure('...', { currency: translateMessage(t, fieldError) })
+const sessionId = getSessionId()
+// One transaction: write the preference and its audit entry, unless the
+// preferences changed after the form was rendered (409 conflict)
+const saved = await savePreferences(store, {
+  sessionId, actor, changes: { currency: newCurrency }, expectedVersion
+})
+revalidatePath('/server-actions-demo')
+return actionSuccess({ version: saved.current.version })`}</pre>
                 </div>
               </div>
             </div>
@@ -369,11 +687,12 @@ revalidatePath('/server-actions-demo')`}</pre>
 
           <div style={styles.architectureGrid}>
             <div style={styles.architectureSection}>
-              <h4 style={styles.architectureSectionTitle}>🗄️ Simulated Database</h4>
+              <h4 style={styles.architectureSectionTitle}>🗄️ Storage Layer</h4>
               <p style={styles.architectureText}>
-                The global <code>db</code> object persists across requests in the Node.js
-                runtime, simulating a real database or cache layer (Redis, PostgreSQL,
-                MongoDB, etc.). In production, replace with actual database queries.
+                Reads and writes go through a store with <code>get</code>, <code>set</code> and
+                {' '}<code>transaction</code>. Set <code>STORAGE_ADAPTER</code> to <code>json-file</code> or
+                {' '}<code>sqlite</code> to persist data to disk across restarts instead of keeping
+                it in process memory.
               </p>
             </div>
 
@@ -404,12 +723,25 @@ revalidatePath('/server-actions-demo')`}</pre>
               </p>
             </div>
 
+            <div style={styles.architectureSection}>
+              <h4 style={styles.architectureSectionTitle}>📡 Live Updates</h4>
+              <p style={styles.architectureText}>
+                Other open tabs learn about changes from a Server-Sent Events stream
+                (<code>/api/events</code>) and call <code>router.refresh()</code>. Event ids are
+                audit log ids, so a reconnecting tab replays what it missed via
+                {' '}<code>Last-Event-ID</code>.
+              </p>
+            </div>
+
             <div style={styles.architectureSection}>
               <h4 style={styles.architectureSectionTitle}>⏳ Loading States</h4>
               <p style={styles.architectureText}>
                 <code>useFormStatus()</code> hook provides real-time submission state,
-                enabling responsive UI feedback during Server Action execution. No manual
-                state management required!
+                enabling responsive UI feedback during Server Action execution. The currency
+                and flag forms go further with <code>useOptimistic()</code>: the new value shows
+                immediately and rolls back with an error notice if the action fails. Store
+                latency, error rates and timeouts are simulated per operation and can be tuned
+                with <code>FAULT_INJECTION</code> or on <code>/admin/faults</code>.
               </p>
             </div>
 
@@ -445,7 +777,7 @@ revalidatePath('/server-actions-demo')`}</pre>
 const styles = {
   page: {
     minHeight: '100vh',
-    backgroundColor: '#f3f4f6'
+    backgroundColor: 'var(--color-background)'
   },
   header: {
     backgroundColor: '#1f2937',
@@ -477,18 +809,18 @@ const styles = {
     padding: '0 24px 48px 24px'
   },
   card: {
-    backgroundColor: '#ffffff',
+    backgroundColor: 'var(--color-surface)',
     borderRadius: '12px',
     padding: '24px',
     marginBottom: '24px',
     boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06)',
-    border: '1px solid #e5e7eb'
+    border: '1px solid var(--color-border)'
   },
   cardTitle: {
     margin: '0 0 20px 0',
     fontSize: '20px',
     fontWeight: '600',
-    color: '#111827',
+    color: 'var(--color-text)',
     borderBottom: '2px solid #3b82f6',
     paddingBottom: '12px'
   },
@@ -503,20 +835,20 @@ const styles = {
     flexDirection: 'column',
     gap: '8px',
     padding: '12px',
-    backgroundColor: '#f9fafb',
+    backgroundColor: 'var(--color-surface-muted)',
     borderRadius: '8px'
   },
   statusLabel: {
     fontSize: '12px',
     fontWeight: '600',
-    color: '#6b7280',
+    color: 'var(--color-text-muted)',
     textTransform: 'uppercase',
     letterSpacing: '0.05em'
   },
   statusValue: {
     fontSize: '14px',
     fontWeight: '600',
-    color: '#111827',
+    color: 'var(--color-text)',
     fontFamily: 'Monaco, Consolas, "Courier New", monospace'
   },
   explanation: {
@@ -541,7 +873,7 @@ const styles = {
     display: 'flex',
     gap: '16px',
     padding: '16px',
-    backgroundColor: '#f9fafb',
+    backgroundColor: 'var(--color-surface-muted)',
     borderRadius: '8px',
     borderLeft: '4px solid #3b82f6'
   },
@@ -556,12 +888,12 @@ const styles = {
     margin: '0 0 8px 0',
     fontSize: '16px',
     fontWeight: '600',
-    color: '#111827'
+    color: 'var(--color-text)'
   },
   flowStepText: {
     margin: '0 0 12px 0',
     fontSize: '14px',
-    color: '#4b5563',
+    color: 'var(--color-text-secondary)',
     lineHeight: '1.6'
   },
   flowArrow: {
@@ -589,7 +921,7 @@ const styles = {
   },
   architectureSection: {
     padding: '16px',
-    backgroundColor: '#f9fafb',
+    backgroundColor: 'var(--color-surface-muted)',
     borderRadius: '8px',
     borderLeft: '4px solid #3b82f6'
   },
@@ -597,23 +929,27 @@ const styles = {
     margin: '0 0 12px 0',
     fontSize: '16px',
     fontWeight: '600',
-    color: '#111827'
+    color: 'var(--color-text)'
   },
   architectureText: {
     margin: 0,
     fontSize: '14px',
     lineHeight: '1.6',
-    color: '#4b5563'
+    color: 'var(--color-text-secondary)'
+  },
+  link: {
+    color: '#3b82f6',
+    textDecoration: 'none'
   },
   footer: {
     textAlign: 'center',
     paddingTop: '24px',
     marginTop: '24px',
-    borderTop: '1px solid #e5e7eb'
+    borderTop: '1px solid var(--color-border)'
   },
   footerText: {
     margin: '8px 0',
     fontSize: '14px',
-    color: '#6b7280'
+    color: 'var(--color-text-muted)'
   }
 };
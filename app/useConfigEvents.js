@@ -0,0 +1,93 @@
+/*
+ * ============================================================================
+ * CONFIGURATION EVENTS HOOK - CLIENT
+ * ============================================================================
+ *
+ * Subscribes to /api/events (Server-Sent Events) and re-renders the current
+ * route with router.refresh() when a feature flag or the visitor's own
+ * preferences change, in this tab or any other:
+ *
+ *   useConfigEvents(lastEventId);
+ *
+ * lastEventId comes from the Server Component that rendered the page
+ * (getLastConfigEventId), so changes made before the stream connects are
+ * replayed too. router.refresh() keeps client state such as form input.
+ *
+ * ============================================================================
+ */
+
+'use client';
+
+import { useEffect, useRef } from 'react';
+import { useRouter } from 'next/navigation';
+
+// Event types sent by /api/events (CONFIG_EVENT_TYPES in lib/config-events.js)
+const EVENT_TYPES = ['flags', 'preferences', 'resync'];
+
+// One refresh for changes that arrive together (e.g. a PUT of several fields)
+const REFRESH_DELAY_MS = 100;
+
+const RECONNECT_BASE_MS = 1_000;
+const RECONNECT_MAX_MS = 30_000;
+
+/**
+ * useConfigEvents - Custom Hook
+ *
+ * EventSource reconnects dropped connections by itself, sending the
+ * Last-Event-ID header. When it gives up (the server answered with an error
+ * or was unreachable), the hook opens a new connection with backoff,
+ * passing the last event id it saw.
+ *
+ * @param {number|null} lastEventId - Newest change included in the rendered
+ *   page; null starts the stream at the newest change
+ */
+export function useConfigEvents(lastEventId) {
+  const router = useRouter();
+
+  // The newest event this tab has received; the prop only seeds it
+  const lastSeenId = useRef(lastEventId);
+
+  useEffect(() => {
+    let source = null;
+    let reconnectTimer = null;
+    let refreshTimer = null;
+    let attempts = 0;
+
+    const handleEvent = (event) => {
+      lastSeenId.current = Number(event.lastEventId);
+
+      clearTimeout(refreshTimer);
+      refreshTimer = setTimeout(() => router.refresh(), REFRESH_DELAY_MS);
+    };
+
+    const connect = () => {
+      source = new EventSource(
+        lastSeenId.current === null ? '/api/events' : `/api/events?lastEventId=${lastSeenId.current}`
+      );
+
+      source.addEventListener('open', () => {
+        attempts = 0;
+      });
+
+      EVENT_TYPES.forEach(type => source.addEventListener(type, handleEvent));
+
+      source.addEventListener('error', () => {
+        if (source.readyState !== EventSource.CLOSED) {
+          return;
+        }
+
+        const delay = Math.min(RECONNECT_BASE_MS * 2 ** attempts, RECONNECT_MAX_MS);
+        attempts += 1;
+        reconnectTimer = setTimeout(connect, delay);
+      });
+    };
+
+    connect();
+
+    return () => {
+      source.close();
+      clearTimeout(reconnectTimer);
+      clearTimeout(refreshTimer);
+    };
+  }, [router]);
+}
@@ -0,0 +1,12 @@
+const nextJest = require('next/jest')
+
+// Compiles tests and the modules they import with the same settings as
+// `next build` (ES modules, JSX, JSON imports)
+const createJestConfig = nextJest({ dir: './' })
+
+/** @type {import('jest').Config} */
+const config = {
+  testEnvironment: 'node',
+}
+
+module.exports = createJestConfig(config)
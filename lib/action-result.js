@@ -0,0 +1,103 @@
+/*
+ * ============================================================================
+ * ACTION RESULTS - STRUCTURED RETURN VALUES FOR SERVER ACTIONS
+ * ============================================================================
+ *
+ * Server Actions return a plain, serializable object instead of throwing, so
+ * Client Components using useFormState can render errors inline:
+ *
+ *   { ok: true,  status: 200, error: null,      fieldErrors: {} }
+ *   { ok: false, status: 400, error: 'message', fieldErrors: { currency: 'message' } }
+ *
+ * `status` follows HTTP status codes, e.g. 403 when the caller's role lacks
+ * the required permission, 409 when the data changed in the meantime or 503
+ * when the store cannot be reached (see attemptStorageOperation).
+ *
+ * ============================================================================
+ */
+
+/**
+ * @typedef {Object} ActionResult
+ * @property {boolean} ok - Whether the action succeeded
+ * @property {number} status - HTTP-style status code (200, 400, 403, 409, 503)
+ * @property {string|null} error - Summary message when the action failed
+ * @property {Object<string, string>} fieldErrors - Messages keyed by form field name
+ * @property {{ current: Object, attempted: Object }} [conflict] - Set on 409
+ *   results: the stored record and the submitted values
+ */
+
+// Initial state for useFormState, before the form has been submitted
+export const INITIAL_ACTION_RESULT = { ok: true, status: 200, error: null, fieldErrors: {} };
+
+/**
+ * actionSuccess - Builds a successful result
+ *
+ * @param {Object} [data] - Extra serializable fields to return to the client
+ * @returns {ActionResult}
+ */
+export function actionSuccess(data = {}) {
+  return { ...data, ok: true, status: 200, error: null, fieldErrors: {} };
+}
+
+/**
+ * actionFailure - Builds a failed result
+ *
+ * @param {string} error - Summary message
+ * @param {Object<string, string>} [fieldErrors] - Messages keyed by field name
+ * @param {number} [status] - HTTP-style status, e.g. 404 or 409
+ * @returns {ActionResult}
+ */
+export function actionFailure(error, fieldErrors = {}, status = 400) {
+  return { ok: false, status, error, fieldErrors };
+}
+
+/**
+ * actionForbidden - Builds a result for a caller without permission
+ *
+ * @param {string} error - Summary message
+ * @returns {ActionResult}
+ */
+export function actionForbidden(error) {
+  return { ok: false, status: 403, error, fieldErrors: {} };
+}
+
+/**
+ * actionConflict - Builds a result for a write based on an outdated version
+ *
+ * Carries the stored record and the values the user submitted, so the form
+ * can show what changed and offer to apply the user's values on top of it
+ * (see lib/record-version.js).
+ *
+ * @param {string} error - Summary message, naming the current value
+ * @param {Object} conflict
+ * @param {Object} conflict.current - Stored record, including its version
+ * @param {Object} conflict.attempted - Submitted values (form fields or JSON body)
+ * @returns {ActionResult}
+ */
+export function actionConflict(error, { current, attempted }) {
+  return { ok: false, status: 409, error, fieldErrors: {}, conflict: { current, attempted } };
+}
+
+export const STORAGE_UNAVAILABLE_MESSAGE =
+  'The configuration store is unavailable right now. Nothing was changed; try again in a moment.';
+
+/**
+ * attemptStorageOperation - Runs a store read or write on behalf of an action
+ *
+ * Store errors (a locked SQLite database, a full disk, an unreadable JSON
+ * file) are logged with their details and returned as a 503 result with a
+ * friendly message, so the form shows it instead of the action crashing.
+ *
+ * @template T
+ * @param {() => Promise<T>} operation
+ * @param {string} description - What was attempted, for the log (e.g. 'save the currency')
+ * @returns {Promise<{ value: T, failure: null } | { value: null, failure: ActionResult }>}
+ */
+export async function attemptStorageOperation(operation, description) {
+  try {
+    return { value: await operation(), failure: null };
+  } catch (error) {
+    console.error(`💥 [STORAGE] Could not ${description}:`, error);
+    return { value: null, failure: actionFailure(STORAGE_UNAVAILABLE_MESSAGE, {}, 503) };
+  }
+}
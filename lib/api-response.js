@@ -0,0 +1,59 @@
+/*
+ * ============================================================================
+ * API RESPONSES - JSON HELPERS FOR ROUTE HANDLERS
+ * ============================================================================
+ *
+ * The REST API (app/api) answers with the same ActionResult objects as the
+ * Server Actions (lib/action-result.js), as JSON with a matching HTTP status:
+ *
+ *   200  { "ok": true,  "status": 200, "error": null, "fieldErrors": {}, "flag": { ... } }
+ *   400  { "ok": false, "status": 400, "error": "...", "fieldErrors": { "currency": "..." } }
+ *
+ * so API clients and forms see the same messages for the same mistakes.
+ * Responses are always in DEFAULT_LOCALE: messages from the shared
+ * validators (see translatable() in lib/i18n/translate.js) are translated
+ * here, not per visitor.
+ *
+ * ============================================================================
+ */
+
+import { NextResponse } from 'next/server';
+import { getDefaultTranslator } from './i18n';
+import { translateFieldErrors, translateMessage } from './i18n/translate';
+
+/**
+ * jsonResult - Sends an ActionResult as a JSON response
+ *
+ * @param {import('./action-result').ActionResult} result - error and
+ *   fieldErrors may hold message descriptors
+ * @returns {NextResponse}
+ */
+export function jsonResult(result) {
+  const t = getDefaultTranslator();
+  const body = {
+    ...result,
+    error: translateMessage(t, result.error),
+    fieldErrors: translateFieldErrors(t, result.fieldErrors)
+  };
+
+  return NextResponse.json(body, {
+    status: result.status,
+    headers: { 'Cache-Control': 'no-store' }
+  });
+}
+
+/**
+ * readJsonObject - Parses a request body that must be a JSON object
+ *
+ * @param {Request} request
+ * @returns {Promise<Object|null>} null when the body is missing, malformed
+ *   or not an object
+ */
+export async function readJsonObject(request) {
+  try {
+    const body = await request.json();
+    return body && typeof body === 'object' && !Array.isArray(body) ? body : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,218 @@
+/*
+ * ============================================================================
+ * AUDIT LOG - APPEND-ONLY TRAIL OF CONFIGURATION CHANGES
+ * ============================================================================
+ *
+ * Every Server Action that changes preferences or feature flags records an
+ * audit entry in the AUDIT_LOG store collection:
+ *
+ *   {
+ *     id: 42,
+ *     timestamp: '2024-05-01T12:00:00.000Z',
+ *     actor: 'demo',                       // or 'anonymous:<sessionId>'
+ *     action: 'flags.toggle',
+ *     key: 'FEATURE_FLAGS.currencyToggleEnabled.enabled',
+ *     oldValue: true,
+ *     newValue: false,
+ *     requestId: '3f0c...',                // x-config-request-id from middleware
+ *     revertOf: null                       // id of the entry this one reverts
+ *   }
+ *
+ * Entries are written inside the same store transaction as the change they
+ * describe, so a change is never saved without its audit entry (or the
+ * reverse). recordAuditEntry() only ever appends; nothing updates or deletes
+ * entries. The SQLite adapter additionally rejects UPDATE and DELETE on the
+ * audit_log table with triggers.
+ *
+ * The /audit page lists entries with filters and a revert button per entry
+ * (see lib/history.js), and /audit/export downloads them as CSV or JSON.
+ *
+ * ============================================================================
+ */
+
+import { headers } from 'next/headers';
+import { REQUEST_HEADERS } from './request-context';
+
+export const AUDIT_LOG_KEY = 'AUDIT_LOG';
+
+export const AUDIT_ACTIONS = Object.freeze({
+  updateCurrency: 'preferences.updateCurrency',
+  updateTheme: 'preferences.updateTheme',
+  updateLanguage: 'preferences.updateLanguage',
+  toggleFlag: 'flags.toggle',
+  updateFlagRollout: 'flags.updateRollout',
+  createFlag: 'flags.create',
+  updateFlagDetails: 'flags.updateDetails',
+  archiveFlag: 'flags.archive',
+  unarchiveFlag: 'flags.unarchive',
+  deleteFlag: 'flags.delete',
+  revert: 'history.revert'
+});
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {number} id - Sequence number, starting at 1
+ * @property {string} timestamp - ISO 8601, UTC
+ * @property {string} actor - Username, or 'anonymous:<sessionId>'
+ * @property {string} action - One of AUDIT_ACTIONS
+ * @property {string} key - Store path of the changed value
+ * @property {*} oldValue
+ * @property {*} newValue
+ * @property {string|null} requestId
+ * @property {number|null} revertOf - For reverts, the id of the reverted entry
+ */
+
+/**
+ * @typedef {Object} AuditFilters
+ * @property {string} [actor] - Exact actor
+ * @property {string} [key] - Substring of the key
+ * @property {string} [from] - First day to include (YYYY-MM-DD, UTC)
+ * @property {string} [to] - Last day to include (YYYY-MM-DD, UTC)
+ */
+
+/**
+ * getAuditActor - Describes who made a change
+ *
+ * @param {import('./users').User|null} user - Logged-in user, if any
+ * @param {string|null} sessionId
+ * @returns {string}
+ */
+export function getAuditActor(user, sessionId) {
+  return user ? user.username : `anonymous:${sessionId ?? 'unknown'}`;
+}
+
+/**
+ * recordAuditEntry - Appends an entry to the audit log
+ *
+ * Must be called with the transaction that makes the change. Fills in the
+ * id, timestamp and request ID.
+ *
+ * @param {import('./storage').StoreTransaction} tx
+ * @param {Object} change
+ * @param {string} change.actor
+ * @param {string} change.action
+ * @param {string} change.key
+ * @param {*} change.oldValue
+ * @param {*} change.newValue
+ * @param {number} [change.revertOf] - Id of the entry this change reverts
+ * @returns {Promise<AuditEntry>}
+ */
+export async function recordAuditEntry(tx, { actor, action, key, oldValue, newValue, revertOf }) {
+  const entries = (await tx.get(AUDIT_LOG_KEY)) ?? [];
+
+  const entry = {
+    id: (entries.at(-1)?.id ?? 0) + 1,
+    timestamp: new Date().toISOString(),
+    actor,
+    action,
+    key,
+    oldValue: oldValue ?? null,
+    newValue: newValue ?? null,
+    requestId: headers().get(REQUEST_HEADERS.requestId),
+    revertOf: revertOf ?? null
+  };
+
+  await tx.set(AUDIT_LOG_KEY, [...entries, entry]);
+  return entry;
+}
+
+/**
+ * normalizeAuditFilters - Builds AuditFilters from untrusted query parameters
+ *
+ * Unknown or malformed values are dropped.
+ *
+ * @param {Object<string, string|string[]|undefined>} searchParams
+ * @returns {AuditFilters}
+ */
+export function normalizeAuditFilters(searchParams) {
+  const filters = {};
+
+  for (const name of ['actor', 'key', 'from', 'to']) {
+    const value = searchParams[name];
+
+    if (typeof value !== 'string' || value.trim() === '') {
+      continue;
+    }
+
+    if ((name === 'from' || name === 'to') && !isValidDate(value)) {
+      continue;
+    }
+
+    filters[name] = value.trim();
+  }
+
+  return filters;
+}
+
+function isValidDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00.000Z`));
+}
+
+/**
+ * getAuditEntries - Reads audit entries, newest first
+ *
+ * @param {import('./storage').Store} store
+ * @param {AuditFilters} [filters]
+ * @returns {Promise<AuditEntry[]>}
+ */
+export async function getAuditEntries(store, filters = {}) {
+  const entries = (await store.get(AUDIT_LOG_KEY)) ?? [];
+
+  // Inclusive date range, compared as ISO strings (all timestamps are UTC)
+  const fromTimestamp = filters.from ? `${filters.from}T00:00:00.000Z` : null;
+  const toTimestamp = filters.to ? `${filters.to}T23:59:59.999Z` : null;
+
+  return entries
+    .filter(entry =>
+      (!filters.actor || entry.actor === filters.actor) &&
+      (!filters.key || entry.key.includes(filters.key)) &&
+      (!fromTimestamp || entry.timestamp >= fromTimestamp) &&
+      (!toTimestamp || entry.timestamp <= toTimestamp)
+    )
+    .reverse();
+}
+
+/**
+ * getAuditActors - Lists every actor that appears in the log
+ *
+ * @param {import('./storage').Store} store
+ * @returns {Promise<string[]>} Sorted, for the actor filter
+ */
+export async function getAuditActors(store) {
+  const entries = (await store.get(AUDIT_LOG_KEY)) ?? [];
+  return [...new Set(entries.map(entry => entry.actor))].sort();
+}
+
+const CSV_COLUMNS = ['id', 'timestamp', 'actor', 'action', 'key', 'oldValue', 'newValue', 'requestId', 'revertOf'];
+
+function toCsvField(value) {
+  let text = value === null || value === undefined
+    ? ''
+    : typeof value === 'string' ? value : JSON.stringify(value);
+
+  // Keep spreadsheet apps from evaluating values as formulas
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * auditEntriesToCsv - Serializes entries as RFC 4180 CSV
+ *
+ * Old and new values are JSON-encoded so their types survive the export.
+ *
+ * @param {AuditEntry[]} entries
+ * @returns {string}
+ */
+export function auditEntriesToCsv(entries) {
+  const rows = entries.map(entry =>
+    CSV_COLUMNS.map(column => {
+      const value = entry[column];
+      return toCsvField(column === 'oldValue' || column === 'newValue' ? JSON.stringify(value) : value);
+    }).join(',')
+  );
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
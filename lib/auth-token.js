@@ -0,0 +1,154 @@
+/*
+ * ============================================================================
+ * AUTH TOKENS - HMAC-SIGNED SESSION COOKIES
+ * ============================================================================
+ *
+ * After a successful login the server issues an auth token in the auth_token
+ * cookie. The token is a small signed payload:
+ *
+ *   base64url({ "sub": "demo", "iat": 1700000000, "exp": 1700028800 })
+ *     + "." + base64url(HMAC-SHA256(payload, AUTH_SECRET))
+ *
+ * A token is only accepted when the signature matches and it has not expired,
+ * so the cookie cannot be forged or edited in the browser.
+ *
+ * Uses the Web Crypto API only, so the same code verifies tokens in
+ * middleware (Edge runtime) and in Server Components and Server Actions
+ * (Node.js runtime).
+ *
+ * SECRET: Set AUTH_SECRET to a long random string. Development falls back to
+ * a fixed, insecure secret. Production refuses to sign without one
+ * (signAuthToken throws MissingSecretError, which the login action and
+ * /api/session report as a failed login), and treats every token as invalid
+ * (the visitor as anonymous).
+ *
+ * ============================================================================
+ */
+
+// How long a login lasts, in seconds
+export const AUTH_SESSION_MAX_AGE = 60 * 60 * 8; // 8 hours
+
+const DEVELOPMENT_SECRET = 'development-only-auth-secret-do-not-use-in-production';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * @typedef {Object} AuthTokenPayload
+ * @property {string} sub - Username
+ * @property {number} iat - Issued at (seconds since epoch)
+ * @property {number} exp - Expires at (seconds since epoch)
+ */
+
+/**
+ * MissingSecretError - Thrown when a token must be signed in production
+ * without AUTH_SECRET
+ */
+export class MissingSecretError extends Error {}
+
+function getSecret() {
+  const secret = process.env.AUTH_SECRET;
+
+  if (secret) {
+    return secret;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new MissingSecretError('AUTH_SECRET must be set in production');
+  }
+
+  return DEVELOPMENT_SECRET;
+}
+
+function getSigningKey() {
+  return crypto.subtle.importKey(
+    'raw',
+    encoder.encode(getSecret()),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+
+  return Uint8Array.from(binary, character => character.charCodeAt(0));
+}
+
+/**
+ * signAuthToken - Issues a signed token for a user
+ *
+ * @param {string} username
+ * @returns {Promise<string>}
+ */
+export async function signAuthToken(username) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const payload = toBase64Url(encoder.encode(JSON.stringify({
+    sub: username,
+    iat: issuedAt,
+    exp: issuedAt + AUTH_SESSION_MAX_AGE
+  })));
+
+  const signature = await crypto.subtle.sign('HMAC', await getSigningKey(), encoder.encode(payload));
+
+  return `${payload}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+/**
+ * verifyAuthToken - Checks a token's signature and expiry
+ *
+ * @param {string|null|undefined} token - Raw cookie value
+ * @returns {Promise<AuthTokenPayload|null>} Payload, or null when the token is
+ *   missing, malformed, forged or expired
+ */
+export async function verifyAuthToken(token) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const [payload, signature, ...rest] = token.split('.');
+  if (!payload || !signature || rest.length > 0) {
+    return null;
+  }
+
+  try {
+    // crypto.subtle.verify compares the signatures in constant time
+    const isValid = await crypto.subtle.verify(
+      'HMAC',
+      await getSigningKey(),
+      fromBase64Url(signature),
+      encoder.encode(payload)
+    );
+
+    if (!isValid) {
+      return null;
+    }
+
+    const claims = JSON.parse(decoder.decode(fromBase64Url(payload)));
+
+    if (typeof claims.sub !== 'string' || !(claims.exp > Date.now() / 1000)) {
+      return null;
+    }
+
+    return claims;
+  } catch (error) {
+    // Malformed base64 or JSON, or no secret to verify with (production
+    // without AUTH_SECRET): either way the token cannot be trusted
+    if (error instanceof MissingSecretError) {
+      console.error('🔐 [AUTH] Cannot verify auth tokens:', error.message);
+    }
+
+    return null;
+  }
+}
@@ -0,0 +1,87 @@
+/*
+ * ============================================================================
+ * AUTH - SERVER COMPONENT / SERVER ACTION HELPER
+ * ============================================================================
+ *
+ * Reads and writes the signed auth cookie (see lib/auth-token.js). Works in
+ * Server Components, Server Actions and Route Handlers.
+ *
+ * getCurrentUser() verifies the cookie on every call; middleware forwards
+ * no login state, so this also holds for requests the middleware matcher
+ * skips.
+ *
+ * ============================================================================
+ */
+
+import { cookies } from 'next/headers';
+import { AUTH_COOKIE_NAME } from './request-context';
+import { AUTH_SESSION_MAX_AGE, signAuthToken, verifyAuthToken } from './auth-token';
+import { findUser } from './users';
+import { ANONYMOUS_ROLE, getRolesWithPermission, hasPermission } from './roles';
+
+/**
+ * getCurrentUser - Returns the logged-in user for this request
+ *
+ * @returns {Promise<import('./users').User|null>} The user, or null when the
+ *   cookie is missing, invalid, expired or names an account that no longer exists
+ */
+export async function getCurrentUser() {
+  const claims = await verifyAuthToken(cookies().get(AUTH_COOKIE_NAME)?.value);
+
+  return claims ? findUser(claims.sub) : null;
+}
+
+/**
+ * authorize - Checks whether the current user may perform an action
+ *
+ * Call at the start of every Server Action that changes data. Visitors who
+ * are not logged in are checked against ANONYMOUS_ROLE.
+ *
+ * @param {string} permission - One of PERMISSIONS from lib/roles.js
+ * @returns {Promise<{
+ *   allowed: boolean,
+ *   user: import('./users').User|null,
+ *   role: string,
+ *   message: string|null
+ * }>} `message` explains a refusal, for actionForbidden()
+ */
+export async function authorize(permission) {
+  const user = await getCurrentUser();
+  const role = user?.role ?? ANONYMOUS_ROLE;
+  const allowed = hasPermission(role, permission);
+
+  return {
+    allowed,
+    user,
+    role,
+    message: allowed
+      ? null
+      : `Permission denied: requires the ${getRolesWithPermission(permission).join(' or ')} role.`
+  };
+}
+
+/**
+ * startAuthSession - Logs a user in by issuing a signed auth cookie
+ *
+ * Only callable from Server Actions and Route Handlers.
+ *
+ * @param {string} username
+ */
+export async function startAuthSession(username) {
+  cookies().set(AUTH_COOKIE_NAME, await signAuthToken(username), {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/',
+    maxAge: AUTH_SESSION_MAX_AGE
+  });
+}
+
+/**
+ * endAuthSession - Logs the current user out by clearing the auth cookie
+ *
+ * Only callable from Server Actions and Route Handlers.
+ */
+export function endAuthSession() {
+  cookies().delete(AUTH_COOKIE_NAME);
+}
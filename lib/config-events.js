@@ -0,0 +1,260 @@
+/*
+ * ============================================================================
+ * CONFIGURATION EVENTS - CHANGE NOTIFICATIONS FOR OPEN TABS
+ * ============================================================================
+ *
+ * /api/events streams configuration changes to open dashboards as
+ * Server-Sent Events, so tabs other than the one that submitted a form
+ * refresh too:
+ *
+ *   id: 42
+ *   event: flags
+ *   data: {"key":"FEATURE_FLAGS.currencyToggleEnabled.enabled"}
+ *
+ * The audit log is the event log: every change is audited in the same
+ * transaction that writes it (lib/audit.js), and the event id is the audit
+ * entry id. A client reconnecting with Last-Event-ID receives the entries
+ * it missed, whichever code path (Server Action, REST API, revert) made the
+ * change.
+ *
+ * Visitors only receive events they are allowed to see:
+ *   flags        - any feature flag change
+ *   preferences  - changes to their own preferences
+ *
+ * Events carry the changed key, not the values, actors or other details
+ * (the audit log is admin-only). Clients re-render to read the new values.
+ *
+ * The open streams of a process share one reader (subscribeToConfigEvents):
+ * notifyConfigChanged() wakes it as soon as a change is committed, and it
+ * also re-checks the log every POLL_INTERVAL_MS, which picks up changes made
+ * by other server processes sharing a JSON file or SQLite store. Each check
+ * reads the log once and hands every stream only the entries after its own
+ * cursor, so the cost of a change does not grow with the number of tabs.
+ *
+ * SERVER ONLY.
+ *
+ * ============================================================================
+ */
+
+import { EventEmitter } from 'node:events';
+import { AUDIT_LOG_KEY } from './audit';
+import { userPreferencesKey } from './preferences';
+
+export const CONFIG_EVENT_TYPES = Object.freeze({
+  flags: 'flags',
+  preferences: 'preferences',
+  // The client's Last-Event-ID is ahead of the log (e.g. the memory store
+  // was reset by a restart), so it cannot know what it missed
+  resync: 'resync'
+});
+
+// How often the shared reader checks for changes made by other processes
+const POLL_INTERVAL_MS = 15_000;
+
+/**
+ * @typedef {Object} ConfigEvent
+ * @property {number} id - Audit entry id
+ * @property {string} type - One of CONFIG_EVENT_TYPES
+ * @property {string|null} key - Store path of the changed value
+ */
+
+// Cached on globalThis like the store, so every route bundle and development
+// hot reloads share one emitter
+function getEmitter() {
+  if (!globalThis.__configEvents) {
+    globalThis.__configEvents = new EventEmitter();
+  }
+
+  return globalThis.__configEvents;
+}
+
+/**
+ * notifyConfigChanged - Wakes open event streams after a change is committed
+ *
+ * Call after the store transaction resolves, never inside it: streams read
+ * the audit log as soon as they are notified.
+ */
+export function notifyConfigChanged() {
+  getEmitter().emit('change');
+}
+
+/**
+ * toConfigEvent - Describes an audit entry as an event for one visitor
+ *
+ * @param {import('./audit').AuditEntry} entry
+ * @param {string|null} sessionId - The subscribing visitor
+ * @returns {ConfigEvent|null} null when the visitor may not see the change
+ */
+function toConfigEvent(entry, sessionId) {
+  if (entry.key.startsWith('FEATURE_FLAGS.')) {
+    return { id: entry.id, type: CONFIG_EVENT_TYPES.flags, key: entry.key };
+  }
+
+  if (sessionId && entry.key.startsWith(`${userPreferencesKey(sessionId)}.`)) {
+    return { id: entry.id, type: CONFIG_EVENT_TYPES.preferences, key: entry.key };
+  }
+
+  return null;
+}
+
+/**
+ * getLastConfigEventId - Returns the id of the newest audit entry
+ *
+ * Pages render it as the starting point of their event stream, so changes
+ * made between rendering and connecting are not missed.
+ *
+ * @param {import('./storage').Store} store
+ * @returns {Promise<number>} 0 when the log is empty
+ */
+export async function getLastConfigEventId(store) {
+  const entries = (await store.get(AUDIT_LOG_KEY)) ?? [];
+  return entries.at(-1)?.id ?? 0;
+}
+
+// Audit entries after an id. Ids increase along the log, so only the new
+// entries at its end are visited.
+function entriesAfter(entries, id) {
+  let start = entries.length;
+
+  while (start > 0 && entries[start - 1].id > id) {
+    start -= 1;
+  }
+
+  return entries.slice(start);
+}
+
+/**
+ * @typedef {Object} ConfigEventSubscriber
+ * @property {number|null} cursor - Id of the last event delivered; null
+ *   starts at the newest entry
+ * @property {string|null} sessionId - The subscribing visitor
+ * @property {(events: ConfigEvent[]) => void} onEvents
+ */
+
+// Shared by every stream of this process, on globalThis like the emitter
+function getFeed() {
+  if (!globalThis.__configEventFeed) {
+    globalThis.__configEventFeed = {
+      store: null,
+      /** @type {Set<ConfigEventSubscriber>} */
+      subscribers: new Set(),
+      reading: false,
+      readAgain: false,
+      stop: null
+    };
+  }
+
+  return globalThis.__configEventFeed;
+}
+
+// Reads the log once and delivers the new entries to every subscriber
+async function deliverNewEvents(feed) {
+  const entries = (await feed.store.get(AUDIT_LOG_KEY)) ?? [];
+  const lastId = entries.at(-1)?.id ?? 0;
+
+  for (const subscriber of feed.subscribers) {
+    const { cursor } = subscriber;
+    subscriber.cursor = lastId;
+
+    if (cursor === null || cursor === lastId) {
+      continue;
+    }
+
+    const events = cursor > lastId
+      ? [{ id: lastId, type: CONFIG_EVENT_TYPES.resync, key: null }]
+      : entriesAfter(entries, cursor)
+        .map(entry => toConfigEvent(entry, subscriber.sessionId))
+        .filter(Boolean);
+
+    if (events.length > 0) {
+      subscriber.onEvents(events);
+    }
+  }
+}
+
+// Runs one read at a time. Changes that arrive during a read trigger a
+// single follow-up read, so events are delivered once and in order.
+function scheduleRead(feed) {
+  if (feed.reading) {
+    feed.readAgain = true;
+    return;
+  }
+
+  feed.reading = true;
+
+  (async () => {
+    do {
+      feed.readAgain = false;
+
+      try {
+        await deliverNewEvents(feed);
+      } catch (error) {
+        console.error('⚠️  [EVENTS] Could not read configuration events:', error);
+      }
+    } while (feed.readAgain && feed.subscribers.size > 0);
+
+    feed.reading = false;
+  })();
+}
+
+/**
+ * subscribeToConfigEvents - Delivers the changes a visitor may see
+ *
+ * Subscribers share the process-wide reader described above. The first
+ * delivery replays the changes after `lastEventId`.
+ *
+ * @param {import('./storage').Store} store
+ * @param {Object} options
+ * @param {number|null} options.lastEventId - Id of the last event the client
+ *   received; null starts at the newest change
+ * @param {string|null} options.sessionId - The subscribing visitor
+ * @param {(events: ConfigEvent[]) => void} options.onEvents - Called with
+ *   new events, in order
+ * @returns {() => void} Unsubscribes
+ */
+export function subscribeToConfigEvents(store, { lastEventId, sessionId, onEvents }) {
+  const feed = getFeed();
+  const subscriber = { cursor: lastEventId, sessionId, onEvents };
+
+  feed.store = store;
+  feed.subscribers.add(subscriber);
+
+  // Listen for changes only while a stream is open
+  if (!feed.stop) {
+    const emitter = getEmitter();
+    const read = () => scheduleRead(feed);
+    const poll = setInterval(read, POLL_INTERVAL_MS);
+
+    emitter.on('change', read);
+    feed.stop = () => {
+      emitter.off('change', read);
+      clearInterval(poll);
+      feed.stop = null;
+    };
+  }
+
+  scheduleRead(feed);
+
+  return () => {
+    feed.subscribers.delete(subscriber);
+
+    if (feed.subscribers.size === 0) {
+      feed.stop?.();
+    }
+  };
+}
+
+/**
+ * parseEventId - Reads a Last-Event-ID header or query parameter
+ *
+ * @param {string|null} value
+ * @returns {number|null} null when missing or malformed
+ */
+export function parseEventId(value) {
+  if (typeof value !== 'string' || !/^\d+$/.test(value)) {
+    return null;
+  }
+
+  const id = Number(value);
+  return Number.isSafeInteger(id) ? id : null;
+}
@@ -0,0 +1,471 @@
+/*
+ * ============================================================================
+ * CONFIGURATION MUTATIONS - SHARED BY SERVER ACTIONS AND ROUTE HANDLERS
+ * ============================================================================
+ *
+ * Every change to preferences or feature flags goes through one of these
+ * functions, whether it comes from a form (Server Actions) or from the REST
+ * API (app/api). Each runs a single store transaction that writes the change
+ * together with its audit entries, so both entry points store and audit
+ * changes identically. Once the transaction commits, open event streams are
+ * notified (lib/config-events.js).
+ *
+ * Callers are responsible for checking permissions and validating input
+ * first (lib/roles.js, lib/preferences.js, lib/feature-flags.js), and for
+ * revalidating the pages that show the data afterwards. Flag changes that
+ * cannot be made (an unknown, archived or built-in flag) are answered with
+ * `{ error, status }` instead, like reverts in lib/history.js; `error` is a
+ * message descriptor the caller translates (see translatable() in
+ * lib/i18n/translate.js).
+ *
+ * OPTIMISTIC CONCURRENCY: Every write increments the record's version. A
+ * caller that passes `expectedVersion` (the version its form rendered) gets
+ * `{ conflict: true, current }` instead when the record has been written
+ * since, and nothing is changed (see lib/record-version.js).
+ *
+ * SERVER ONLY: Writes audit entries, which read request headers.
+ *
+ * ============================================================================
+ */
+
+import { AUDIT_ACTIONS, recordAuditEntry } from './audit';
+import { getUserPreferences, userPreferencesKey } from './preferences';
+import {
+  createFlagState,
+  getDefaultFlagState,
+  isBuiltInFlag,
+  normalizeFeatureFlags
+} from './feature-flags';
+import { notifyConfigChanged } from './config-events';
+import { isStaleVersion } from './record-version';
+import { translatable } from './i18n/translate';
+
+// Audit action recorded for each preference field
+const PREFERENCE_AUDIT_ACTIONS = {
+  currency: AUDIT_ACTIONS.updateCurrency,
+  theme: AUDIT_ACTIONS.updateTheme,
+  language: AUDIT_ACTIONS.updateLanguage
+};
+
+// Audit action recorded for each feature flag field
+const FLAG_AUDIT_ACTIONS = {
+  enabled: AUDIT_ACTIONS.toggleFlag,
+  rolloutPercentage: AUDIT_ACTIONS.updateFlagRollout
+};
+
+// Runs a change in a transaction and notifies event streams once it commits
+async function commitChange(store, work) {
+  const result = await store.transaction(work);
+  notifyConfigChanged();
+  return result;
+}
+
+/**
+ * savePreferences - Updates fields of one user's preferences
+ *
+ * Records one audit entry per submitted field.
+ *
+ * @param {import('./storage').Store} store
+ * @param {Object} options
+ * @param {string} options.sessionId - Whose preferences to change
+ * @param {string} options.actor - Who is changing them (see getAuditActor)
+ * @param {{ currency?: string, theme?: string, language?: string|null }} options.changes -
+ *   Validated values
+ * @param {number} [options.expectedVersion] - Version the change is based on
+ * @returns {Promise<{ previous: Object, current: Object } | { conflict: true, current: Object }>}
+ *   Preferences before and after, or the stored preferences when
+ *   expectedVersion is outdated
+ */
+export async function savePreferences(store, { sessionId, actor, changes, expectedVersion }) {
+  return commitChange(store, async (tx) => {
+    const previous = await getUserPreferences(tx, sessionId);
+
+    if (isStaleVersion(previous, expectedVersion)) {
+      return { conflict: true, current: previous };
+    }
+
+    const current = { ...previous, ...changes, version: previous.version + 1 };
+
+    await tx.set(userPreferencesKey(sessionId), current);
+
+    for (const field of Object.keys(changes)) {
+      await recordAuditEntry(tx, {
+        actor,
+        action: PREFERENCE_AUDIT_ACTIONS[field],
+        key: `${userPreferencesKey(sessionId)}.${field}`,
+        oldValue: previous[field],
+        newValue: current[field]
+      });
+    }
+
+    return { previous, current };
+  });
+}
+
+// Answers for flag changes that cannot be made, in the shape of
+// lib/history.js: a message and an HTTP-style status. The message is a
+// descriptor (lib/i18n/translate.js) for the caller to translate.
+function flagNotFound(flagName) {
+  return { error: translatable('flagChanges.notFound', { name: flagName }), status: 404 };
+}
+
+function flagArchived(flagName) {
+  return { error: translatable('flagChanges.archived', { name: flagName }), status: 409 };
+}
+
+function flagBuiltIn(flagName) {
+  return { error: translatable('flagChanges.builtIn', { name: flagName }), status: 409 };
+}
+
+// Writes one flag and one audit entry per changed field, with the action
+// given per field. Without changes nothing is written.
+async function writeFlag(tx, { featureFlags, flagName, actor, previous, changes, actions }) {
+  if (Object.keys(changes).length === 0) {
+    return { previous, current: previous };
+  }
+
+  const current = { ...previous, ...changes, version: previous.version + 1 };
+
+  featureFlags[flagName] = current;
+  await tx.set('FEATURE_FLAGS', { ...featureFlags });
+
+  for (const field of Object.keys(changes)) {
+    await recordAuditEntry(tx, {
+      actor,
+      action: actions[field],
+      key: `FEATURE_FLAGS.${flagName}.${field}`,
+      oldValue: previous[field],
+      newValue: current[field]
+    });
+  }
+
+  return { previous, current };
+}
+
+// Reads a flag inside a transaction and checks that it may be changed:
+// it exists, is not archived (unless allowArchived) and expectedVersion is
+// current. Returns the flag map and the flag, or the answer to give.
+async function readFlagForChange(tx, { flagName, expectedVersion, allowArchived = false }) {
+  const featureFlags = normalizeFeatureFlags(await tx.get('FEATURE_FLAGS'));
+  const previous = featureFlags[flagName];
+
+  if (!previous) {
+    return { refusal: flagNotFound(flagName) };
+  }
+
+  if (isStaleVersion(previous, expectedVersion)) {
+    return { refusal: { conflict: true, current: previous } };
+  }
+
+  if (previous.archived && !allowArchived) {
+    return { refusal: flagArchived(flagName) };
+  }
+
+  return { featureFlags, previous };
+}
+
+// Writes changed switch and rollout fields and their audit entries within a
+// transaction, unless the flag cannot be changed
+async function applyFlagChanges(tx, { flagName, actor, changes, expectedVersion }) {
+  const { refusal, featureFlags, previous } = await readFlagForChange(tx, { flagName, expectedVersion });
+
+  if (refusal) {
+    return refusal;
+  }
+
+  return writeFlag(tx, { featureFlags, flagName, actor, previous, changes, actions: FLAG_AUDIT_ACTIONS });
+}
+
+/**
+ * @typedef {{ previous: import('./feature-flags').FeatureFlagState,
+ *   current: import('./feature-flags').FeatureFlagState } |
+ *   { conflict: true, current: import('./feature-flags').FeatureFlagState } |
+ *   { error: import('./i18n/translate').TranslatableMessage, status: number }} FlagChangeResult
+ *   The flag before and after; the stored flag when expectedVersion is
+ *   outdated; or why the change was refused (404 for an unknown flag, 409
+ *   for an archived or built-in one)
+ */
+
+/**
+ * updateFlag - Sets the master switch and/or rollout of a feature flag
+ *
+ * Records one audit entry per submitted field.
+ *
+ * @param {import('./storage').Store} store
+ * @param {Object} options
+ * @param {string} options.flagName - Validated flag name
+ * @param {string} options.actor
+ * @param {{ enabled?: boolean, rolloutPercentage?: number }} options.changes - Validated values
+ * @param {number} [options.expectedVersion] - Version the change is based on
+ * @returns {Promise<FlagChangeResult>}
+ */
+export async function updateFlag(store, { flagName, actor, changes, expectedVersion }) {
+  return commitChange(store, tx => applyFlagChanges(tx, { flagName, actor, changes, expectedVersion }));
+}
+
+/**
+ * toggleFlag - Flips the master switch of a feature flag
+ *
+ * The current value is read inside the transaction, so concurrent toggles
+ * each flip the value the previous one wrote. Callers that showed the user
+ * a value pass its version, so a toggle based on an outdated value is
+ * refused instead.
+ *
+ * @param {import('./storage').Store} store
+ * @param {Object} options
+ * @param {string} options.flagName - Validated flag name
+ * @param {string} options.actor
+ * @param {number} [options.expectedVersion] - Version the change is based on
+ * @returns {Promise<FlagChangeResult>}
+ */
+export async function toggleFlag(store, { flagName, actor, expectedVersion }) {
+  return commitChange(store, async (tx) => {
+    const flag = normalizeFeatureFlags(await tx.get('FEATURE_FLAGS'))[flagName];
+
+    if (!flag) {
+      return flagNotFound(flagName);
+    }
+
+    return applyFlagChanges(tx, { flagName, actor, changes: { enabled: !flag.enabled }, expectedVersion });
+  });
+}
+
+/**
+ * resetFlag - Restores the switch and rollout of a feature flag to their defaults
+ *
+ * Built-in flags return to their definition, other flags to off at 100%.
+ * Records audit entries for the fields that change.
+ *
+ * @param {import('./storage').Store} store
+ * @param {Object} options
+ * @param {string} options.flagName - Validated flag name
+ * @param {string} options.actor
+ * @param {number} [options.expectedVersion] - Version the change is based on
+ * @returns {Promise<FlagChangeResult>}
+ */
+export async function resetFlag(store, { flagName, actor, expectedVersion }) {
+  return commitChange(store, async (tx) => {
+    const previous = normalizeFeatureFlags(await tx.get('FEATURE_FLAGS'))[flagName];
+
+    if (!previous) {
+      return flagNotFound(flagName);
+    }
+
+    const defaults = getDefaultFlagState(flagName);
+    const changes = Object.fromEntries(
+      Object.keys(FLAG_AUDIT_ACTIONS)
+        .filter(field => previous[field] !== defaults[field])
+        .map(field => [field, defaults[field]])
+    );
+
+    return applyFlagChanges(tx, { flagName, actor, changes, expectedVersion });
+  });
+}
+
+/**
+ * createFlag - Adds a feature flag, switched off at a 100% rollout
+ *
+ * Records one audit entry for the whole flag.
+ *
+ * @param {import('./storage').Store} store
+ * @param {Object} options
+ * @param {string} options.flagName - Validated flag name
+ * @param {string} options.actor
+ * @param {{ label: string, description: string, owner: string, tags: string[] }} options.details -
+ *   Validated details (see validateFlagDetails)
+ * @returns {Promise<{ current: import('./feature-flags').FeatureFlagState } |
+ *   { error: import('./i18n/translate').TranslatableMessage, status: number }>}
+ *   The new flag, or 409 when the name is taken
+ */
+export async function createFlag(store, { flagName, actor, details }) {
+  return commitChange(store, async (tx) => {
+    const featureFlags = normalizeFeatureFlags(await tx.get('FEATURE_FLAGS'));
+
+    if (featureFlags[flagName]) {
+      return { error: translatable('flagChanges.nameTaken', { name: flagName }), status: 409 };
+    }
+
+    const current = createFlagState(flagName, details, new Date().toISOString());
+
+    featureFlags[flagName] = current;
+    await tx.set('FEATURE_FLAGS', { ...featureFlags });
+
+    await recordAuditEntry(tx, {
+      actor,
+      action: AUDIT_ACTIONS.createFlag,
+      key: `FEATURE_FLAGS.${flagName}`,
+      oldValue: null,
+      newValue: current
+    });
+
+    return { current };
+  });
+}
+
+/**
+ * updateFlagDetails - Sets the label, description, owner and tags of a flag
+ *
+ * Allowed on archived flags. Records audit entries for the fields that change.
+ *
+ * @param {import('./storage').Store} store
+ * @param {Object} options
+ * @param {string} options.flagName - Validated flag name
+ * @param {string} options.actor
+ * @param {{ label: string, description: string, owner: string, tags: string[] }} options.details -
+ *   Validated details (see validateFlagDetails)
+ * @param {number} [options.expectedVersion] - Version the change is based on
+ * @returns {Promise<FlagChangeResult>}
+ */
+export async function updateFlagDetails(store, { flagName, actor, details, expectedVersion }) {
+  return commitChange(store, async (tx) => {
+    const { refusal, featureFlags, previous } = await readFlagForChange(tx, {
+      flagName,
+      expectedVersion,
+      allowArchived: true
+    });
+
+    if (refusal) {
+      return refusal;
+    }
+
+    const changes = Object.fromEntries(
+      Object.entries(details).filter(([field, value]) => JSON.stringify(previous[field]) !== JSON.stringify(value))
+    );
+    const actions = Object.fromEntries(Object.keys(changes).map(field => [field, AUDIT_ACTIONS.updateFlagDetails]));
+
+    return writeFlag(tx, { featureFlags, flagName, actor, previous, changes, actions });
+  });
+}
+
+/**
+ * setFlagArchived - Archives a flag, or restores an archived one
+ *
+ * Archived flags keep their state but cannot be switched or rolled out
+ * until restored. Built-in flags cannot be archived.
+ *
+ * @param {import('./storage').Store} store
+ * @param {Object} options
+ * @param {string} options.flagName - Validated flag name
+ * @param {string} options.actor
+ * @param {boolean} options.archived
+ * @param {number} [options.expectedVersion] - Version the change is based on
+ * @returns {Promise<FlagChangeResult>}
+ */
+export async function setFlagArchived(store, { flagName, actor, archived, expectedVersion }) {
+  return commitChange(store, async (tx) => {
+    if (isBuiltInFlag(flagName)) {
+      return flagBuiltIn(flagName);
+    }
+
+    const { refusal, featureFlags, previous } = await readFlagForChange(tx, {
+      flagName,
+      expectedVersion,
+      allowArchived: true
+    });
+
+    if (refusal) {
+      return refusal;
+    }
+
+    return writeFlag(tx, {
+      featureFlags,
+      flagName,
+      actor,
+      previous,
+      changes: previous.archived === archived ? {} : { archived },
+      actions: { archived: archived ? AUDIT_ACTIONS.archiveFlag : AUDIT_ACTIONS.unarchiveFlag }
+    });
+  });
+}
+
+/**
+ * deleteFlag - Removes an archived flag
+ *
+ * Flags have to be archived first, so a flag in use is never deleted by a
+ * single click. Records one audit entry holding the deleted flag.
+ *
+ * @param {import('./storage').Store} store
+ * @param {Object} options
+ * @param {string} options.flagName - Validated flag name
+ * @param {string} options.actor
+ * @param {number} [options.expectedVersion] - Version the deletion is based on
+ * @returns {Promise<{ previous: import('./feature-flags').FeatureFlagState } |
+ *   { conflict: true, current: import('./feature-flags').FeatureFlagState } |
+ *   { error: import('./i18n/translate').TranslatableMessage, status: number }>}
+ */
+export async function deleteFlag(store, { flagName, actor, expectedVersion }) {
+  return commitChange(store, async (tx) => {
+    if (isBuiltInFlag(flagName)) {
+      return flagBuiltIn(flagName);
+    }
+
+    const { refusal, featureFlags, previous } = await readFlagForChange(tx, {
+      flagName,
+      expectedVersion,
+      allowArchived: true
+    });
+
+    if (refusal) {
+      return refusal;
+    }
+
+    if (!previous.archived) {
+      return { error: translatable('flagChanges.notArchived', { name: flagName }), status: 409 };
+    }
+
+    delete featureFlags[flagName];
+    await tx.set('FEATURE_FLAGS', { ...featureFlags });
+
+    await recordAuditEntry(tx, {
+      actor,
+      action: AUDIT_ACTIONS.deleteFlag,
+      key: `FEATURE_FLAGS.${flagName}`,
+      oldValue: previous,
+      newValue: null
+    });
+
+    return { previous };
+  });
+}
+
+/**
+ * setFlagsEnabled - Sets the master switch of several flags at once
+ *
+ * One transaction for the whole selection. Flags that are missing or
+ * archived are skipped, as are flags already in the requested state. There
+ * is no version check: the result does not depend on the previous state.
+ *
+ * @param {import('./storage').Store} store
+ * @param {Object} options
+ * @param {string[]} options.flagNames - Validated flag names
+ * @param {string} options.actor
+ * @param {boolean} options.enabled
+ * @returns {Promise<{ changed: string[], skipped: string[] }>}
+ */
+export async function setFlagsEnabled(store, { flagNames, actor, enabled }) {
+  return commitChange(store, async (tx) => {
+    const featureFlags = normalizeFeatureFlags(await tx.get('FEATURE_FLAGS'));
+    const changed = [];
+    const skipped = [];
+
+    for (const flagName of flagNames) {
+      const previous = featureFlags[flagName];
+
+      if (!previous || previous.archived) {
+        skipped.push(flagName);
+      } else if (previous.enabled !== enabled) {
+        await writeFlag(tx, {
+          featureFlags,
+          flagName,
+          actor,
+          previous,
+          changes: { enabled },
+          actions: FLAG_AUDIT_ACTIONS
+        });
+        changed.push(flagName);
+      }
+    }
+
+    return { changed, skipped };
+  });
+}
@@ -0,0 +1,188 @@
+/*
+ * ============================================================================
+ * CURRENCY CONVERSION - DECIMAL-SAFE ARITHMETIC ON RATE SETS
+ * ============================================================================
+ *
+ * Converts amounts between currencies using a RateSet (see ./index.js):
+ *
+ *   convertAmount('19.99', 'USD', 'JPY', rateSet)  →  '3137'
+ *   convertAmount('19.99', 'USD', 'EUR', rateSet)  →  '18.36'
+ *
+ * Floating point cannot represent most decimal fractions (0.1 + 0.2 !==
+ * 0.3), so amounts and rates are handled as decimal strings and multiplied
+ * and divided as BigInt integers. Results are rounded once, half away from
+ * zero, to the minor units of the target currency.
+ *
+ * This module has no server-only dependencies, so Client Components can
+ * convert with rates loaded on the server and passed down as props.
+ *
+ * ============================================================================
+ */
+
+import { getMinorUnits } from '../money';
+
+// Rates older than this are reported as stale
+export const RATE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+const DECIMAL_PATTERN = /^-?\d+(\.\d+)?$/;
+
+/**
+ * toDecimalString - Normalizes an amount to a plain decimal string
+ *
+ * Numbers are written out without exponents (1e-7 → '0.0000001').
+ *
+ * @param {number|string} value
+ * @returns {string}
+ * @throws {TypeError} If the value is not a finite decimal
+ */
+function toDecimalString(value) {
+  const text = typeof value === 'number' && Number.isFinite(value)
+    ? value.toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 20 })
+    : value;
+
+  if (typeof text !== 'string' || !DECIMAL_PATTERN.test(text)) {
+    throw new TypeError(`Expected a decimal amount, received ${value}`);
+  }
+
+  return text;
+}
+
+/**
+ * parseDecimal - Splits a decimal into an integer and a power-of-ten scale
+ *
+ * '-12.345' → { units: -12345n, scale: 3 }
+ *
+ * @param {number|string} value
+ * @returns {{ units: bigint, scale: number }}
+ */
+function parseDecimal(value) {
+  const text = toDecimalString(value);
+  const [whole, fraction = ''] = text.replace('-', '').split('.');
+  const units = BigInt(whole + fraction);
+
+  return { units: text.startsWith('-') ? -units : units, scale: fraction.length };
+}
+
+// Integer division rounding half away from zero (denominator > 0)
+function divideRounded(numerator, denominator) {
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  const absRemainder = remainder < 0n ? -remainder : remainder;
+
+  if (absRemainder * 2n >= denominator) {
+    return quotient + (numerator < 0n ? -1n : 1n);
+  }
+
+  return quotient;
+}
+
+// Formats units / 10^digits as a decimal string
+function formatUnits(units, digits) {
+  const sign = units < 0n ? '-' : '';
+  const text = (units < 0n ? -units : units).toString().padStart(digits + 1, '0');
+
+  return digits === 0
+    ? `${sign}${text}`
+    : `${sign}${text.slice(0, -digits)}.${text.slice(-digits)}`;
+}
+
+function getRate(rateSet, currency) {
+  const rate = rateSet.rates[currency];
+
+  if (rate === undefined) {
+    throw new RangeError(`No exchange rate for ${currency} in the ${rateSet.provider} rates`);
+  }
+
+  return parseDecimal(rate);
+}
+
+/**
+ * scaledRatio - Computes value × to/from as an integer scaled by 10^digits
+ *
+ * Rates are quoted against rateSet.base, so the cross rate from → to is
+ * rates[to] / rates[from].
+ */
+function scaledRatio(value, from, to, rateSet, digits) {
+  const amount = parseDecimal(value);
+  const fromRate = getRate(rateSet, from);
+  const toRate = getRate(rateSet, to);
+
+  const numerator = amount.units * toRate.units * 10n ** BigInt(fromRate.scale + digits);
+  const denominator = fromRate.units * 10n ** BigInt(amount.scale + toRate.scale);
+
+  return divideRounded(numerator, denominator);
+}
+
+/**
+ * convertAmount - Converts an amount from one currency to another
+ *
+ * @param {number|string} amount - Amount in major units of `from`
+ * @param {string} from - ISO 4217 code
+ * @param {string} to - ISO 4217 code
+ * @param {import('./index').RateSet} rateSet
+ * @returns {string} Decimal string with exactly the minor units of `to`
+ */
+export function convertAmount(amount, from, to, rateSet) {
+  const digits = getMinorUnits(to);
+  return formatUnits(scaledRatio(amount, from, to, rateSet, digits), digits);
+}
+
+/**
+ * getCrossRate - The rate for converting one unit of `from` into `to`
+ *
+ * @param {string} from
+ * @param {string} to
+ * @param {import('./index').RateSet} rateSet
+ * @param {number} [precision] - Decimal places of the result
+ * @returns {string} e.g. '200.5367' for GBP → JPY
+ */
+export function getCrossRate(from, to, rateSet, precision = 4) {
+  return formatUnits(scaledRatio('1', from, to, rateSet, precision), precision);
+}
+
+/**
+ * getRateStatus - Describes how old a rate set is
+ *
+ * Sample rate sets (the bundled fixture, served directly or from a fresh
+ * cache) are never stale: their age says nothing about the health of a feed.
+ * Cached rates served after a failed refresh are not marked as samples.
+ *
+ * @param {import('./index').RateSet} rateSet
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {{ asOf: string, ageMs: number, isStale: boolean }}
+ */
+export function getRateStatus(rateSet, now = Date.now()) {
+  const ageMs = Math.max(0, now - Date.parse(rateSet.asOf));
+  return { asOf: rateSet.asOf, ageMs, isStale: !rateSet.sample && ageMs > RATE_MAX_AGE_MS };
+}
+
+/**
+ * validateRateSet - Checks data returned by a provider
+ *
+ * @param {*} rateSet
+ * @param {string[]} currencies - Codes that must have a rate
+ * @returns {string|null} A description of the first problem, or null
+ */
+export function validateRateSet(rateSet, currencies) {
+  if (!rateSet || typeof rateSet !== 'object') {
+    return 'rate set is missing';
+  }
+
+  if (Number.isNaN(Date.parse(rateSet.asOf))) {
+    return `invalid asOf timestamp "${rateSet.asOf}"`;
+  }
+
+  if (rateSet.rates?.[rateSet.base] !== '1') {
+    return `base currency ${rateSet.base} must have a rate of "1"`;
+  }
+
+  for (const currency of currencies) {
+    const rate = rateSet.rates[currency];
+
+    if (typeof rate !== 'string' || !DECIMAL_PATTERN.test(rate) || parseDecimal(rate).units <= 0n) {
+      return `invalid rate for ${currency}: ${JSON.stringify(rate)}`;
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,89 @@
+/*
+ * ============================================================================
+ * FILE CACHE EXCHANGE RATE PROVIDER
+ * ============================================================================
+ *
+ * Wraps another provider and keeps its last result in a JSON file:
+ *
+ *   { "fetchedAt": "2024-06-03T16:05:00.000Z", "rateSet": { ... } }
+ *
+ * - A cache younger than ttlMs is served without calling the upstream
+ *   provider, so every worker process and restart shares one fetch
+ * - Otherwise the upstream provider is called and the cache rewritten
+ * - If the upstream call fails, the cached rates are served however old
+ *   they are. They lose the `sample` mark the fixture gives its rates, so
+ *   their asOf timestamp tells the UI they are stale (see getRateStatus)
+ *
+ * Writes go to a temporary file that is renamed into place, like the JSON
+ * file storage adapter, so readers never see a half-written cache.
+ *
+ * ============================================================================
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * createFileCacheProvider - Creates a provider that caches another one on disk
+ *
+ * @param {Object} options
+ * @param {string} options.filePath - Location of the cache file
+ * @param {import('./index').ExchangeRateProvider} options.upstream - Provider to cache
+ * @param {number} options.ttlMs - How long cached rates are served without a refresh
+ * @returns {import('./index').ExchangeRateProvider}
+ */
+export function createFileCacheProvider({ filePath, upstream, ttlMs }) {
+  async function readCache() {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async function writeCache(cache) {
+    const directory = path.dirname(filePath);
+    const tempPath = path.join(
+      directory,
+      `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`
+    );
+
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(cache, null, 2), 'utf8');
+
+    try {
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  return {
+    name: `file-cache(${upstream.name})`,
+
+    async fetchRates() {
+      const cache = await readCache();
+
+      if (cache && Date.now() - Date.parse(cache.fetchedAt) < ttlMs) {
+        return cache.rateSet;
+      }
+
+      try {
+        const rateSet = await upstream.fetchRates();
+        await writeCache({ fetchedAt: new Date().toISOString(), rateSet });
+        return rateSet;
+      } catch (error) {
+        if (cache) {
+          console.warn(`⚠️ [EXCHANGE RATES] ${upstream.name} failed, serving cached rates:`, error.message);
+          // No longer refreshed on schedule, so even sample rates can be stale
+          return { ...cache.rateSet, sample: false };
+        }
+        throw error;
+      }
+    }
+  };
+}
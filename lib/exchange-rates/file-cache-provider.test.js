@@ -0,0 +1,69 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFileCacheProvider } from './file-cache-provider';
+import { createFixtureProvider } from './fixture-provider';
+import { getRateStatus } from './convert';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const fixture = {
+  base: 'USD',
+  asOf: '2024-06-03T16:00:00.000Z',
+  rates: { USD: '1', EUR: '0.92', JPY: '156.94' }
+};
+
+const failingUpstream = {
+  name: 'failing',
+  async fetchRates() {
+    throw new Error('feed unreachable');
+  }
+};
+
+describe('createFileCacheProvider', () => {
+  let directory;
+  let filePath;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'exchange-rates-'));
+    filePath = path.join(directory, 'cache.json');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  async function writeCache(fetchedAt) {
+    const rateSet = await createFixtureProvider({ fixture }).fetchRates();
+    await fs.writeFile(filePath, JSON.stringify({ fetchedAt, rateSet }), 'utf8');
+  }
+
+  it('serves freshly cached sample rates as not stale', async () => {
+    await writeCache(new Date().toISOString());
+    const provider = createFileCacheProvider({ filePath, upstream: failingUpstream, ttlMs: HOUR_MS });
+
+    const rateSet = await provider.fetchRates();
+
+    expect(rateSet.sample).toBe(true);
+    expect(getRateStatus(rateSet).isStale).toBe(false);
+  });
+
+  it('reports a stale cached set as stale when the refresh fails', async () => {
+    await writeCache(new Date(Date.now() - 2 * HOUR_MS).toISOString());
+    const provider = createFileCacheProvider({ filePath, upstream: failingUpstream, ttlMs: HOUR_MS });
+
+    const rateSet = await provider.fetchRates();
+
+    expect(rateSet.rates).toEqual(fixture.rates);
+    expect(rateSet.sample).toBe(false);
+    expect(getRateStatus(rateSet).isStale).toBe(true);
+  });
+
+  it('rethrows the upstream error when there is no cache', async () => {
+    const provider = createFileCacheProvider({ filePath, upstream: failingUpstream, ttlMs: HOUR_MS });
+
+    await expect(provider.fetchRates()).rejects.toThrow('feed unreachable');
+  });
+});
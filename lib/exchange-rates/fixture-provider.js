@@ -0,0 +1,36 @@
+/*
+ * ============================================================================
+ * FIXTURE EXCHANGE RATE PROVIDER
+ * ============================================================================
+ *
+ * Serves the rates in config/exchange-rates.json. Works offline and always
+ * returns the same rates, which also makes it the stand-in provider for
+ * tests. The fixture's asOf timestamp is reported as-is, but its rates are
+ * marked as sample data: they are never refreshed, so their age is not a
+ * sign of a failing feed and the UI does not flag them as stale.
+ *
+ * ============================================================================
+ */
+
+/**
+ * createFixtureProvider - Creates a provider that serves fixed rates
+ *
+ * @param {Object} options
+ * @param {{ base: string, asOf: string, rates: Object<string, string> }} options.fixture
+ * @returns {import('./index').ExchangeRateProvider}
+ */
+export function createFixtureProvider({ fixture }) {
+  return {
+    name: 'fixture',
+
+    async fetchRates() {
+      return {
+        base: fixture.base,
+        asOf: fixture.asOf,
+        rates: { ...fixture.rates },
+        provider: 'fixture',
+        sample: true
+      };
+    }
+  };
+}
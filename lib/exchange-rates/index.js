@@ -0,0 +1,99 @@
+/*
+ * ============================================================================
+ * EXCHANGE RATES - PLUGGABLE RATE PROVIDERS
+ * ============================================================================
+ *
+ * Rates come from an ExchangeRateProvider selected with the
+ * EXCHANGE_RATES_PROVIDER environment variable:
+ *
+ *   EXCHANGE_RATES_PROVIDER=fixture     (default) config/exchange-rates.json
+ *   EXCHANGE_RATES_PROVIDER=file-cache  The fixture, cached in the file at
+ *                                       EXCHANGE_RATES_CACHE_PATH (default:
+ *                                       .data/exchange-rates.json) for
+ *                                       EXCHANGE_RATES_CACHE_TTL_MINUTES
+ *                                       (default: 60)
+ *
+ * To add a real rate feed, write a provider with a fetchRates() method that
+ * resolves to a RateSet and register it in PROVIDERS (or wrap it in the file
+ * cache). Conversion itself lives in ./convert.js and does not depend on
+ * the provider.
+ *
+ * SERVER ONLY: Providers may read files or call external services. Pages
+ * load the rates and pass the RateSet to Client Components as a prop.
+ *
+ * ============================================================================
+ */
+
+import path from 'path';
+import { SUPPORTED_CURRENCY_CODES } from '../preferences';
+import { validateRateSet } from './convert';
+import { createFixtureProvider } from './fixture-provider';
+import { createFileCacheProvider } from './file-cache-provider';
+import fixture from '../../config/exchange-rates.json';
+
+/**
+ * @typedef {Object} RateSet
+ * @property {string} base - Currency the rates are quoted against (rate "1")
+ * @property {Object<string, string>} rates - Units of each currency per one
+ *   unit of base, as decimal strings (e.g. { JPY: '156.94' })
+ * @property {string} asOf - ISO 8601 time the rates were published
+ * @property {string} provider - Name of the provider that supplied them
+ * @property {boolean} [sample] - True for fixed offline rates that are never
+ *   refreshed; they are not reported as stale (see getRateStatus). The file
+ *   cache clears it when it serves rates it could not refresh
+ */
+
+/**
+ * @typedef {Object} ExchangeRateProvider
+ * @property {string} name - Provider name, for logging
+ * @property {() => Promise<RateSet>} fetchRates - Loads the latest rates
+ */
+
+const PROVIDERS = {
+  fixture: () => createFixtureProvider({ fixture }),
+  'file-cache': () => createFileCacheProvider({
+    filePath: path.resolve(process.env.EXCHANGE_RATES_CACHE_PATH || '.data/exchange-rates.json'),
+    upstream: createFixtureProvider({ fixture }),
+    ttlMs: Number(process.env.EXCHANGE_RATES_CACHE_TTL_MINUTES || 60) * 60 * 1000
+  })
+};
+
+/**
+ * getExchangeRateProvider - Returns the process-wide provider instance
+ *
+ * @returns {ExchangeRateProvider}
+ */
+export function getExchangeRateProvider() {
+  if (!globalThis.__exchangeRateProvider) {
+    const providerName = process.env.EXCHANGE_RATES_PROVIDER || 'fixture';
+    const createProvider = PROVIDERS[providerName];
+
+    if (!createProvider) {
+      throw new Error(
+        `Unknown EXCHANGE_RATES_PROVIDER "${providerName}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`
+      );
+    }
+
+    globalThis.__exchangeRateProvider = createProvider();
+  }
+
+  return globalThis.__exchangeRateProvider;
+}
+
+/**
+ * getExchangeRates - Loads rates for every supported currency
+ *
+ * @returns {Promise<RateSet>}
+ * @throws {Error} If the provider returns rates that cannot be used
+ */
+export async function getExchangeRates() {
+  const provider = getExchangeRateProvider();
+  const rateSet = await provider.fetchRates();
+  const problem = validateRateSet(rateSet, SUPPORTED_CURRENCY_CODES);
+
+  if (problem) {
+    throw new Error(`Exchange rate provider ${provider.name} returned unusable rates: ${problem}`);
+  }
+
+  return rateSet;
+}
@@ -0,0 +1,187 @@
+/*
+ * ============================================================================
+ * A/B EXPERIMENTS - VARIANT ASSIGNMENT AND EXPOSURE LOGGING
+ * ============================================================================
+ *
+ * An experiment shows different variants of a feature to different users and
+ * measures which one converts better.
+ *
+ * ASSIGNMENT: Each user is bucketed by hashing their session ID with the
+ * experiment's salt (the same hashing used for percentage rollouts). Buckets
+ * are split between variants in proportion to their weights, so a user
+ * always sees the same variant.
+ *
+ * MEASUREMENT: The first time a session is shown a variant, an exposure is
+ * recorded; later renders for the same session and variant (page refreshes,
+ * revalidation after a Server Action) are not counted again. When the user
+ * completes the experiment's goal (e.g. a successful currency update), a
+ * conversion is recorded for their variant. Counts are kept per variant in
+ * the EXPERIMENT_RESULTS store collection:
+ *
+ *   { currencyFormLayout: { A: { exposures: 120, conversions: 14 }, B: { ... } } }
+ *
+ * and the variants each session has been exposed to in
+ * EXPERIMENT_EXPOSURES:<sessionId>:
+ *
+ *   { currencyFormLayout: ['A'] }
+ *
+ * SERVER ONLY: Uses Node's crypto module via lib/rollout.js.
+ *
+ * ============================================================================
+ */
+
+import { getRolloutBucket } from './rollout';
+
+const EXPOSURES_KEY_PREFIX = 'EXPERIMENT_EXPOSURES:';
+
+/**
+ * @typedef {Object} ExperimentVariant
+ * @property {string} key - Stable identifier (e.g., 'A')
+ * @property {string} name - Display name
+ * @property {number} weight - Relative share of traffic
+ */
+
+/**
+ * @typedef {Object} Experiment
+ * @property {string} key
+ * @property {string} name
+ * @property {string} description
+ * @property {string} goal - What counts as a conversion
+ * @property {string} salt - Mixed into the assignment hash
+ * @property {ExperimentVariant[]} variants
+ */
+
+/** @type {Object<string, Experiment>} */
+export const EXPERIMENTS = {
+  currencyFormLayout: {
+    key: 'currencyFormLayout',
+    name: 'Currency Form Layout',
+    description: 'Vertical radio list (A) versus a compact grid of currency tiles (B) in PreferencesManager.',
+    goal: 'Successful updateUserCurrency submission',
+    salt: 'currencyFormLayout-v1',
+    variants: [
+      { key: 'A', name: 'Radio list', weight: 50 },
+      { key: 'B', name: 'Compact grid', weight: 50 }
+    ]
+  }
+};
+
+/**
+ * assignVariant - Deterministically picks a variant for a user
+ *
+ * @param {Experiment} experiment
+ * @param {string|null} userId - Session or user identifier
+ * @returns {string} Variant key. Users without an ID get the first variant.
+ */
+export function assignVariant(experiment, userId) {
+  const [control] = experiment.variants;
+
+  if (!userId) {
+    return control.key;
+  }
+
+  const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+  // Bucket is 0-99.99; scale it onto the combined weights
+  const point = (getRolloutBucket(experiment.salt, userId) / 100) * totalWeight;
+
+  let cumulativeWeight = 0;
+  for (const variant of experiment.variants) {
+    cumulativeWeight += variant.weight;
+    if (point < cumulativeWeight) {
+      return variant.key;
+    }
+  }
+
+  return control.key;
+}
+
+/**
+ * incrementCount - Adds one to an exposure or conversion count
+ *
+ * @param {import('./storage').StoreTransaction} tx
+ * @param {string} experimentKey
+ * @param {string} variantKey
+ * @param {'exposures'|'conversions'} counter
+ */
+async function incrementCount(tx, experimentKey, variantKey, counter) {
+  const results = (await tx.get('EXPERIMENT_RESULTS')) ?? {};
+  const experimentResults = results[experimentKey] ?? {};
+  const variantResults = experimentResults[variantKey] ?? { exposures: 0, conversions: 0 };
+
+  await tx.set('EXPERIMENT_RESULTS', {
+    ...results,
+    [experimentKey]: {
+      ...experimentResults,
+      [variantKey]: { ...variantResults, [counter]: variantResults[counter] + 1 }
+    }
+  });
+}
+
+/**
+ * recordExposure - Logs that a session was shown a variant, once
+ *
+ * Sessions already exposed to the variant are not counted again, so
+ * re-renders of the same page do not inflate the exposure count.
+ *
+ * @param {import('./storage').Store} store
+ * @param {string} experimentKey
+ * @param {string} variantKey
+ * @param {string|null} sessionId - Visitors without a session are not counted
+ * @returns {Promise<boolean>} Whether a new exposure was recorded
+ */
+export async function recordExposure(store, experimentKey, variantKey, sessionId) {
+  if (!sessionId) {
+    return false;
+  }
+
+  return store.transaction(async (tx) => {
+    const exposuresKey = `${EXPOSURES_KEY_PREFIX}${sessionId}`;
+    const exposures = (await tx.get(exposuresKey)) ?? {};
+    const exposedVariants = exposures[experimentKey] ?? [];
+
+    if (exposedVariants.includes(variantKey)) {
+      return false;
+    }
+
+    await tx.set(exposuresKey, { ...exposures, [experimentKey]: [...exposedVariants, variantKey] });
+    await incrementCount(tx, experimentKey, variantKey, 'exposures');
+    return true;
+  });
+}
+
+/**
+ * recordConversion - Logs that a user completed the experiment's goal
+ *
+ * @param {import('./storage').Store} store
+ * @param {string} experimentKey
+ * @param {string} variantKey
+ */
+export function recordConversion(store, experimentKey, variantKey) {
+  return store.transaction(tx => incrementCount(tx, experimentKey, variantKey, 'conversions'));
+}
+
+/**
+ * getExperimentResults - Combines experiment definitions with their counts
+ *
+ * @param {import('./storage').Store} store
+ * @returns {Promise<Array<Experiment & { variants: Array<ExperimentVariant & {
+ *   exposures: number, conversions: number, conversionRate: number|null
+ * }> }>>}
+ */
+export async function getExperimentResults(store) {
+  const results = (await store.get('EXPERIMENT_RESULTS')) ?? {};
+
+  return Object.values(EXPERIMENTS).map(experiment => ({
+    ...experiment,
+    variants: experiment.variants.map(variant => {
+      const { exposures = 0, conversions = 0 } = results[experiment.key]?.[variant.key] ?? {};
+
+      return {
+        ...variant,
+        exposures,
+        conversions,
+        conversionRate: exposures > 0 ? conversions / exposures : null
+      };
+    })
+  }));
+}
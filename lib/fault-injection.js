@@ -0,0 +1,315 @@
+/*
+ * ============================================================================
+ * FAULT INJECTION - SIMULATED DATABASE LATENCY AND FAILURES
+ * ============================================================================
+ *
+ * The server actions demo runs its store calls through withInjectedFaults(),
+ * which delays them and can make them fail. This is how slow-database and
+ * outage scenarios are rehearsed against the pending states and error
+ * handling of the UI.
+ *
+ * Each operation (FAULT_OPERATIONS) has a FaultProfile:
+ *
+ *   {
+ *     minLatencyMs: 200,      // latency is drawn uniformly between
+ *     maxLatencyMs: 800,      // these two (equal values: a fixed delay)
+ *     errorPercentage: 10,    // share of calls that fail, 0-100
+ *     timeoutMs: 600          // calls at least this slow fail after 600 ms;
+ *   }                         // null for no timeout
+ *
+ * Profiles are built in layers, each overriding single fields of the last:
+ *
+ * 1. DEFAULT_FAULT_PROFILES: the demo's original fixed delays, no failures
+ * 2. The FAULT_INJECTION environment variable, a JSON object keyed by
+ *    operation, or "*" for every operation:
+ *
+ *      FAULT_INJECTION='{"*":{"errorPercentage":20},"flags.toggle":{"timeoutMs":1000}}'
+ *
+ * 3. Overrides saved by admins on /admin/faults, kept in the
+ *    FAULT_INJECTION store collection so every server process sees them
+ *
+ * Faults are injected before the store is touched, so a failed call changes
+ * nothing. Server Actions report them like real store errors (a 503 result
+ * via attemptStorageOperation); a failed page render shows the route's
+ * error boundary.
+ *
+ * SERVER ONLY: Reads environment variables and the store.
+ *
+ * ============================================================================
+ */
+
+import { getDefaultTranslator } from './i18n';
+import { translatable, translateFieldErrors } from './i18n/translate';
+
+export const FAULT_INJECTION_KEY = 'FAULT_INJECTION';
+
+export const FAULT_OPERATIONS = Object.freeze({
+  readPreferences: 'preferences.read',
+  updateCurrency: 'preferences.updateCurrency',
+  updateTheme: 'preferences.updateTheme',
+  toggleFlag: 'flags.toggle',
+  updateFlagRollout: 'flags.updateRollout'
+});
+
+// What each operation covers, for the admin panel
+export const FAULT_OPERATION_DESCRIPTIONS = Object.freeze({
+  [FAULT_OPERATIONS.readPreferences]: 'Loading preferences and flags when /server-actions-demo renders',
+  [FAULT_OPERATIONS.updateCurrency]: 'Saving the currency (updateUserCurrency)',
+  [FAULT_OPERATIONS.updateTheme]: 'Saving the theme (updateUserTheme)',
+  [FAULT_OPERATIONS.toggleFlag]: 'Flipping a feature flag master switch (toggleFeatureFlag)',
+  [FAULT_OPERATIONS.updateFlagRollout]: 'Saving a rollout percentage (updateFlagRollout)'
+});
+
+/**
+ * @typedef {Object} FaultProfile
+ * @property {number} minLatencyMs
+ * @property {number} maxLatencyMs
+ * @property {number} errorPercentage - 0-100
+ * @property {number|null} timeoutMs
+ */
+
+function fixedLatency(latencyMs) {
+  return { minLatencyMs: latencyMs, maxLatencyMs: latencyMs, errorPercentage: 0, timeoutMs: null };
+}
+
+/** @type {Readonly<Object<string, FaultProfile>>} */
+export const DEFAULT_FAULT_PROFILES = Object.freeze({
+  [FAULT_OPERATIONS.readPreferences]: fixedLatency(100),
+  [FAULT_OPERATIONS.updateCurrency]: fixedLatency(500),
+  [FAULT_OPERATIONS.updateTheme]: fixedLatency(500),
+  [FAULT_OPERATIONS.toggleFlag]: fixedLatency(300),
+  [FAULT_OPERATIONS.updateFlagRollout]: fixedLatency(300)
+});
+
+// Key of the FAULT_INJECTION environment variable that applies to every operation
+const ALL_OPERATIONS = '*';
+
+// Upper bound for latencies and timeouts, so a typo cannot hang a request
+const MAX_DURATION_MS = 60_000;
+
+/**
+ * isFaultOperation - Checks whether a value is one of FAULT_OPERATIONS
+ *
+ * @param {unknown} operation
+ * @returns {boolean}
+ */
+export function isFaultOperation(operation) {
+  return typeof operation === 'string' && Object.hasOwn(DEFAULT_FAULT_PROFILES, operation);
+}
+
+function parseDuration(value) {
+  const text = typeof value === 'number' ? String(value) : value;
+  const duration = typeof text === 'string' && /^\d{1,5}$/.test(text.trim()) ? Number(text) : NaN;
+  return duration <= MAX_DURATION_MS ? duration : NaN;
+}
+
+/**
+ * validateFaultProfile - Checks the fields of a (partial) FaultProfile
+ *
+ * Accepts numbers (JSON) or strings (FormData). Missing fields are left
+ * out of the result; an empty timeoutMs means no timeout.
+ *
+ * @param {Object<string, unknown>} input
+ * @returns {{ value: Partial<FaultProfile> } | {
+ *   fieldErrors: Object<string, import('./i18n/translate').TranslatableMessage> }}
+ */
+export function validateFaultProfile(input) {
+  const profile = {};
+  const fieldErrors = {};
+
+  for (const [field, value] of Object.entries(input)) {
+    if (value === undefined) {
+      continue;
+    }
+
+    if (field === 'minLatencyMs' || field === 'maxLatencyMs') {
+      const latency = parseDuration(value);
+      if (Number.isNaN(latency)) {
+        fieldErrors[field] = translatable('validation.faults.latency', { max: MAX_DURATION_MS });
+      } else {
+        profile[field] = latency;
+      }
+    } else if (field === 'errorPercentage') {
+      const text = typeof value === 'number' ? String(value) : value;
+      const percentage = typeof text === 'string' && /^\d{1,3}$/.test(text.trim()) ? Number(text) : NaN;
+      if (!(percentage >= 0 && percentage <= 100)) {
+        fieldErrors.errorPercentage = translatable('validation.faults.errorPercentage');
+      } else {
+        profile.errorPercentage = percentage;
+      }
+    } else if (field === 'timeoutMs') {
+      if (value === null || value === '') {
+        profile.timeoutMs = null;
+        continue;
+      }
+      const timeout = parseDuration(value);
+      if (!(timeout > 0)) {
+        fieldErrors.timeoutMs = translatable('validation.faults.timeout', { max: MAX_DURATION_MS });
+      } else {
+        profile.timeoutMs = timeout;
+      }
+    } else {
+      fieldErrors[field] = translatable('validation.unknownField');
+    }
+  }
+
+  if (profile.minLatencyMs > profile.maxLatencyMs) {
+    fieldErrors.maxLatencyMs = translatable('validation.faults.latencyRange');
+  }
+
+  if (Object.keys(fieldErrors).length > 0) {
+    return { fieldErrors };
+  }
+
+  return { value: profile };
+}
+
+/**
+ * getEnvironmentFaultProfiles - Parses the FAULT_INJECTION environment variable
+ *
+ * @returns {Object<string, Partial<FaultProfile>>} Keyed by operation or "*"
+ * @throws {Error} When the variable is not valid JSON or names an unknown
+ *   operation or field, so a misconfigured rehearsal fails loudly
+ */
+function getEnvironmentFaultProfiles() {
+  const raw = process.env.FAULT_INJECTION;
+
+  if (!raw) {
+    return {};
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`FAULT_INJECTION is not valid JSON: ${error.message}`);
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('FAULT_INJECTION must be a JSON object keyed by operation');
+  }
+
+  const profiles = {};
+
+  for (const [operation, input] of Object.entries(parsed)) {
+    if (operation !== ALL_OPERATIONS && !isFaultOperation(operation)) {
+      throw new Error(
+        `Unknown FAULT_INJECTION operation "${operation}". Expected "${ALL_OPERATIONS}" or one of: ${Object.values(FAULT_OPERATIONS).join(', ')}`
+      );
+    }
+
+    const validation = validateFaultProfile(input && typeof input === 'object' ? input : {});
+
+    if (validation.fieldErrors) {
+      const fieldErrors = translateFieldErrors(getDefaultTranslator(), validation.fieldErrors);
+      throw new Error(`Invalid FAULT_INJECTION profile for "${operation}": ${JSON.stringify(fieldErrors)}`);
+    }
+
+    profiles[operation] = validation.value;
+  }
+
+  return profiles;
+}
+
+/**
+ * getFaultProfiles - Resolves the profile of every operation
+ *
+ * @param {import('./storage').Store} store
+ * @returns {Promise<Object<string, { profile: FaultProfile, source: 'default'|'environment'|'override' }>>}
+ *   Keyed by operation; source names the layer that set the last field
+ */
+export async function getFaultProfiles(store) {
+  const environment = getEnvironmentFaultProfiles();
+  const overrides = (await store.get(FAULT_INJECTION_KEY)) ?? {};
+
+  return Object.fromEntries(Object.values(FAULT_OPERATIONS).map(operation => {
+    const fromEnvironment = { ...environment[ALL_OPERATIONS], ...environment[operation] };
+    const override = overrides[operation];
+
+    let source = 'default';
+    if (override) {
+      source = 'override';
+    } else if (Object.keys(fromEnvironment).length > 0) {
+      source = 'environment';
+    }
+
+    const profile = { ...DEFAULT_FAULT_PROFILES[operation], ...fromEnvironment, ...override };
+
+    return [operation, { profile, source }];
+  }));
+}
+
+/**
+ * saveFaultOverride - Stores an admin override for one operation
+ *
+ * @param {import('./storage').Store} store
+ * @param {string} operation - One of FAULT_OPERATIONS
+ * @param {FaultProfile} profile - Validated with validateFaultProfile
+ * @returns {Promise<void>}
+ */
+export function saveFaultOverride(store, operation, profile) {
+  return store.transaction(async (tx) => {
+    const overrides = (await tx.get(FAULT_INJECTION_KEY)) ?? {};
+    await tx.set(FAULT_INJECTION_KEY, { ...overrides, [operation]: profile });
+  });
+}
+
+/**
+ * clearFaultOverride - Removes the admin override of one operation
+ *
+ * The operation goes back to the FAULT_INJECTION environment variable and
+ * the defaults.
+ *
+ * @param {import('./storage').Store} store
+ * @param {string} operation - One of FAULT_OPERATIONS
+ * @returns {Promise<void>}
+ */
+export function clearFaultOverride(store, operation) {
+  return store.transaction(async (tx) => {
+    const overrides = { ...(await tx.get(FAULT_INJECTION_KEY)) };
+    delete overrides[operation];
+    await tx.set(FAULT_INJECTION_KEY, overrides);
+  });
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * withInjectedFaults - Runs a store call with the operation's simulated faults
+ *
+ * Waits for a latency drawn from the profile, then fails with the profile's
+ * error rate. If the drawn latency reaches timeoutMs, the call fails after
+ * timeoutMs instead. Only a call that survives both runs `work`.
+ *
+ * @template T
+ * @param {import('./storage').Store} store
+ * @param {string} operation - One of FAULT_OPERATIONS
+ * @param {() => Promise<T>} work - The real store call
+ * @returns {Promise<T>}
+ * @throws {Error} For injected failures and timeouts
+ */
+export async function withInjectedFaults(store, operation, work) {
+  const { [operation]: { profile } } = await getFaultProfiles(store);
+
+  // Layers may raise only the minimum (e.g. FAULT_INJECTION sets minLatencyMs
+  // above the default maximum); the latency is then fixed at the minimum
+  const latencyRange = Math.max(profile.maxLatencyMs - profile.minLatencyMs, 0);
+  const latencyMs = profile.minLatencyMs + Math.round(Math.random() * latencyRange);
+
+  if (profile.timeoutMs !== null && latencyMs >= profile.timeoutMs) {
+    await sleep(profile.timeoutMs);
+    console.log(`🧪 [FAULT] ${operation} timed out after ${profile.timeoutMs}ms`);
+    throw new Error(`Injected fault: ${operation} timed out after ${profile.timeoutMs}ms`);
+  }
+
+  await sleep(latencyMs);
+
+  if (Math.random() * 100 < profile.errorPercentage) {
+    console.log(`🧪 [FAULT] ${operation} failed (error rate ${profile.errorPercentage}%)`);
+    throw new Error(`Injected fault: ${operation} failed`);
+  }
+
+  return work();
+}
@@ -0,0 +1,456 @@
+/*
+ * ============================================================================
+ * FEATURE FLAG REGISTRY
+ * ============================================================================
+ *
+ * The feature flags the server knows about. There are two kinds:
+ *
+ * - Built-in flags, defined in FEATURE_FLAG_DEFINITIONS below. Application
+ *   code reads them (e.g. currencyToggleEnabled gates the currency form), so
+ *   they always exist, falling back to their definition when the store has
+ *   no value, and cannot be archived or deleted
+ * - Flags created by admins on /admin/flags, which exist only in the store
+ *
+ * Flag names are camelCase identifiers (see isValidFlagName), so a client
+ * cannot address keys like __proto__ or constructor.prototype.
+ * normalizeFeatureFlags() rebuilds stored flags into a prototype-less object
+ * containing the built-in flags and every well-formed stored flag, ignoring
+ * anything else that may have ended up in the store.
+ *
+ * To add a built-in flag, add an entry to FEATURE_FLAG_DEFINITIONS.
+ *
+ * STORED SHAPE: Each flag is stored as
+ *
+ *   {
+ *     enabled: true, rolloutPercentage: 50, salt: 'currencyToggleEnabled', version: 7,
+ *     label: 'Currency Toggle', description: '...', owner: 'payments-team',
+ *     tags: ['checkout'], createdAt: '2024-05-01T12:00:00.000Z', archived: false
+ *   }
+ *
+ * `enabled` is the master switch (kill switch). When it is on, the flag is
+ * served to `rolloutPercentage` percent of users, bucketed deterministically
+ * by session ID and `salt` (see lib/rollout.js). `version` counts the writes
+ * to the flag (see lib/record-version.js). An archived flag keeps its last
+ * state but can no longer be switched or rolled out, and only archived
+ * flags can be deleted.
+ *
+ * ============================================================================
+ */
+
+import { getRecordVersion } from './record-version';
+import { translatable } from './i18n/translate';
+
+/**
+ * @typedef {Object} FeatureFlagState
+ * @property {boolean} enabled - Master switch
+ * @property {number} rolloutPercentage - Integer from 0 to 100
+ * @property {string} salt - Mixed into the bucketing hash
+ * @property {number} version - Incremented by every write
+ * @property {string} label - Human-readable name
+ * @property {string} description - What the flag controls
+ * @property {string} owner - Team or person responsible for the flag
+ * @property {string[]} tags - Lowercase labels for filtering
+ * @property {string|null} createdAt - ISO 8601; null for built-in flags
+ *   stored before creation dates were recorded
+ * @property {boolean} archived - Retired: frozen and hidden by default
+ */
+
+/**
+ * @typedef {Object} FeatureFlagDefinition
+ * @property {string} label - Human-readable name
+ * @property {string} description - What the flag controls
+ * @property {string} owner - Team responsible for the flag
+ * @property {string[]} tags
+ * @property {boolean} defaultEnabled - Value used when the store has none
+ */
+
+/** @type {Readonly<Object<string, FeatureFlagDefinition>>} */
+export const FEATURE_FLAG_DEFINITIONS = Object.freeze(Object.assign(Object.create(null), {
+  currencyToggleEnabled: Object.freeze({
+    label: 'Currency Toggle',
+    description: 'Lets users change their preferred currency. Acts as a kill switch for the currency form.',
+    owner: 'payments-team',
+    tags: Object.freeze(['payments', 'kill-switch']),
+    defaultEnabled: true
+  })
+}));
+
+export const BUILT_IN_FLAG_NAMES = Object.freeze(Object.keys(FEATURE_FLAG_DEFINITIONS));
+
+const FLAG_NAME_PATTERN = /^[a-z][A-Za-z0-9]{1,63}$/;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const MAX_TAGS = 10;
+const MAX_LABEL_LENGTH = 80;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_OWNER_LENGTH = 64;
+
+/**
+ * isBuiltInFlag - Checks whether a name is a flag defined in code
+ *
+ * Uses an own-property check on a prototype-less object, so inherited names
+ * such as 'constructor' or '__proto__' never match.
+ *
+ * @param {unknown} name
+ * @returns {boolean}
+ */
+export function isBuiltInFlag(name) {
+  return typeof name === 'string' && Object.hasOwn(FEATURE_FLAG_DEFINITIONS, name);
+}
+
+/**
+ * isValidFlagName - Checks the format of a flag name
+ *
+ * 2 to 64 letters and digits, starting with a lowercase letter
+ * (e.g. 'newCheckoutFlow'). Names of Object.prototype members such as
+ * 'constructor' are refused too, so plain objects holding flags by name
+ * never shadow them. Whether the flag exists depends on the store.
+ *
+ * @param {unknown} name
+ * @returns {boolean}
+ */
+export function isValidFlagName(name) {
+  return typeof name === 'string' && FLAG_NAME_PATTERN.test(name) && !Object.hasOwn(Object.prototype, name);
+}
+
+/**
+ * validateFlagName - Checks a submitted flag name
+ *
+ * @param {FormDataEntryValue|null} value - Raw value from FormData
+ * @returns {{ value: string } | { fieldError: import('./i18n/translate').TranslatableMessage }}
+ */
+export function validateFlagName(value) {
+  if (!isValidFlagName(value)) {
+    return { fieldError: translatable('validation.flags.unknownFlag') };
+  }
+
+  return { value };
+}
+
+/**
+ * validateNewFlagName - Checks the name of a flag being created
+ *
+ * Unlike validateFlagName, explains the format, since the admin typed it.
+ *
+ * @param {FormDataEntryValue|null} value - Raw value from FormData
+ * @returns {{ value: string } | { fieldError: import('./i18n/translate').TranslatableMessage }}
+ */
+export function validateNewFlagName(value) {
+  const name = typeof value === 'string' ? value.trim() : '';
+
+  if (!isValidFlagName(name)) {
+    return { fieldError: translatable('validation.flags.newName') };
+  }
+
+  return { value: name };
+}
+
+/**
+ * parseFlagTags - Splits a comma-separated tag list
+ *
+ * @param {string} value - e.g. 'checkout, beta'
+ * @returns {string[]} Trimmed, lowercased and de-duplicated tags
+ */
+function parseFlagTags(value) {
+  const tags = value.split(',').map(tag => tag.trim().toLowerCase()).filter(tag => tag !== '');
+  return [...new Set(tags)];
+}
+
+/**
+ * validateFlagDetails - Checks the descriptive fields of a flag form
+ *
+ * @param {Object} input - Raw FormData values
+ * @param {FormDataEntryValue|null} input.label
+ * @param {FormDataEntryValue|null} input.description
+ * @param {FormDataEntryValue|null} input.owner
+ * @param {FormDataEntryValue|null} input.tags - Comma-separated
+ * @returns {{ value: { label: string, description: string, owner: string, tags: string[] } } |
+ *   { fieldErrors: Object<string, import('./i18n/translate').TranslatableMessage> }}
+ */
+export function validateFlagDetails(input) {
+  const [label, description, owner, rawTags] = ['label', 'description', 'owner', 'tags']
+    .map(field => (typeof input[field] === 'string' ? input[field].trim() : ''));
+  const tags = parseFlagTags(rawTags);
+  const fieldErrors = {};
+
+  if (label === '' || label.length > MAX_LABEL_LENGTH) {
+    fieldErrors.label = translatable('validation.flags.label', { max: MAX_LABEL_LENGTH });
+  }
+
+  if (description.length > MAX_DESCRIPTION_LENGTH) {
+    fieldErrors.description = translatable('validation.flags.description', { max: MAX_DESCRIPTION_LENGTH });
+  }
+
+  if (owner === '' || owner.length > MAX_OWNER_LENGTH) {
+    fieldErrors.owner = translatable('validation.flags.owner', { max: MAX_OWNER_LENGTH });
+  }
+
+  if (tags.length > MAX_TAGS) {
+    fieldErrors.tags = translatable('validation.flags.tooManyTags', { max: MAX_TAGS });
+  } else if (!tags.every(tag => TAG_PATTERN.test(tag))) {
+    fieldErrors.tags = translatable('validation.flags.tagFormat');
+  }
+
+  if (Object.keys(fieldErrors).length > 0) {
+    return { fieldErrors };
+  }
+
+  return { value: { label, description, owner, tags } };
+}
+
+/**
+ * validateFlagEnabled - Checks a submitted master switch state
+ *
+ * @param {FormDataEntryValue|null} value - 'true' or 'false' from FormData
+ * @returns {{ value: boolean } | { fieldError: import('./i18n/translate').TranslatableMessage }}
+ */
+export function validateFlagEnabled(value) {
+  if (value !== 'true' && value !== 'false') {
+    return { fieldError: translatable('validation.flags.enabled') };
+  }
+
+  return { value: value === 'true' };
+}
+
+/**
+ * validateRolloutPercentage - Checks a submitted rollout percentage
+ *
+ * @param {FormDataEntryValue|null} value - Raw value from FormData
+ * @returns {{ value: number } | { fieldError: import('./i18n/translate').TranslatableMessage }}
+ */
+export function validateRolloutPercentage(value) {
+  const percentage = typeof value === 'string' && /^\d{1,3}$/.test(value) ? Number(value) : NaN;
+
+  if (!(percentage >= 0 && percentage <= 100)) {
+    return { fieldError: translatable('validation.flags.rolloutPercentage') };
+  }
+
+  return { value: percentage };
+}
+
+/**
+ * validateFlagChanges - Checks the fields of a flag update from the REST API
+ *
+ * Unlike form values, JSON bodies carry typed values: `enabled` must be a
+ * boolean and `rolloutPercentage` a whole number from 0 to 100.
+ *
+ * @param {Object} input - Parsed JSON body, without the flag name
+ * @returns {{ value: { enabled?: boolean, rolloutPercentage?: number } } |
+ *   { error: import('./i18n/translate').TranslatableMessage,
+ *     fieldErrors: Object<string, import('./i18n/translate').TranslatableMessage> }}
+ */
+export function validateFlagChanges(input) {
+  const changes = {};
+  const fieldErrors = {};
+
+  for (const [field, value] of Object.entries(input)) {
+    if (field === 'enabled') {
+      if (typeof value === 'boolean') {
+        changes.enabled = value;
+      } else {
+        fieldErrors.enabled = translatable('validation.flags.enabledBoolean');
+      }
+    } else if (field === 'rolloutPercentage') {
+      const percentage = validateRolloutPercentage(Number.isInteger(value) ? String(value) : null);
+      if (percentage.fieldError) {
+        fieldErrors.rolloutPercentage = percentage.fieldError;
+      } else {
+        changes.rolloutPercentage = percentage.value;
+      }
+    } else {
+      fieldErrors[field] = translatable('validation.unknownField');
+    }
+  }
+
+  if (Object.keys(fieldErrors).length > 0) {
+    return { error: translatable('validation.flags.notUpdated'), fieldErrors };
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { error: translatable('validation.flags.noChanges'), fieldErrors: {} };
+  }
+
+  return { value: changes };
+}
+
+/**
+ * getDefaultFlagState - The state of a flag that has never been changed
+ *
+ * Built-in flags take their definition; other flags start switched off at a
+ * 100% rollout, with their name as label.
+ *
+ * @param {string} name - Flag name
+ * @returns {FeatureFlagState}
+ */
+export function getDefaultFlagState(name) {
+  const definition = isBuiltInFlag(name) ? FEATURE_FLAG_DEFINITIONS[name] : null;
+
+  return {
+    enabled: definition ? definition.defaultEnabled : false,
+    rolloutPercentage: 100,
+    salt: name,
+    version: 0,
+    label: definition ? definition.label : name,
+    description: definition ? definition.description : '',
+    owner: definition ? definition.owner : '',
+    tags: definition ? [...definition.tags] : [],
+    createdAt: null,
+    archived: false
+  };
+}
+
+/**
+ * createFlagState - The state of a newly created flag
+ *
+ * @param {string} name - Validated, unused flag name
+ * @param {{ label: string, description: string, owner: string, tags: string[] }} details
+ * @param {string} createdAt - ISO 8601
+ * @returns {FeatureFlagState}
+ */
+export function createFlagState(name, details, createdAt) {
+  return { ...getDefaultFlagState(name), ...details, createdAt };
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value !== '';
+}
+
+/**
+ * normalizeFlagState - Builds a valid FeatureFlagState from a stored value
+ *
+ * Older stores hold plain booleans; those are treated as a 100% rollout.
+ * Missing details fall back to getDefaultFlagState().
+ *
+ * @param {string} name - Flag name
+ * @param {unknown} storedValue
+ * @returns {FeatureFlagState}
+ */
+function normalizeFlagState(name, storedValue) {
+  const defaults = getDefaultFlagState(name);
+
+  if (typeof storedValue === 'boolean') {
+    return { ...defaults, enabled: storedValue };
+  }
+
+  if (!storedValue || typeof storedValue !== 'object') {
+    return defaults;
+  }
+
+  const { enabled, rolloutPercentage, salt, label, description, owner, tags, createdAt, archived } = storedValue;
+
+  return {
+    enabled: typeof enabled === 'boolean' ? enabled : defaults.enabled,
+    rolloutPercentage: Number.isInteger(rolloutPercentage) && rolloutPercentage >= 0 && rolloutPercentage <= 100
+      ? rolloutPercentage
+      : defaults.rolloutPercentage,
+    salt: isNonEmptyString(salt) ? salt : defaults.salt,
+    version: getRecordVersion(storedValue),
+    label: isNonEmptyString(label) ? label : defaults.label,
+    description: typeof description === 'string' ? description : defaults.description,
+    owner: isNonEmptyString(owner) ? owner : defaults.owner,
+    tags: Array.isArray(tags) ? tags.filter(tag => typeof tag === 'string' && TAG_PATTERN.test(tag)) : defaults.tags,
+    createdAt: isNonEmptyString(createdAt) ? createdAt : null,
+    // Built-in flags are read by application code and never archived
+    archived: archived === true && !isBuiltInFlag(name)
+  };
+}
+
+/**
+ * normalizeFeatureFlags - Builds a safe flag map from stored data
+ *
+ * @param {Object|undefined} storedFlags - FEATURE_FLAGS collection from the store
+ * @returns {Object<string, FeatureFlagState>} Prototype-less object with the
+ *   built-in flags first, then every stored flag with a valid name, by name
+ */
+export function normalizeFeatureFlags(storedFlags) {
+  const flags = Object.create(null);
+
+  for (const name of BUILT_IN_FLAG_NAMES) {
+    flags[name] = normalizeFlagState(
+      name,
+      storedFlags && Object.hasOwn(storedFlags, name) ? storedFlags[name] : undefined
+    );
+  }
+
+  const storedNames = storedFlags && typeof storedFlags === 'object' ? Object.keys(storedFlags).sort() : [];
+
+  for (const name of storedNames) {
+    const storedValue = storedFlags[name];
+
+    if (!isBuiltInFlag(name) && isValidFlagName(name) && storedValue && typeof storedValue === 'object') {
+      flags[name] = normalizeFlagState(name, storedValue);
+    }
+  }
+
+  return flags;
+}
+
+// ============================================================================
+// LISTING FILTERS (/admin/flags)
+// ============================================================================
+
+export const FLAG_STATE_FILTERS = Object.freeze(['enabled', 'disabled']);
+export const FLAG_STATUS_FILTERS = Object.freeze(['active', 'archived', 'all']);
+
+/**
+ * @typedef {Object} FlagFilters
+ * @property {string} [q] - Case-insensitive substring of the name, label,
+ *   description or owner
+ * @property {string} [tag] - Exact tag
+ * @property {string} [owner] - Exact owner
+ * @property {string} [state] - One of FLAG_STATE_FILTERS
+ * @property {string} status - One of FLAG_STATUS_FILTERS; 'active' by default
+ */
+
+/**
+ * normalizeFlagFilters - Builds FlagFilters from untrusted query parameters
+ *
+ * Unknown or malformed values are dropped.
+ *
+ * @param {Object<string, string|string[]|undefined>} searchParams
+ * @returns {FlagFilters}
+ */
+export function normalizeFlagFilters(searchParams) {
+  const filters = { status: 'active' };
+
+  for (const name of ['q', 'tag', 'owner', 'state', 'status']) {
+    const value = searchParams[name];
+
+    if (typeof value !== 'string' || value.trim() === '') {
+      continue;
+    }
+
+    if (name === 'state' && !FLAG_STATE_FILTERS.includes(value)) {
+      continue;
+    }
+
+    if (name === 'status' && !FLAG_STATUS_FILTERS.includes(value)) {
+      continue;
+    }
+
+    filters[name] = value.trim();
+  }
+
+  return filters;
+}
+
+/**
+ * filterFeatureFlags - Lists the flags matching a set of filters
+ *
+ * @param {Object<string, FeatureFlagState>} featureFlags - From normalizeFeatureFlags()
+ * @param {FlagFilters} filters
+ * @returns {Array<FeatureFlagState & { name: string }>} In the order of featureFlags
+ */
+export function filterFeatureFlags(featureFlags, filters) {
+  const query = filters.q?.toLowerCase();
+
+  return Object.entries(featureFlags)
+    .map(([name, flag]) => ({ name, ...flag }))
+    .filter(flag =>
+      (filters.status === 'all' || flag.archived === (filters.status === 'archived')) &&
+      (!filters.state || flag.enabled === (filters.state === 'enabled')) &&
+      (!filters.tag || flag.tags.includes(filters.tag)) &&
+      (!filters.owner || flag.owner === filters.owner) &&
+      (!query || [flag.name, flag.label, flag.description, flag.owner]
+        .some(text => text.toLowerCase().includes(query)))
+    );
+}
@@ -0,0 +1,181 @@
+/*
+ * ============================================================================
+ * CHANGE HISTORY - REVERTING AUDITED CHANGES
+ * ============================================================================
+ *
+ * The audit log (lib/audit.js) doubles as the change history of feature flags
+ * and user preferences: each entry names the changed value by key and holds
+ * its old and new value. Reverting an entry writes its old value back:
+ *
+ *   #7  flags.toggle   FEATURE_FLAGS.currencyToggleEnabled.enabled  true → false
+ *   #8  history.revert FEATURE_FLAGS.currencyToggleEnabled.enabled  false → true  (revertOf: 7)
+ *
+ * A revert is refused when the value no longer equals the entry's new value,
+ * i.e. it has changed again since. The later change has to be reverted first,
+ * so a revert never silently discards someone else's change.
+ *
+ * Keys are only resolved for known fields of FEATURE_FLAGS and
+ * USER_PREFERENCES:<sessionId>; anything else cannot be reverted. Changes to
+ * flags that have since been archived or deleted are refused too.
+ *
+ * SERVER ONLY: Records audit entries using the current request's headers.
+ *
+ * ============================================================================
+ */
+
+import { AUDIT_ACTIONS, AUDIT_LOG_KEY, recordAuditEntry } from './audit';
+import { isValidFlagName, normalizeFeatureFlags } from './feature-flags';
+import {
+  SUPPORTED_CURRENCY_CODES,
+  SUPPORTED_THEMES,
+  USER_PREFERENCES_KEY_PREFIX,
+  getUserPreferences,
+  userPreferencesKey
+} from './preferences';
+import { isValidSessionId } from './request-context';
+import { SUPPORTED_LOCALES } from './i18n/translate';
+
+// Revertible fields and the values they accept
+const FLAG_FIELDS = {
+  enabled: value => typeof value === 'boolean',
+  rolloutPercentage: value => Number.isInteger(value) && value >= 0 && value <= 100
+};
+
+const PREFERENCE_FIELDS = {
+  currency: value => SUPPORTED_CURRENCY_CODES.includes(value),
+  theme: value => SUPPORTED_THEMES.includes(value),
+  language: value => value === null || SUPPORTED_LOCALES.includes(value)
+};
+
+/**
+ * @typedef {Object} HistoryTarget
+ * @property {(value: unknown) => boolean} isValid - Checks a value before it is written back
+ * @property {(tx: import('./storage').StoreTransaction) => Promise<*>} read - Resolves
+ *   to undefined when the value can no longer be changed
+ * @property {(tx: import('./storage').StoreTransaction, value: *) => Promise<void>} write
+ */
+
+/**
+ * resolveHistoryKey - Maps an audit entry key to the value it describes
+ *
+ * @param {string} key - e.g. 'FEATURE_FLAGS.currencyToggleEnabled.enabled'
+ * @returns {HistoryTarget|null} null when the key cannot be reverted
+ */
+export function resolveHistoryKey(key) {
+  const [collectionKey, ...path] = key.split('.');
+
+  if (collectionKey === 'FEATURE_FLAGS' && path.length === 2) {
+    const [flagName, field] = path;
+
+    if (!isValidFlagName(flagName) || !Object.hasOwn(FLAG_FIELDS, field)) {
+      return null;
+    }
+
+    return {
+      isValid: FLAG_FIELDS[field],
+      async read(tx) {
+        const flag = normalizeFeatureFlags(await tx.get('FEATURE_FLAGS'))[flagName];
+        return flag && !flag.archived ? flag[field] : undefined;
+      },
+      async write(tx, value) {
+        const featureFlags = normalizeFeatureFlags(await tx.get('FEATURE_FLAGS'));
+        const flag = featureFlags[flagName];
+        featureFlags[flagName] = { ...flag, [field]: value, version: flag.version + 1 };
+        await tx.set('FEATURE_FLAGS', { ...featureFlags });
+      }
+    };
+  }
+
+  if (collectionKey.startsWith(USER_PREFERENCES_KEY_PREFIX) && path.length === 1) {
+    const userId = collectionKey.slice(USER_PREFERENCES_KEY_PREFIX.length);
+    const [field] = path;
+
+    if (!isValidSessionId(userId) || !Object.hasOwn(PREFERENCE_FIELDS, field)) {
+      return null;
+    }
+
+    return {
+      isValid: PREFERENCE_FIELDS[field],
+      async read(tx) {
+        return (await getUserPreferences(tx, userId))[field];
+      },
+      async write(tx, value) {
+        const preferences = await getUserPreferences(tx, userId);
+        await tx.set(userPreferencesKey(userId), {
+          ...preferences,
+          [field]: value,
+          version: preferences.version + 1
+        });
+      }
+    };
+  }
+
+  return null;
+}
+
+/**
+ * isRevertible - Checks whether an audit entry can be offered for revert
+ *
+ * @param {import('./audit').AuditEntry} entry
+ * @returns {boolean}
+ */
+export function isRevertible(entry) {
+  return resolveHistoryKey(entry.key) !== null;
+}
+
+/**
+ * revertAuditEntry - Restores the value an audit entry replaced
+ *
+ * Must run inside a store transaction, so the check, the write and the new
+ * audit entry happen atomically.
+ *
+ * @param {import('./storage').StoreTransaction} tx
+ * @param {number} entryId
+ * @param {string} actor - Who is reverting (see getAuditActor)
+ * @returns {Promise<{ entry: import('./audit').AuditEntry } | { error: string, status: number }>}
+ *   The new audit entry, or an error with an HTTP-style status
+ */
+export async function revertAuditEntry(tx, entryId, actor) {
+  const entries = (await tx.get(AUDIT_LOG_KEY)) ?? [];
+  const entry = entries.find(candidate => candidate.id === entryId);
+
+  if (!entry) {
+    return { error: `Change #${entryId} does not exist.`, status: 404 };
+  }
+
+  const target = resolveHistoryKey(entry.key);
+
+  if (!target || !target.isValid(entry.oldValue)) {
+    return { error: `Change #${entryId} cannot be reverted.`, status: 422 };
+  }
+
+  const currentValue = await target.read(tx);
+
+  if (currentValue === undefined) {
+    return {
+      error: `${entry.key} can no longer be changed: the flag has been archived or deleted.`,
+      status: 409
+    };
+  }
+
+  if (JSON.stringify(currentValue) !== JSON.stringify(entry.newValue)) {
+    return {
+      error: `${entry.key} has changed since change #${entryId} (now ${JSON.stringify(currentValue)}). ` +
+        'Revert the later change first.',
+      status: 409
+    };
+  }
+
+  await target.write(tx, entry.oldValue);
+
+  const revertEntry = await recordAuditEntry(tx, {
+    actor,
+    action: AUDIT_ACTIONS.revert,
+    key: entry.key,
+    oldValue: currentValue,
+    newValue: entry.oldValue,
+    revertOf: entry.id
+  });
+
+  return { entry: revertEntry };
+}
@@ -0,0 +1,175 @@
+/*
+ * ============================================================================
+ * I18N - LOCALE NEGOTIATION AND MESSAGE CATALOGS
+ * ============================================================================
+ *
+ * Each request is rendered in one of SUPPORTED_LOCALES, chosen from (in
+ * order):
+ *
+ *   1. preference       The visitor's saved language (USER_PREFERENCES)
+ *   2. accept-language  The best match in the Accept-Language header
+ *   3. region           The language of the visitor's region (lib/regions.js),
+ *                       e.g. 'ja' for JP
+ *   4. default          DEFAULT_LOCALE
+ *
+ * Catalogs are merged over the DEFAULT_LOCALE catalog, so a message missing
+ * from a translation falls back to English rather than to its key.
+ *
+ * SERVER ONLY: getRequestLocale() reads request headers and the store.
+ * RootLayout resolves the locale once per request, sets <html lang> and
+ * hands the catalog to Client Components through <I18nProvider>.
+ *
+ * ============================================================================
+ */
+
+import { cache } from 'react';
+import { headers } from 'next/headers';
+import { getStore } from '../storage';
+import { getDisplayPreferences } from '../preferences';
+import { getSessionId } from '../session';
+import { REQUEST_HEADERS, resolveCountry } from '../request-context';
+import { getRegionForCountry } from '../regions';
+import { DEFAULT_LOCALE, createTranslator, isSupportedLocale } from './translate';
+import en from './messages/en.json';
+import fr from './messages/fr.json';
+import ja from './messages/ja.json';
+
+const CATALOGS = { en, fr, ja };
+
+function mergeMessages(base, overrides) {
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] = value && typeof value === 'object' && typeof base[key] === 'object'
+      ? mergeMessages(base[key], value)
+      : value;
+  }
+
+  return merged;
+}
+
+const messagesByLocale = new Map();
+
+/**
+ * getMessages - The catalog for a locale, with default-locale fallbacks
+ *
+ * @param {string} locale - One of SUPPORTED_LOCALES
+ * @returns {Object}
+ */
+export function getMessages(locale) {
+  if (!messagesByLocale.has(locale)) {
+    messagesByLocale.set(locale, mergeMessages(CATALOGS[DEFAULT_LOCALE], CATALOGS[locale] ?? {}));
+  }
+
+  return messagesByLocale.get(locale);
+}
+
+// 'fr-CA' → 'fr'
+function toSupportedLocale(tag) {
+  const language = tag.split('-')[0].toLowerCase();
+  return isSupportedLocale(language) ? language : null;
+}
+
+/**
+ * parseAcceptLanguage - Lists the languages in an Accept-Language header
+ *
+ * 'fr-CA,fr;q=0.9,en;q=0.8' → ['fr-CA', 'fr', 'en']
+ *
+ * @param {string|null} header
+ * @returns {string[]} Language tags, most preferred first; q=0 and '*' omitted
+ */
+export function parseAcceptLanguage(header) {
+  if (!header) {
+    return [];
+  }
+
+  return header
+    .split(',')
+    .map((entry, index) => {
+      const [tag, ...params] = entry.trim().split(';');
+      const qParam = params.find(param => param.trim().startsWith('q='));
+      const quality = qParam ? Number(qParam.trim().slice(2)) : 1;
+
+      return { tag: tag.trim(), quality: Number.isFinite(quality) ? quality : 0, index };
+    })
+    .filter(({ tag, quality }) => tag !== '' && tag !== '*' && quality > 0)
+    // Equal weights keep their order in the header
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(({ tag }) => tag);
+}
+
+/**
+ * negotiateLocale - Picks the locale to render in
+ *
+ * @param {Object} options
+ * @param {string|null} [options.preference] - Saved language; null for automatic
+ * @param {string|null} [options.acceptLanguage] - Accept-Language header
+ * @param {string} [options.regionLocale] - BCP 47 locale of the visitor's region
+ * @returns {{ locale: string, source: 'preference'|'accept-language'|'region'|'default' }}
+ */
+export function negotiateLocale({ preference = null, acceptLanguage = null, regionLocale } = {}) {
+  if (isSupportedLocale(preference)) {
+    return { locale: preference, source: 'preference' };
+  }
+
+  for (const tag of parseAcceptLanguage(acceptLanguage)) {
+    const locale = toSupportedLocale(tag);
+    if (locale) {
+      return { locale, source: 'accept-language' };
+    }
+  }
+
+  const regionMatch = regionLocale ? toSupportedLocale(regionLocale) : null;
+  if (regionMatch) {
+    return { locale: regionMatch, source: 'region' };
+  }
+
+  return { locale: DEFAULT_LOCALE, source: 'default' };
+}
+
+/**
+ * getRequestLocale - Negotiates the locale for the current request
+ *
+ * Memoized per request, so the layout, the page and any Server Action
+ * share one result. `version` is the version of the preferences record the
+ * saved language was read from, for forms that change it (null when the
+ * store could not be read).
+ *
+ * @returns {Promise<{ locale: string, source: string, preference: string|null, version: number|null }>}
+ */
+export const getRequestLocale = cache(async () => {
+  const requestHeaders = headers();
+  const { language: preference, version = null } = await getDisplayPreferences(getStore(), getSessionId());
+  const countryCode = requestHeaders.get(REQUEST_HEADERS.country)
+    ?? resolveCountry(requestHeaders).countryCode;
+
+  const { locale, source } = negotiateLocale({
+    preference,
+    acceptLanguage: requestHeaders.get('accept-language'),
+    regionLocale: getRegionForCountry(countryCode).locale
+  });
+
+  return { locale, source, preference, version };
+});
+
+/**
+ * getTranslator - t(key, params) for the current request's locale
+ *
+ * @returns {Promise<ReturnType<typeof createTranslator>>}
+ */
+export async function getTranslator() {
+  const { locale } = await getRequestLocale();
+  return createTranslator(getMessages(locale));
+}
+
+/**
+ * getDefaultTranslator - t(key, params) for DEFAULT_LOCALE
+ *
+ * For text that does not depend on the visitor: REST API responses and
+ * configuration errors.
+ *
+ * @returns {ReturnType<typeof createTranslator>}
+ */
+export function getDefaultTranslator() {
+  return createTranslator(getMessages(DEFAULT_LOCALE));
+}
@@ -0,0 +1,147 @@
+/*
+ * ============================================================================
+ * I18N - LOCALES AND MESSAGE LOOKUP
+ * ============================================================================
+ *
+ * UI strings live in message catalogs (lib/i18n/messages/<locale>.json),
+ * nested by component:
+ *
+ *   { "userConfig": { "title": "🌍 User Configuration (Client State)" } }
+ *
+ * and are looked up by dotted key, with {placeholders} filled in:
+ *
+ *   t('auth.loggedInAs', { name: 'Demo User' })  →  '✓ Logged In as Demo User'
+ *
+ * This module has no server-only dependencies and does not import the
+ * catalogs: Server Components get a translator from getTranslator() in
+ * lib/i18n/index.js, and Client Components from useTranslations()
+ * (app/I18nProvider.jsx), which receives the resolved catalog from
+ * RootLayout.
+ *
+ * ============================================================================
+ */
+
+export const SUPPORTED_LOCALES = Object.freeze(['en', 'fr', 'ja']);
+
+export const DEFAULT_LOCALE = 'en';
+
+// Each language's name in that language, for the language picker
+export const LOCALE_NAMES = Object.freeze({
+  en: 'English',
+  fr: 'Français',
+  ja: '日本語'
+});
+
+/**
+ * isSupportedLocale - Checks a locale code against SUPPORTED_LOCALES
+ *
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+export function isSupportedLocale(value) {
+  return SUPPORTED_LOCALES.includes(value);
+}
+
+function lookup(messages, key) {
+  const message = key.split('.').reduce((node, part) => node?.[part], messages);
+  return typeof message === 'string' ? message : undefined;
+}
+
+/**
+ * createTranslator - Builds a t(key, params) function for one catalog
+ *
+ * Missing keys render as the key itself, so a gap in a catalog is visible
+ * instead of breaking the page. t.has(key) checks for a message first, for
+ * text that comes from data (e.g. flag names) and has its own fallback.
+ *
+ * @param {Object} messages - Catalog, already merged with the default locale's
+ * @returns {((key: string, params?: Object<string, string|number>) => string) &
+ *   { has: (key: string) => boolean }}
+ */
+export function createTranslator(messages) {
+  function t(key, params = {}) {
+    const message = lookup(messages, key);
+
+    if (message === undefined) {
+      return key;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+      Object.hasOwn(params, name) ? String(params[name]) : placeholder
+    );
+  }
+
+  t.has = key => lookup(messages, key) !== undefined;
+
+  return t;
+}
+
+/**
+ * translateCount - Looks up the plural form of a counted message
+ *
+ * Counted messages have a "one" and an "other" form, chosen by the
+ * locale's plural rules (French uses "one" for 0 as well, Japanese never):
+ *
+ *   { "flagCount": { "one": "{count} Flag", "other": "{count} Flags" } }
+ *
+ * @param {ReturnType<typeof createTranslator>} t
+ * @param {string} locale - Locale of the catalog t reads from
+ * @param {string} key - Dotted key of the message with the forms
+ * @param {number} count - Fills the {count} placeholder
+ * @returns {string}
+ */
+export function translateCount(t, locale, key, count) {
+  const form = new Intl.PluralRules(locale).select(count) === 'one' ? 'one' : 'other';
+  return t(`${key}.${form}`, { count });
+}
+
+/**
+ * @typedef {Object} TranslatableMessage
+ * @property {string} key - Dotted catalog key
+ * @property {Object<string, string|number>} params - Placeholder values
+ */
+
+/**
+ * translatable - Describes a message for the caller to translate
+ *
+ * Shared validators and mutations (lib/feature-flags.js, lib/config-mutations.js,
+ * ...) run without a request locale, so they return descriptors instead
+ * of text, and the Server Action or route handler translates them with
+ * translateMessage():
+ *
+ *   { fieldError: translatable('validation.flags.rolloutPercentage') }
+ *
+ * @param {string} key - Dotted catalog key
+ * @param {Object<string, string|number>} [params] - Placeholder values
+ * @returns {TranslatableMessage}
+ */
+export function translatable(key, params = {}) {
+  return { key, params };
+}
+
+/**
+ * translateMessage - Translates a message descriptor
+ *
+ * Text (and null) is returned as it is, so results that mix descriptors
+ * with already translated messages can be passed through unchecked.
+ *
+ * @param {ReturnType<typeof createTranslator>} t
+ * @param {TranslatableMessage|string|null} value
+ * @returns {string|null}
+ */
+export function translateMessage(t, value) {
+  return value && typeof value === 'object' ? t(value.key, value.params) : value;
+}
+
+/**
+ * translateFieldErrors - Translates every message of a fieldErrors map
+ *
+ * @param {ReturnType<typeof createTranslator>} t
+ * @param {Object<string, TranslatableMessage|string>} fieldErrors
+ * @returns {Object<string, string>}
+ */
+export function translateFieldErrors(t, fieldErrors) {
+  return Object.fromEntries(
+    Object.entries(fieldErrors).map(([field, value]) => [field, translateMessage(t, value)])
+  );
+}
@@ -0,0 +1,69 @@
+/*
+ * ============================================================================
+ * MONEY - LOCALE-AWARE CURRENCY FORMATTING
+ * ============================================================================
+ *
+ * Formats amounts with Intl.NumberFormat. The locale decides the symbol
+ * position, separators and digits; the currency decides how many minor
+ * units (digits after the decimal point) are shown:
+ *
+ *   formatMoney(1234.5, 'USD', 'en-US')  →  '$1,234.50'
+ *   formatMoney(1234.5, 'EUR', 'de-DE')  →  '1.234,50 €'
+ *   formatMoney(1234.5, 'JPY', 'ja-JP')  →  '￥1,235'      (no minor units)
+ *
+ * Amounts are rounded to the currency's minor units, so the same amount
+ * never shows cents for yen. Decimal strings (e.g. from convertAmount() in
+ * lib/exchange-rates/convert.js) are formatted without a detour through
+ * floating point.
+ *
+ * This module has no server-only dependencies: the server pages and the
+ * <Money> component (app/Money.jsx) share the same formatting.
+ *
+ * ============================================================================
+ */
+
+import { DEFAULT_REGION } from './regions';
+
+// Intl.NumberFormat is expensive to construct; reuse one per locale/currency
+const formatters = new Map();
+
+const DECIMAL_PATTERN = /^-?\d+(\.\d+)?$/;
+
+function getFormatter(currency, locale) {
+  const cacheKey = `${locale}|${currency}`;
+
+  if (!formatters.has(cacheKey)) {
+    formatters.set(cacheKey, new Intl.NumberFormat(locale, { style: 'currency', currency }));
+  }
+
+  return formatters.get(cacheKey);
+}
+
+/**
+ * getMinorUnits - Number of digits after the decimal point for a currency
+ *
+ * @param {string} currency - ISO 4217 code (e.g., 'JPY')
+ * @returns {number} e.g. 2 for USD, 0 for JPY
+ */
+export function getMinorUnits(currency) {
+  return getFormatter(currency, DEFAULT_REGION.locale).resolvedOptions().maximumFractionDigits;
+}
+
+/**
+ * formatMoney - Formats an amount for display
+ *
+ * @param {number|string} amount - Amount in major units (e.g., 19.99 or '19.99')
+ * @param {string} currency - ISO 4217 code
+ * @param {string} [locale] - BCP 47 locale; defaults to the default region's
+ * @returns {string}
+ * @throws {TypeError} If the amount is not a finite number or decimal string
+ */
+export function formatMoney(amount, currency, locale = DEFAULT_REGION.locale) {
+  const isDecimalString = typeof amount === 'string' && DECIMAL_PATTERN.test(amount);
+
+  if (!isDecimalString && !Number.isFinite(amount)) {
+    throw new TypeError(`Cannot format ${amount} as money`);
+  }
+
+  return getFormatter(currency, locale).format(amount);
+}
@@ -0,0 +1,202 @@
+/*
+ * ============================================================================
+ * USER PREFERENCES - PER-USER STORAGE AND VALIDATION
+ * ============================================================================
+ *
+ * Preferences are stored per user, keyed by the session ID that middleware
+ * issues on the first visit. Each user's record lives in its own store key:
+ *
+ *   USER_PREFERENCES:<sessionId>  →  { currency: 'EUR', theme: 'dark', language: 'fr', version: 3 }
+ *
+ * Users without a stored record see DEFAULT_PREFERENCES. `version` counts
+ * the writes to the record (see lib/record-version.js).
+ *
+ * VALIDATION: Form values arrive from the browser and can be crafted by
+ * anyone, so every value is checked against the supported options before it
+ * is written to the store.
+ *
+ * ============================================================================
+ */
+
+import { SUPPORTED_CURRENCIES } from './regions';
+import { SUPPORTED_LOCALES, translatable } from './i18n/translate';
+import { getRecordVersion } from './record-version';
+
+export const SUPPORTED_CURRENCY_CODES = SUPPORTED_CURRENCIES.map(currency => currency.code);
+
+// 'system' follows the browser's prefers-color-scheme (see lib/theme.js)
+export const SUPPORTED_THEMES = Object.freeze(['light', 'dark', 'system']);
+
+// Preferences for users who have not changed anything yet. A null language
+// means automatic: negotiated from the request (see lib/i18n)
+export const DEFAULT_PREFERENCES = Object.freeze({
+  currency: 'USD',
+  theme: 'light',
+  language: null
+});
+
+// Store key prefix for per-user preference records
+export const USER_PREFERENCES_KEY_PREFIX = 'USER_PREFERENCES:';
+
+/**
+ * userPreferencesKey - Store key for one user's preferences
+ *
+ * @param {string} userId - Session ID (validated by isValidSessionId)
+ * @returns {string}
+ */
+export function userPreferencesKey(userId) {
+  return `${USER_PREFERENCES_KEY_PREFIX}${userId}`;
+}
+
+/**
+ * getUserPreferences - Reads a user's preferences, filling in defaults
+ *
+ * @param {import('./storage').Store|import('./storage').StoreTransaction} store -
+ *   A store, or a transaction when the read is part of a write
+ * @param {string|null} userId - Session ID; null yields the defaults
+ * @returns {Promise<{ currency: string, theme: string, language: string|null, version: number }>}
+ *   version is 0 until the first write
+ */
+export async function getUserPreferences(store, userId) {
+  const stored = userId ? await store.get(userPreferencesKey(userId)) : undefined;
+  return { ...DEFAULT_PREFERENCES, ...stored, version: getRecordVersion(stored) };
+}
+
+/**
+ * getDisplayPreferences - Reads a user's preferences for presentation only
+ *
+ * Falls back to the defaults when the store cannot be read. The root layout
+ * renders the theme and language with it, so a store outage still renders
+ * pages and their error boundaries instead of failing every route.
+ *
+ * @param {import('./storage').Store} store
+ * @param {string|null} userId - Session ID; null yields the defaults
+ * @returns {Promise<{ currency: string, theme: string, language: string|null, version?: number }>}
+ *   version is missing when the store could not be read
+ */
+export async function getDisplayPreferences(store, userId) {
+  try {
+    return await getUserPreferences(store, userId);
+  } catch (error) {
+    console.error('💥 [STORAGE] Could not read preferences, rendering the defaults:', error);
+    return { ...DEFAULT_PREFERENCES };
+  }
+}
+
+/**
+ * validateCurrency - Checks a submitted currency code
+ *
+ * @param {FormDataEntryValue|null} value - Raw value from FormData
+ * @returns {{ value: string } | { fieldError: import('./i18n/translate').TranslatableMessage }}
+ */
+export function validateCurrency(value) {
+  if (typeof value !== 'string' || value === '') {
+    return { fieldError: translatable('validation.preferences.selectCurrency') };
+  }
+
+  if (!SUPPORTED_CURRENCY_CODES.includes(value)) {
+    return {
+      fieldError: translatable('validation.preferences.unsupportedCurrency', {
+        choices: SUPPORTED_CURRENCY_CODES.join(', ')
+      })
+    };
+  }
+
+  return { value };
+}
+
+/**
+ * validateTheme - Checks a submitted theme
+ *
+ * @param {FormDataEntryValue|null} value - Raw value from FormData
+ * @returns {{ value: string } | { fieldError: import('./i18n/translate').TranslatableMessage }}
+ */
+export function validateTheme(value) {
+  if (typeof value !== 'string' || value === '') {
+    return { fieldError: translatable('validation.preferences.selectTheme') };
+  }
+
+  if (!SUPPORTED_THEMES.includes(value)) {
+    return {
+      fieldError: translatable('validation.preferences.unsupportedTheme', { choices: SUPPORTED_THEMES.join(', ') })
+    };
+  }
+
+  return { value };
+}
+
+/**
+ * validateLanguage - Checks a submitted language
+ *
+ * An empty value selects automatic negotiation and is stored as null.
+ *
+ * @param {FormDataEntryValue|null} value - Raw value from FormData
+ * @returns {{ value: string|null } | { fieldError: import('./i18n/translate').TranslatableMessage }}
+ */
+export function validateLanguage(value) {
+  if (value === '') {
+    return { value: null };
+  }
+
+  if (typeof value !== 'string' || !SUPPORTED_LOCALES.includes(value)) {
+    return {
+      fieldError: translatable('validation.preferences.unsupportedLanguage', { choices: SUPPORTED_LOCALES.join(', ') })
+    };
+  }
+
+  return { value };
+}
+
+// Validator for each preference field
+const PREFERENCE_VALIDATORS = {
+  currency: validateCurrency,
+  theme: validateTheme,
+  language: validateLanguage
+};
+
+/**
+ * validatePreferenceChanges - Checks a preferences update from the REST API
+ *
+ * Each field present is checked with the same validator as its form, so
+ * `language: null` selects automatic like the form's empty option. Fields
+ * that are left out keep their stored values.
+ *
+ * @param {Object} input - Parsed JSON body
+ * @returns {{ value: { currency?: string, theme?: string, language?: string|null } } |
+ *   { error: import('./i18n/translate').TranslatableMessage,
+ *     fieldErrors: Object<string, import('./i18n/translate').TranslatableMessage> }}
+ */
+export function validatePreferenceChanges(input) {
+  const changes = {};
+  const fieldErrors = {};
+
+  for (const [field, value] of Object.entries(input)) {
+    if (!Object.hasOwn(PREFERENCE_VALIDATORS, field)) {
+      fieldErrors[field] = translatable('validation.unknownField');
+      continue;
+    }
+
+    const validation = PREFERENCE_VALIDATORS[field](field === 'language' && value === null ? '' : value);
+
+    if (validation.fieldError) {
+      fieldErrors[field] = validation.fieldError;
+    } else {
+      changes[field] = validation.value;
+    }
+  }
+
+  if (Object.keys(fieldErrors).length > 0) {
+    return { error: translatable('validation.preferences.notUpdated'), fieldErrors };
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return {
+      error: translatable('validation.preferences.noChanges', {
+        fields: Object.keys(PREFERENCE_VALIDATORS).join(', ')
+      }),
+      fieldErrors: {}
+    };
+  }
+
+  return { value: changes };
+}
@@ -0,0 +1,74 @@
+/*
+ * ============================================================================
+ * RECORD VERSIONS - OPTIMISTIC CONCURRENCY CONTROL
+ * ============================================================================
+ *
+ * Each feature flag and each user's preferences record carries a `version`
+ * that every write increments. Forms submit the version they rendered, and
+ * lib/config-mutations.js refuses the write with a conflict when the stored
+ * version has moved on since:
+ *
+ *   admin A renders v3 (enabled)  → disables it, v3 matches  → v4 (disabled)
+ *   admin B renders v3 (enabled)  → disables it, v3 is stale → conflict
+ *
+ * Without the check, B's change would be applied on top of A's without B
+ * ever seeing it. Records stored before versions existed count as version 0.
+ *
+ * ============================================================================
+ */
+
+import { translatable } from './i18n/translate';
+
+/**
+ * getRecordVersion - Reads the version of a stored record
+ *
+ * @param {unknown} record - Stored flag or preferences record
+ * @returns {number} 0 when the record is missing or has no valid version
+ */
+export function getRecordVersion(record) {
+  const version = record && typeof record === 'object' ? record.version : undefined;
+  return Number.isSafeInteger(version) && version >= 0 ? version : 0;
+}
+
+/**
+ * isStaleVersion - Checks an expected version against a stored record
+ *
+ * @param {unknown} record - Stored record, as read inside the write's transaction
+ * @param {number|undefined} expectedVersion - Version the caller based its
+ *   change on; undefined skips the check
+ * @returns {boolean}
+ */
+export function isStaleVersion(record, expectedVersion) {
+  return expectedVersion !== undefined && expectedVersion !== getRecordVersion(record);
+}
+
+/**
+ * validateVersion - Checks a submitted record version
+ *
+ * Accepts the string of a form field or the number of a JSON body.
+ *
+ * @param {unknown} value
+ * @returns {{ value: number } | { fieldError: import('./i18n/translate').TranslatableMessage }}
+ */
+export function validateVersion(value) {
+  const version = typeof value === 'string' && /^\d{1,15}$/.test(value) ? Number(value) : value;
+
+  if (!Number.isSafeInteger(version) || version < 0) {
+    return { fieldError: translatable('validation.version') };
+  }
+
+  return { value: version };
+}
+
+/**
+ * validateExpectedVersion - Checks the optional version of an API request
+ *
+ * API clients may leave the version out, in which case the write applies
+ * to whatever is stored (last write wins).
+ *
+ * @param {unknown} value - Body field or query parameter; undefined or null when omitted
+ * @returns {{ value: number|undefined } | { fieldError: import('./i18n/translate').TranslatableMessage }}
+ */
+export function validateExpectedVersion(value) {
+  return value === undefined || value === null ? { value: undefined } : validateVersion(value);
+}
@@ -0,0 +1,149 @@
+/*
+ * ============================================================================
+ * REGION REGISTRY - SINGLE SOURCE OF TRUTH FOR REGIONAL SETTINGS
+ * ============================================================================
+ *
+ * Every region the dashboard supports is described here once. The server page
+ * (currency from geo-location), the client UserContext (location cycling) and
+ * the currency form in PreferencesManager all derive their data from this list.
+ *
+ * To support a new country, add one entry to REGIONS. For example:
+ *
+ *   {
+ *     code: 'AU',
+ *     name: 'Australia',
+ *     flag: '🇦🇺',
+ *     currency: 'AUD',
+ *     currencyName: 'Australian Dollar',
+ *     locale: 'en-AU',
+ *     timezone: 'Australia/Sydney'
+ *   }
+ *
+ * This module has no server-only dependencies, so it is safe to import from
+ * both Server Components and Client Components.
+ *
+ * ============================================================================
+ */
+
+/**
+ * @typedef {Object} Region
+ * @property {string} code - Location code shown in the UI (e.g., 'US', 'CA')
+ * @property {string} name - Display name
+ * @property {string} flag - Flag emoji
+ * @property {string} currency - ISO 4217 currency code
+ * @property {string} currencyName - Display name of the currency
+ * @property {string} locale - BCP 47 locale used for formatting
+ * @property {string} timezone - IANA timezone
+ * @property {string[]} [countries] - Additional ISO country codes mapped to this region
+ */
+
+/** @type {Region[]} */
+export const REGIONS = [
+  {
+    code: 'US',
+    name: 'United States',
+    flag: '🇺🇸',
+    currency: 'USD',
+    currencyName: 'US Dollar',
+    locale: 'en-US',
+    timezone: 'America/New_York'
+  },
+  {
+    code: 'CA',
+    name: 'Canada',
+    flag: '🇨🇦',
+    currency: 'CAD',
+    currencyName: 'Canadian Dollar',
+    locale: 'en-CA',
+    timezone: 'America/Toronto'
+  },
+  {
+    code: 'EU',
+    name: 'European Union',
+    flag: '🇪🇺',
+    currency: 'EUR',
+    currencyName: 'Euro',
+    locale: 'de-DE',
+    timezone: 'Europe/Berlin',
+    // Euro area member states
+    countries: [
+      'AT', 'BE', 'HR', 'CY', 'EE', 'FI', 'FR', 'DE', 'GR', 'IE',
+      'IT', 'LV', 'LT', 'LU', 'MT', 'NL', 'PT', 'SK', 'SI', 'ES'
+    ]
+  },
+  {
+    code: 'UK',
+    name: 'United Kingdom',
+    flag: '🇬🇧',
+    currency: 'GBP',
+    currencyName: 'British Pound',
+    locale: 'en-GB',
+    timezone: 'Europe/London',
+    // ISO 3166-1 uses GB, which is what geo headers send
+    countries: ['GB']
+  },
+  {
+    code: 'JP',
+    name: 'Japan',
+    flag: '🇯🇵',
+    currency: 'JPY',
+    currencyName: 'Japanese Yen',
+    locale: 'ja-JP',
+    timezone: 'Asia/Tokyo'
+  }
+];
+
+// Region used for visitors whose country is not in the registry
+export const DEFAULT_REGION = REGIONS[0];
+
+/**
+ * Currencies offered in the currency form, in registry order and without
+ * duplicates (several regions may share a currency).
+ *
+ * @type {{ code: string, name: string, flag: string }[]}
+ */
+export const SUPPORTED_CURRENCIES = REGIONS.reduce((currencies, region) => {
+  if (!currencies.some(currency => currency.code === region.currency)) {
+    currencies.push({
+      code: region.currency,
+      name: region.currencyName,
+      flag: region.flag
+    });
+  }
+  return currencies;
+}, []);
+
+/**
+ * getRegion - Looks up a region by its location code
+ *
+ * @param {string} code - Location code (e.g., 'CA')
+ * @returns {Region|undefined}
+ */
+export function getRegion(code) {
+  return REGIONS.find(region => region.code === code);
+}
+
+/**
+ * getRegionForCountry - Maps an ISO country code (as resolved by middleware)
+ * to its region, falling back to DEFAULT_REGION for unknown countries.
+ *
+ * @param {string} countryCode - ISO 3166-1 alpha-2 code (e.g., 'FR')
+ * @returns {Region}
+ */
+export function getRegionForCountry(countryCode) {
+  return REGIONS.find(region =>
+    region.code === countryCode || region.countries?.includes(countryCode)
+  ) || DEFAULT_REGION;
+}
+
+/**
+ * getNextRegion - Returns the region after the one the given location belongs
+ * to, wrapping around. Accepts ISO country codes as well (e.g., 'GB', 'FR').
+ *
+ * @param {string} code - Current location or country code
+ * @returns {Region}
+ */
+export function getNextRegion(code) {
+  const currentIndex = REGIONS.indexOf(getRegionForCountry(code));
+  return REGIONS[(currentIndex + 1) % REGIONS.length];
+}
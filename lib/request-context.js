@@ -0,0 +1,105 @@
+/*
+ * ============================================================================
+ * REQUEST CONTEXT - SHARED BY MIDDLEWARE AND SERVER COMPONENTS
+ * ============================================================================
+ *
+ * Middleware (middleware.js) inspects the raw request - the session cookie and
+ * the various geo headers set by hosting providers - and normalizes them into
+ * a small set of trusted request headers. Server Components then read those
+ * headers via headers() instead of re-implementing the detection logic.
+ *
+ * This module is intentionally dependency-free so it can run both in the
+ * Edge runtime (middleware) and in the Node.js runtime (Server Components).
+ *
+ * ============================================================================
+ */
+
+// Cookie that carries the user's signed auth token (see lib/auth-token.js)
+export const AUTH_COOKIE_NAME = 'auth_token';
+
+// Cookie that identifies a visitor across requests (issued on first visit)
+export const SESSION_COOKIE_NAME = 'session_id';
+export const SESSION_COOKIE_MAX_AGE = 60 * 60 * 24 * 365; // 1 year, in seconds
+
+// Normalized request headers written by middleware.js
+export const REQUEST_HEADERS = {
+  country: 'x-config-country',
+  countrySource: 'x-config-country-source',
+  sessionId: 'x-config-session-id',
+  requestId: 'x-config-request-id'
+};
+
+// Response header that echoes the request ID, for matching audit entries
+export const REQUEST_ID_RESPONSE_HEADER = 'x-request-id';
+
+// Country used when no geo header is present (local development, curl, etc.)
+export const DEFAULT_COUNTRY_CODE = normalizeCountryCode(process.env.DEFAULT_COUNTRY_CODE) || 'US';
+
+// Country codes providers send when the location is unknown or anonymized
+// (Cloudflare uses XX for unknown and T1 for Tor exit nodes)
+const UNKNOWN_COUNTRY_CODES = ['XX', 'T1'];
+
+/**
+ * Ordered list of headers to read the visitor's country from.
+ *
+ * GEO_COUNTRY_HEADER lets a deployment behind a custom proxy or CDN name its
+ * own header. It takes precedence over the provider headers.
+ */
+export function getGeoHeaderNames() {
+  const customHeader = process.env.GEO_COUNTRY_HEADER;
+
+  return [
+    ...(customHeader ? [customHeader.toLowerCase()] : []),
+    'x-vercel-ip-country',
+    'cf-ipcountry'
+  ];
+}
+
+/**
+ * normalizeCountryCode - Validates and upper-cases an ISO 3166-1 alpha-2 code
+ *
+ * @param {string|null|undefined} value - Raw header value
+ * @returns {string|null} Normalized code, or null when missing/invalid
+ */
+export function normalizeCountryCode(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const code = value.trim().toUpperCase();
+
+  if (!/^[A-Z]{2}$/.test(code) || UNKNOWN_COUNTRY_CODES.includes(code)) {
+    return null;
+  }
+
+  return code;
+}
+
+/**
+ * isValidSessionId - Checks that a session cookie value is a UUID
+ *
+ * @param {string|null|undefined} value
+ * @returns {boolean}
+ */
+export function isValidSessionId(value) {
+  return typeof value === 'string' &&
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(value);
+}
+
+/**
+ * resolveCountry - Picks the first usable country code from the geo headers
+ *
+ * @param {Headers} requestHeaders - Incoming request headers
+ * @returns {{ countryCode: string, source: string }}
+ */
+export function resolveCountry(requestHeaders) {
+  for (const headerName of getGeoHeaderNames()) {
+    const countryCode = normalizeCountryCode(requestHeaders.get(headerName));
+
+    if (countryCode) {
+      return { countryCode, source: headerName };
+    }
+  }
+
+  return { countryCode: DEFAULT_COUNTRY_CODE, source: 'default' };
+}
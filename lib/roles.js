@@ -0,0 +1,87 @@
+/*
+ * ============================================================================
+ * ROLES AND PERMISSIONS
+ * ============================================================================
+ *
+ * Every user in config/users.json has one role. Server Actions check the
+ * caller's role for the permission they need before changing anything:
+ *
+ *   viewer  - Update their own preferences
+ *   editor  - ...and change feature flag rollout percentages
+ *   admin   - ...and flip feature flag master switches (kill switches),
+ *             create, edit, archive and delete flags (/admin/flags),
+ *             read and export the audit log, revert changes from it, and
+ *             configure simulated store faults (lib/fault-injection.js)
+ *
+ * Visitors who are not logged in have the viewer role.
+ *
+ * Pure data and functions, safe to import from Client Components.
+ *
+ * ============================================================================
+ */
+
+export const PERMISSIONS = Object.freeze({
+  updatePreferences: 'preferences:update',
+  updateFlagRollout: 'flags:rollout',
+  toggleFlag: 'flags:toggle',
+  manageFlags: 'flags:manage',
+  readAuditLog: 'audit:read',
+  revertChanges: 'history:revert',
+  manageFaults: 'faults:manage'
+});
+
+/** @type {Readonly<Object<string, readonly string[]>>} */
+const ROLE_PERMISSIONS = Object.freeze(Object.assign(Object.create(null), {
+  viewer: Object.freeze([
+    PERMISSIONS.updatePreferences
+  ]),
+  editor: Object.freeze([
+    PERMISSIONS.updatePreferences,
+    PERMISSIONS.updateFlagRollout
+  ]),
+  admin: Object.freeze([
+    PERMISSIONS.updatePreferences,
+    PERMISSIONS.updateFlagRollout,
+    PERMISSIONS.toggleFlag,
+    PERMISSIONS.manageFlags,
+    PERMISSIONS.readAuditLog,
+    PERMISSIONS.revertChanges,
+    PERMISSIONS.manageFaults
+  ])
+}));
+
+export const ROLES = Object.freeze(Object.keys(ROLE_PERMISSIONS));
+
+// Role of visitors who are not logged in
+export const ANONYMOUS_ROLE = 'viewer';
+
+/**
+ * isValidRole - Checks whether a value is a known role
+ *
+ * @param {unknown} role
+ * @returns {boolean}
+ */
+export function isValidRole(role) {
+  return typeof role === 'string' && Object.hasOwn(ROLE_PERMISSIONS, role);
+}
+
+/**
+ * hasPermission - Checks whether a role grants a permission
+ *
+ * @param {string} role
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean} false for unknown roles
+ */
+export function hasPermission(role, permission) {
+  return isValidRole(role) && ROLE_PERMISSIONS[role].includes(permission);
+}
+
+/**
+ * getRolesWithPermission - Lists the roles that grant a permission
+ *
+ * @param {string} permission
+ * @returns {string[]} e.g. ['editor', 'admin'], for "requires ..." messages
+ */
+export function getRolesWithPermission(permission) {
+  return ROLES.filter(role => hasPermission(role, permission));
+}
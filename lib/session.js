@@ -0,0 +1,37 @@
+/*
+ * ============================================================================
+ * SESSION - SERVER COMPONENT / SERVER ACTION HELPER
+ * ============================================================================
+ *
+ * Reads the visitor's session ID issued by middleware.js. Works in Server
+ * Components, Server Actions and Route Handlers (anything with access to
+ * next/headers).
+ *
+ * ============================================================================
+ */
+
+import { cookies, headers } from 'next/headers';
+import {
+  REQUEST_HEADERS,
+  SESSION_COOKIE_NAME,
+  isValidSessionId
+} from './request-context';
+
+/**
+ * getSessionId - Returns the current visitor's session ID
+ *
+ * Prefers the header forwarded by middleware (present even on the first
+ * visit, before the browser has stored the cookie) and falls back to the
+ * cookie itself.
+ *
+ * @returns {string|null} Session ID, or null if middleware did not run
+ */
+export function getSessionId() {
+  const forwardedId = headers().get(REQUEST_HEADERS.sessionId);
+  if (isValidSessionId(forwardedId)) {
+    return forwardedId;
+  }
+
+  const cookieId = cookies().get(SESSION_COOKIE_NAME)?.value;
+  return isValidSessionId(cookieId) ? cookieId : null;
+}
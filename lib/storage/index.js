@@ -0,0 +1,98 @@
+/*
+ * ============================================================================
+ * STORAGE LAYER - PLUGGABLE PERSISTENCE FOR SERVER DATA
+ * ============================================================================
+ *
+ * All server-side reads and writes of preferences and feature flags go
+ * through the Store interface below. The backing adapter is selected with
+ * the STORAGE_ADAPTER environment variable:
+ *
+ *   STORAGE_ADAPTER=memory      (default) Process memory, reset on restart
+ *   STORAGE_ADAPTER=json-file   JSON file at STORAGE_JSON_PATH
+ *                               (default: .data/store.json)
+ *   STORAGE_ADAPTER=sqlite      SQLite database at STORAGE_SQLITE_PATH
+ *                               (default: .data/config.db)
+ *
+ * Data is organized in named collections (e.g., 'FEATURE_FLAGS' or
+ * 'USER_PREFERENCES:<sessionId>'), each holding a JSON-serializable value.
+ *
+ * ============================================================================
+ */
+
+import path from 'path';
+import { createMemoryStore } from './memory-adapter';
+import { createJsonFileStore } from './json-file-adapter';
+import { createSqliteStore } from './sqlite-adapter';
+
+/**
+ * @typedef {Object} StoreTransaction
+ * @property {(key: string) => Promise<any>} get - Reads a collection
+ * @property {(key: string, value: any) => Promise<void>} set - Replaces a collection
+ */
+
+/**
+ * @typedef {Object} Store
+ * @property {string} name - Adapter name, for logging
+ * @property {(key: string) => Promise<any>} get - Reads a collection
+ * @property {(key: string, value: any) => Promise<void>} set - Replaces a collection
+ * @property {<T>(fn: (tx: StoreTransaction) => Promise<T>) => Promise<T>} transaction -
+ *   Runs fn with exclusive access. Writes made through tx are applied
+ *   together when fn resolves, and discarded when it throws.
+ */
+
+// Initial data for a fresh store (matches the original `db` object).
+// Keep in sync with the seed migrations in sqlite-migrations.js.
+//
+// Per-user preferences are not seeded: each user's record is created under
+// USER_PREFERENCES:<sessionId> on their first change (see lib/preferences.js).
+export const SEED_DATA = {
+  FEATURE_FLAGS: {
+    currencyToggleEnabled: {
+      enabled: true,
+      rolloutPercentage: 100,
+      salt: 'currencyToggleEnabled',
+      version: 0
+    }
+  },
+  // Exposure and conversion counts per experiment variant
+  EXPERIMENT_RESULTS: {},
+  // Append-only list of configuration changes (see lib/audit.js)
+  AUDIT_LOG: []
+};
+
+const ADAPTERS = {
+  memory: () => createMemoryStore({ seed: SEED_DATA }),
+  'json-file': () => createJsonFileStore({
+    filePath: path.resolve(process.env.STORAGE_JSON_PATH || '.data/store.json'),
+    seed: SEED_DATA
+  }),
+  // Seed data is applied by the seed_defaults migration
+  sqlite: () => createSqliteStore({
+    filePath: path.resolve(process.env.STORAGE_SQLITE_PATH || '.data/config.db')
+  })
+};
+
+/**
+ * getStore - Returns the process-wide Store instance
+ *
+ * The instance is cached on globalThis so that development hot reloads,
+ * which re-evaluate this module, keep using the same in-memory data.
+ *
+ * @returns {Store}
+ */
+export function getStore() {
+  if (!globalThis.__configStore) {
+    const adapterName = process.env.STORAGE_ADAPTER || 'memory';
+    const createAdapter = ADAPTERS[adapterName];
+
+    if (!createAdapter) {
+      throw new Error(
+        `Unknown STORAGE_ADAPTER "${adapterName}". Expected one of: ${Object.keys(ADAPTERS).join(', ')}`
+      );
+    }
+
+    globalThis.__configStore = createAdapter();
+  }
+
+  return globalThis.__configStore;
+}
@@ -0,0 +1,102 @@
+/*
+ * ============================================================================
+ * JSON FILE STORAGE ADAPTER
+ * ============================================================================
+ *
+ * Persists all data to a single JSON file so it survives restarts and hot
+ * reloads, and can be read by every worker process on the same machine.
+ *
+ * ATOMIC WRITES: Data is written to a temporary file in the same directory
+ * and then renamed over the real file. rename() is atomic on POSIX file
+ * systems, so readers only ever see the complete old file or the complete
+ * new file - never a partially written one.
+ *
+ * NOTE: Transactions are serialized within a process. Two processes writing
+ * at the same moment can still overwrite each other's changes; use the
+ * SQLite adapter when that matters.
+ *
+ * ============================================================================
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createLock } from './lock';
+
+/**
+ * createJsonFileStore - Creates a store backed by a JSON file
+ *
+ * @param {Object} options
+ * @param {string} options.filePath - Location of the JSON file
+ * @param {Object} options.seed - Data used for collections missing from the file
+ * @returns {import('./index').Store}
+ */
+export function createJsonFileStore({ filePath, seed }) {
+  const runExclusive = createLock();
+
+  async function readData() {
+    try {
+      const contents = await fs.readFile(filePath, 'utf8');
+      return { ...structuredClone(seed), ...JSON.parse(contents) };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        // First run: start from the seed data
+        return structuredClone(seed);
+      }
+      throw error;
+    }
+  }
+
+  async function writeData(data) {
+    const directory = path.dirname(filePath);
+    const tempPath = path.join(
+      directory,
+      `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`
+    );
+
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf8');
+
+    try {
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  return {
+    name: 'json-file',
+
+    async get(key) {
+      const data = await readData();
+      return data[key];
+    },
+
+    set(key, value) {
+      return runExclusive(async () => {
+        const data = await readData();
+        data[key] = value;
+        await writeData(data);
+      });
+    },
+
+    transaction(fn) {
+      return runExclusive(async () => {
+        const data = await readData();
+
+        const result = await fn({
+          async get(key) {
+            return structuredClone(data[key]);
+          },
+          async set(key, value) {
+            data[key] = structuredClone(value);
+          }
+        });
+
+        // Only reached when fn succeeded; a thrown error skips the write
+        await writeData(data);
+        return result;
+      });
+    }
+  };
+}
@@ -0,0 +1,27 @@
+/*
+ * ============================================================================
+ * ASYNC LOCK
+ * ============================================================================
+ *
+ * Serializes async operations within a single Node.js process. Storage
+ * adapters use it so that two Server Actions running concurrently cannot
+ * interleave their read-modify-write cycles.
+ *
+ * ============================================================================
+ */
+
+/**
+ * createLock - Returns a function that runs callbacks one at a time
+ *
+ * @returns {<T>(fn: () => Promise<T>) => Promise<T>}
+ */
+export function createLock() {
+  let queue = Promise.resolve();
+
+  return function runExclusive(fn) {
+    const result = queue.then(fn);
+    // Keep the queue alive even when a callback rejects
+    queue = result.catch(() => {});
+    return result;
+  };
+}
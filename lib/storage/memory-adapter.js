@@ -0,0 +1,58 @@
+/*
+ * ============================================================================
+ * IN-MEMORY STORAGE ADAPTER
+ * ============================================================================
+ *
+ * Keeps all data in the memory of the current Node.js process. This is the
+ * behavior the original global `db` object had: fast and dependency-free,
+ * but data is lost on restart and not shared between worker processes.
+ *
+ * ============================================================================
+ */
+
+import { createLock } from './lock';
+
+/**
+ * createMemoryStore - Creates a store backed by a plain object
+ *
+ * @param {Object} options
+ * @param {Object} options.seed - Initial data, keyed by collection name
+ * @returns {import('./index').Store}
+ */
+export function createMemoryStore({ seed }) {
+  let data = structuredClone(seed);
+  const runExclusive = createLock();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      return structuredClone(data[key]);
+    },
+
+    set(key, value) {
+      return runExclusive(async () => {
+        data = { ...data, [key]: structuredClone(value) };
+      });
+    },
+
+    transaction(fn) {
+      return runExclusive(async () => {
+        // Work on a copy so a failed transaction leaves the data untouched
+        const draft = structuredClone(data);
+
+        const result = await fn({
+          async get(key) {
+            return structuredClone(draft[key]);
+          },
+          async set(key, value) {
+            draft[key] = structuredClone(value);
+          }
+        });
+
+        data = draft;
+        return result;
+      });
+    }
+  };
+}
@@ -0,0 +1,298 @@
+/*
+ * ============================================================================
+ * SQLITE STORAGE ADAPTER
+ * ============================================================================
+ *
+ * Stores data in a local SQLite database file (no database server needed).
+ * Per-user preferences, feature flags and the audit log live in real tables
+ * that can be queried and backed up with standard SQLite tooling:
+ *
+ *   sqlite3 .data/config.db "SELECT * FROM feature_flags"
+ *   sqlite3 .data/config.db ".backup backup.db"
+ *
+ * Collections without a dedicated table are stored as JSON documents in the
+ * `collections` table. The schema is created and upgraded on startup by the
+ * migration runner in sqlite-migrations.js.
+ *
+ * CONCURRENCY: The database runs in WAL mode. Reads use a separate read-only
+ * connection and always see committed data. Transactions take SQLite's write
+ * lock (BEGIN IMMEDIATE), so writes from other processes are serialized too.
+ *
+ * ============================================================================
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { createLock } from './lock';
+import { runMigrations } from './sqlite-migrations';
+import { USER_PREFERENCES_KEY_PREFIX } from '../preferences';
+
+// How long to wait for another process to release the write lock
+const BUSY_TIMEOUT_MS = 5000;
+
+// ============================================================================
+// TABLE MAPPINGS
+// ============================================================================
+// Each mapping converts between a collection value and its table rows.
+// Per-user preferences (USER_PREFERENCES:<sessionId>) map to one row of
+// user_preferences each; see findUserPreferencesId below.
+// ============================================================================
+
+const USER_PREFERENCES_TABLE = {
+  read(db, userId) {
+    return db
+      .prepare('SELECT currency, theme, language, version FROM user_preferences WHERE user_id = ?')
+      .get(userId);
+  },
+  write(db, userId, preferences) {
+    db.prepare(`
+      INSERT INTO user_preferences (user_id, currency, theme, language, version)
+      VALUES (@userId, @currency, @theme, @language, @version)
+      ON CONFLICT (user_id) DO UPDATE SET
+        currency = excluded.currency,
+        theme = excluded.theme,
+        language = excluded.language,
+        version = excluded.version,
+        updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+    `).run({
+      userId,
+      currency: preferences.currency,
+      theme: preferences.theme,
+      language: preferences.language ?? null,
+      version: preferences.version ?? 0
+    });
+  }
+};
+
+function findUserPreferencesId(key) {
+  return key.startsWith(USER_PREFERENCES_KEY_PREFIX)
+    ? key.slice(USER_PREFERENCES_KEY_PREFIX.length)
+    : null;
+}
+
+const TABLE_COLLECTIONS = {
+  FEATURE_FLAGS: {
+    read(db) {
+      const rows = db
+        .prepare(`
+          SELECT name, enabled, rollout_percentage, salt, version,
+                 label, description, owner, tags, created_at, archived
+          FROM feature_flags ORDER BY name
+        `)
+        .all();
+
+      return Object.fromEntries(rows.map(row => [row.name, {
+        enabled: row.enabled === 1,
+        rolloutPercentage: row.rollout_percentage,
+        salt: row.salt,
+        version: row.version,
+        label: row.label,
+        description: row.description,
+        owner: row.owner,
+        tags: row.tags === null ? null : JSON.parse(row.tags),
+        createdAt: row.created_at,
+        archived: row.archived === 1
+      }]));
+    },
+    write(db, flags) {
+      const names = Object.keys(flags);
+
+      // Remove flags that are no longer part of the collection
+      db.prepare(`DELETE FROM feature_flags WHERE name NOT IN (SELECT value FROM json_each(?))`)
+        .run(JSON.stringify(names));
+
+      const upsert = db.prepare(`
+        INSERT INTO feature_flags (
+          name, enabled, rollout_percentage, salt, version,
+          label, description, owner, tags, created_at, archived
+        )
+        VALUES (
+          @name, @enabled, @rolloutPercentage, @salt, @version,
+          @label, @description, @owner, @tags, @createdAt, @archived
+        )
+        ON CONFLICT (name) DO UPDATE SET
+          enabled = excluded.enabled,
+          rollout_percentage = excluded.rollout_percentage,
+          salt = excluded.salt,
+          version = excluded.version,
+          label = excluded.label,
+          description = excluded.description,
+          owner = excluded.owner,
+          tags = excluded.tags,
+          created_at = excluded.created_at,
+          archived = excluded.archived,
+          updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+        WHERE (enabled, rollout_percentage, salt, version,
+               label, description, owner, tags, created_at, archived)
+          IS NOT (excluded.enabled, excluded.rollout_percentage, excluded.salt, excluded.version,
+                  excluded.label, excluded.description, excluded.owner, excluded.tags,
+                  excluded.created_at, excluded.archived)
+      `);
+
+      for (const name of names) {
+        const flag = flags[name];
+        upsert.run({
+          name,
+          enabled: flag.enabled ? 1 : 0,
+          rolloutPercentage: flag.rolloutPercentage,
+          salt: flag.salt,
+          version: flag.version ?? 0,
+          label: flag.label ?? null,
+          description: flag.description ?? null,
+          owner: flag.owner ?? null,
+          tags: flag.tags ? JSON.stringify(flag.tags) : null,
+          createdAt: flag.createdAt ?? null,
+          archived: flag.archived ? 1 : 0
+        });
+      }
+    }
+  },
+
+  // Append-only: entries already in the table are never rewritten, and
+  // triggers reject UPDATE and DELETE (see migration 5)
+  AUDIT_LOG: {
+    read(db) {
+      const rows = db
+        .prepare(`
+          SELECT id, timestamp, actor, action, key, old_value, new_value, request_id, revert_of
+          FROM audit_log ORDER BY id
+        `)
+        .all();
+
+      return rows.map(row => ({
+        id: row.id,
+        timestamp: row.timestamp,
+        actor: row.actor,
+        action: row.action,
+        key: row.key,
+        oldValue: JSON.parse(row.old_value),
+        newValue: JSON.parse(row.new_value),
+        requestId: row.request_id,
+        revertOf: row.revert_of
+      }));
+    },
+    write(db, entries) {
+      const { lastId } = db.prepare('SELECT COALESCE(MAX(id), 0) AS lastId FROM audit_log').get();
+
+      const insert = db.prepare(`
+        INSERT INTO audit_log (id, timestamp, actor, action, key, old_value, new_value, request_id, revert_of)
+        VALUES (@id, @timestamp, @actor, @action, @key, @oldValue, @newValue, @requestId, @revertOf)
+      `);
+
+      for (const entry of entries) {
+        if (entry.id > lastId) {
+          insert.run({
+            ...entry,
+            oldValue: JSON.stringify(entry.oldValue),
+            newValue: JSON.stringify(entry.newValue),
+            revertOf: entry.revertOf ?? null
+          });
+        }
+      }
+    }
+  }
+};
+
+function readCollection(db, key) {
+  const userId = findUserPreferencesId(key);
+  if (userId) {
+    return USER_PREFERENCES_TABLE.read(db, userId);
+  }
+
+  if (Object.hasOwn(TABLE_COLLECTIONS, key)) {
+    return TABLE_COLLECTIONS[key].read(db);
+  }
+
+  const row = db.prepare('SELECT value FROM collections WHERE key = ?').get(key);
+  return row ? JSON.parse(row.value) : undefined;
+}
+
+function writeCollection(db, key, value) {
+  const userId = findUserPreferencesId(key);
+  if (userId) {
+    USER_PREFERENCES_TABLE.write(db, userId, value);
+    return;
+  }
+
+  if (Object.hasOwn(TABLE_COLLECTIONS, key)) {
+    TABLE_COLLECTIONS[key].write(db, value);
+    return;
+  }
+
+  db.prepare(`
+    INSERT INTO collections (key, value)
+    VALUES (?, ?)
+    ON CONFLICT (key) DO UPDATE SET
+      value = excluded.value,
+      updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+  `).run(key, JSON.stringify(value));
+}
+
+// ============================================================================
+// ADAPTER
+// ============================================================================
+
+/**
+ * createSqliteStore - Creates a store backed by a SQLite database file
+ *
+ * Runs pending schema migrations before returning.
+ *
+ * @param {Object} options
+ * @param {string} options.filePath - Location of the database file
+ * @returns {import('./index').Store}
+ */
+export function createSqliteStore({ filePath }) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const writer = new Database(filePath);
+  writer.pragma('journal_mode = WAL');
+  writer.pragma(`busy_timeout = ${BUSY_TIMEOUT_MS}`);
+
+  const appliedVersions = runMigrations(writer);
+  if (appliedVersions.length > 0) {
+    console.log('🗄️  [SQLITE] Applied migrations:', appliedVersions);
+  }
+
+  const reader = new Database(filePath, { readonly: true });
+  reader.pragma(`busy_timeout = ${BUSY_TIMEOUT_MS}`);
+
+  const runExclusive = createLock();
+
+  function transaction(fn) {
+    return runExclusive(async () => {
+      writer.exec('BEGIN IMMEDIATE');
+
+      try {
+        const result = await fn({
+          async get(key) {
+            return readCollection(writer, key);
+          },
+          async set(key, value) {
+            writeCollection(writer, key, value);
+          }
+        });
+
+        writer.exec('COMMIT');
+        return result;
+      } catch (error) {
+        writer.exec('ROLLBACK');
+        throw error;
+      }
+    });
+  }
+
+  return {
+    name: 'sqlite',
+
+    async get(key) {
+      return readCollection(reader, key);
+    },
+
+    async set(key, value) {
+      await transaction(async (tx) => tx.set(key, value));
+    },
+
+    transaction
+  };
+}
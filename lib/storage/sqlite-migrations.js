@@ -0,0 +1,211 @@
+/*
+ * ============================================================================
+ * SQLITE SCHEMA MIGRATIONS
+ * ============================================================================
+ *
+ * Versioned, append-only list of schema changes for the SQLite adapter.
+ * runMigrations() applies every migration newer than the version recorded in
+ * the schema_migrations table. Pending migrations run in one transaction, so
+ * a failing migration leaves the database at its previous version.
+ *
+ * RULES:
+ * - Never edit a migration that has shipped; add a new one instead
+ * - Versions must be strictly increasing
+ * - up() receives the better-sqlite3 Database and must be synchronous
+ *
+ * ============================================================================
+ */
+
+/**
+ * @typedef {Object} Migration
+ * @property {number} version
+ * @property {string} name
+ * @property {(db: import('better-sqlite3').Database) => void} up
+ */
+
+/** @type {Migration[]} */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'create_preferences_and_flags',
+    up(db) {
+      db.exec(`
+        CREATE TABLE user_preferences (
+          user_id    TEXT PRIMARY KEY,
+          currency   TEXT NOT NULL,
+          theme      TEXT NOT NULL,
+          updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+        );
+
+        CREATE TABLE feature_flags (
+          name       TEXT PRIMARY KEY,
+          enabled    INTEGER NOT NULL CHECK (enabled IN (0, 1)),
+          updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+        );
+
+        -- Collections without a dedicated table, stored as JSON documents
+        CREATE TABLE collections (
+          key        TEXT PRIMARY KEY,
+          value      TEXT NOT NULL,
+          updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+        );
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'seed_defaults',
+    up(db) {
+      // Matches the original defaults of the server-actions demo
+      db.prepare(
+        `INSERT INTO user_preferences (user_id, currency, theme) VALUES ('default', 'USD', 'light')`
+      ).run();
+      db.prepare(
+        `INSERT INTO feature_flags (name, enabled) VALUES ('currencyToggleEnabled', 1)`
+      ).run();
+    }
+  },
+  {
+    version: 3,
+    name: 'add_flag_rollout_percentage_and_salt',
+    up(db) {
+      db.exec(`
+        ALTER TABLE feature_flags
+          ADD COLUMN rollout_percentage INTEGER NOT NULL DEFAULT 100
+          CHECK (rollout_percentage BETWEEN 0 AND 100);
+
+        ALTER TABLE feature_flags ADD COLUMN salt TEXT;
+
+        -- Existing flags keep their current audience: 100% rollout, salted by name
+        UPDATE feature_flags SET salt = name WHERE salt IS NULL;
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'remove_shared_default_preferences',
+    up(db) {
+      // Preferences are now stored per session ID; the single shared row
+      // seeded by migration 2 is no longer read
+      db.prepare(`DELETE FROM user_preferences WHERE user_id = 'default'`).run();
+    }
+  },
+  {
+    version: 5,
+    name: 'create_audit_log',
+    up(db) {
+      db.exec(`
+        CREATE TABLE audit_log (
+          id         INTEGER PRIMARY KEY,
+          timestamp  TEXT NOT NULL,
+          actor      TEXT NOT NULL,
+          action     TEXT NOT NULL,
+          key        TEXT NOT NULL,
+          old_value  TEXT NOT NULL, -- JSON
+          new_value  TEXT NOT NULL, -- JSON
+          request_id TEXT
+        );
+
+        CREATE INDEX audit_log_timestamp ON audit_log (timestamp);
+
+        -- The audit trail is append-only
+        CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+        BEGIN
+          SELECT RAISE(ABORT, 'audit_log is append-only');
+        END;
+
+        CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+        BEGIN
+          SELECT RAISE(ABORT, 'audit_log is append-only');
+        END;
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'add_audit_log_revert_of',
+    up(db) {
+      db.exec(`ALTER TABLE audit_log ADD COLUMN revert_of INTEGER REFERENCES audit_log (id)`);
+    }
+  },
+  {
+    version: 7,
+    name: 'add_user_preferences_language',
+    up(db) {
+      // NULL = automatic, negotiated per request (lib/i18n)
+      db.exec(`ALTER TABLE user_preferences ADD COLUMN language TEXT`);
+    }
+  },
+  {
+    version: 8,
+    name: 'add_record_versions',
+    up(db) {
+      // Incremented by every write, for optimistic concurrency control
+      // (lib/record-version.js). Existing rows start at 0.
+      db.exec(`
+        ALTER TABLE feature_flags ADD COLUMN version INTEGER NOT NULL DEFAULT 0;
+        ALTER TABLE user_preferences ADD COLUMN version INTEGER NOT NULL DEFAULT 0;
+      `);
+    }
+  },
+  {
+    version: 9,
+    name: 'add_flag_details',
+    up(db) {
+      // Flags can now be created and archived at runtime (/admin/flags).
+      // NULL details fall back to the built-in definition
+      // (lib/feature-flags.js); built-in flags stored before this migration
+      // have no creation date.
+      db.exec(`
+        ALTER TABLE feature_flags ADD COLUMN label TEXT;
+        ALTER TABLE feature_flags ADD COLUMN description TEXT;
+        ALTER TABLE feature_flags ADD COLUMN owner TEXT;
+        ALTER TABLE feature_flags ADD COLUMN tags TEXT; -- JSON array
+        ALTER TABLE feature_flags ADD COLUMN created_at TEXT;
+        ALTER TABLE feature_flags
+          ADD COLUMN archived INTEGER NOT NULL DEFAULT 0 CHECK (archived IN (0, 1));
+      `);
+    }
+  }
+];
+
+/**
+ * runMigrations - Applies all pending migrations
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @returns {number[]} Versions that were applied
+ */
+export function runMigrations(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version    INTEGER PRIMARY KEY,
+      name       TEXT NOT NULL,
+      applied_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    )
+  `);
+
+  const applied = [];
+
+  // IMMEDIATE takes the write lock up front, so two processes starting at
+  // the same time cannot both apply the same migration
+  const applyPending = db.transaction(() => {
+    const { currentVersion } = db
+      .prepare('SELECT COALESCE(MAX(version), 0) AS currentVersion FROM schema_migrations')
+      .get();
+
+    for (const migration of MIGRATIONS) {
+      if (migration.version <= currentVersion) {
+        continue;
+      }
+
+      migration.up(db);
+      db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)')
+        .run(migration.version, migration.name);
+      applied.push(migration.version);
+    }
+  });
+
+  applyPending.immediate();
+
+  return applied;
+}
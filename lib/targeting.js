@@ -0,0 +1,112 @@
+/*
+ * ============================================================================
+ * FEATURE TARGETING - DECLARATIVE RULE EVALUATOR
+ * ============================================================================
+ *
+ * Feature targeting is defined as data (config/feature-targeting.json) rather
+ * than as JavaScript expressions. The server page loads that file and passes
+ * the flags to the FeatureFlags Client Component as props. Each flag has a
+ * rule that is evaluated against a context of user attributes:
+ *
+ *   { isLoggedIn: true, currencyCode: 'CAD', userLocation: 'CA' }
+ *
+ * RULE SYNTAX:
+ *
+ *   Comparison   { "attribute": "currencyCode", "operator": "equals", "value": "USD" }
+ *                { "attribute": "currencyCode", "operator": "in", "value": ["EUR", "GBP"] }
+ *   Negation     { "not": <rule> }
+ *   All of       { "and": [<rule>, <rule>, ...] }
+ *   Any of       { "or": [<rule>, <rule>, ...] }
+ *   Constant     true / false
+ *
+ * This module is pure and has no server-only dependencies, so the exact same
+ * evaluator runs in Server Components and in the browser.
+ *
+ * ============================================================================
+ */
+
+/**
+ * @typedef {Object} TargetingContext
+ * @property {boolean} isLoggedIn
+ * @property {string} currencyCode
+ * @property {string} userLocation
+ */
+
+/**
+ * @typedef {Object} TargetedFlag
+ * @property {string} key - Stable identifier
+ * @property {string} name - Display name
+ * @property {string} description
+ * @property {Object|boolean} rule - Targeting rule
+ */
+
+// Context attributes that rules may reference
+export const TARGETING_ATTRIBUTES = ['isLoggedIn', 'currencyCode', 'userLocation'];
+
+const OPERATORS = {
+  equals: (actual, expected) => actual === expected,
+  in: (actual, expected) => {
+    if (!Array.isArray(expected)) {
+      throw new Error('Targeting operator "in" expects an array value');
+    }
+    return expected.includes(actual);
+  }
+};
+
+/**
+ * evaluateRule - Evaluates a targeting rule against a context
+ *
+ * Malformed rules throw instead of silently evaluating to false, so a typo in
+ * the targeting data is caught the first time the flag is evaluated.
+ *
+ * @param {Object|boolean} rule
+ * @param {TargetingContext} context
+ * @returns {boolean}
+ */
+export function evaluateRule(rule, context) {
+  if (typeof rule === 'boolean') {
+    return rule;
+  }
+
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`Invalid targeting rule: ${JSON.stringify(rule)}`);
+  }
+
+  if ('not' in rule) {
+    return !evaluateRule(rule.not, context);
+  }
+
+  if ('and' in rule) {
+    return rule.and.every(child => evaluateRule(child, context));
+  }
+
+  if ('or' in rule) {
+    return rule.or.some(child => evaluateRule(child, context));
+  }
+
+  if (!TARGETING_ATTRIBUTES.includes(rule.attribute)) {
+    throw new Error(`Unknown targeting attribute "${rule.attribute}"`);
+  }
+
+  if (!Object.hasOwn(OPERATORS, rule.operator)) {
+    throw new Error(`Unknown targeting operator "${rule.operator}"`);
+  }
+
+  return OPERATORS[rule.operator](context[rule.attribute], rule.value);
+}
+
+/**
+ * evaluateFlags - Evaluates every targeted flag for a context
+ *
+ * @param {TargetedFlag[]} flags
+ * @param {TargetingContext} context
+ * @returns {{ key: string, name: string, description: string, enabled: boolean }[]}
+ */
+export function evaluateFlags(flags, context) {
+  return flags.map(flag => ({
+    key: flag.key,
+    name: flag.name,
+    description: flag.description,
+    enabled: evaluateRule(flag.rule, context)
+  }));
+}
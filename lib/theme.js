@@ -0,0 +1,67 @@
+/*
+ * ============================================================================
+ * THEME - COLOR PALETTES AS CSS CUSTOM PROPERTIES
+ * ============================================================================
+ *
+ * The theme preference (light, dark or system) is rendered by RootLayout as
+ * a `data-theme` attribute on <html>, next to a stylesheet that maps each
+ * theme to a set of CSS custom properties:
+ *
+ *   <html data-theme="dark">  →  --color-surface: #1f2937; ...
+ *
+ * Inline styles reference the properties (`backgroundColor:
+ * 'var(--color-surface)'`) instead of fixed colors. Because the attribute
+ * and the stylesheet are both in the server-rendered HTML, the page paints
+ * in the right colors before any JavaScript runs.
+ *
+ * "system" follows the browser's prefers-color-scheme media query, which
+ * only the browser knows, so it is resolved in CSS rather than on the server.
+ *
+ * Accent colors (blue buttons, status badges, callouts) are the same in
+ * both palettes.
+ *
+ * ============================================================================
+ */
+
+export const THEME_PALETTES = Object.freeze({
+  light: {
+    background: '#f3f4f6',
+    surface: '#ffffff',
+    surfaceMuted: '#f9fafb',
+    text: '#111827',
+    textSecondary: '#4b5563',
+    textMuted: '#6b7280',
+    border: '#e5e7eb',
+    borderStrong: '#d1d5db'
+  },
+  dark: {
+    background: '#0b1120',
+    surface: '#1f2937',
+    surfaceMuted: '#111827',
+    text: '#f9fafb',
+    textSecondary: '#d1d5db',
+    textMuted: '#9ca3af',
+    border: '#374151',
+    borderStrong: '#4b5563'
+  }
+});
+
+// surfaceMuted → --color-surface-muted
+function toCustomProperties(palette) {
+  return Object.entries(palette)
+    .map(([name, value]) => `--color-${name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}: ${value};`)
+    .join(' ');
+}
+
+/**
+ * THEME_STYLESHEET - CSS rendered once in the <head> by RootLayout
+ *
+ * Unknown or missing data-theme values fall back to the light palette.
+ */
+export const THEME_STYLESHEET = [
+  `:root { ${toCustomProperties(THEME_PALETTES.light)} color-scheme: light; }`,
+  `:root[data-theme="dark"] { ${toCustomProperties(THEME_PALETTES.dark)} color-scheme: dark; }`,
+  '@media (prefers-color-scheme: dark) {',
+  `  :root[data-theme="system"] { ${toCustomProperties(THEME_PALETTES.dark)} color-scheme: dark; }`,
+  '}'
+].join('\n');
@@ -0,0 +1,136 @@
+/*
+ * ============================================================================
+ * LOCAL USER STORE
+ * ============================================================================
+ *
+ * Accounts that can log in, read from config/users.json. Each account has a
+ * role (see lib/roles.js). Passwords are never stored, only scrypt hashes in
+ * the form:
+ *
+ *   scrypt$<N>$<r>$<p>$<salt, base64>$<hash, base64>
+ *
+ * To add a user, generate a hash (see README) and add an entry to the file.
+ *
+ * SERVER ONLY: Uses Node's crypto module.
+ *
+ * ============================================================================
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import userConfig from '../config/users.json';
+import { ANONYMOUS_ROLE, isValidRole } from './roles';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Hashed with the same parameters as the stored hashes, so a login attempt
+// for an unknown username takes as long as one for a real user
+const DUMMY_PASSWORD_HASH =
+  'scrypt$16384$8$1$AAAAAAAAAAAAAAAAAAAAAA==$' +
+  'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA==';
+
+// Longer inputs are rejected before hashing
+const MAX_USERNAME_LENGTH = 64;
+const MAX_PASSWORD_LENGTH = 256;
+
+/**
+ * @typedef {Object} User
+ * @property {string} username
+ * @property {string} displayName
+ * @property {string} role - viewer, editor or admin
+ */
+
+/**
+ * validateUsername - Checks a submitted username
+ *
+ * @param {FormDataEntryValue|null} value - Raw value from FormData
+ * @returns {{ value: string } | { fieldError: string }}
+ */
+export function validateUsername(value) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return { fieldError: 'Username is required.' };
+  }
+
+  if (value.length > MAX_USERNAME_LENGTH) {
+    return { fieldError: `Username must be at most ${MAX_USERNAME_LENGTH} characters.` };
+  }
+
+  return { value: value.trim() };
+}
+
+/**
+ * validatePassword - Checks a submitted password
+ *
+ * @param {FormDataEntryValue|null} value - Raw value from FormData
+ * @returns {{ value: string } | { fieldError: string }}
+ */
+export function validatePassword(value) {
+  if (typeof value !== 'string' || value === '') {
+    return { fieldError: 'Password is required.' };
+  }
+
+  if (value.length > MAX_PASSWORD_LENGTH) {
+    return { fieldError: `Password must be at most ${MAX_PASSWORD_LENGTH} characters.` };
+  }
+
+  return { value };
+}
+
+/**
+ * findUser - Looks up an account by username
+ *
+ * @param {string} username
+ * @returns {User|null} Public user fields (never the password hash)
+ */
+export function findUser(username) {
+  const user = userConfig.users.find(candidate => candidate.username === username);
+
+  if (!user) {
+    return null;
+  }
+
+  return {
+    username: user.username,
+    displayName: user.displayName,
+    // A typo in the config must not grant more than the anonymous role
+    role: isValidRole(user.role) ? user.role : ANONYMOUS_ROLE
+  };
+}
+
+/**
+ * verifyPassword - Checks a password against a stored scrypt hash
+ *
+ * @param {string} password
+ * @param {string} passwordHash
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, passwordHash) {
+  const [algorithm, N, r, p, salt, hash] = passwordHash.split('$');
+
+  if (algorithm !== 'scrypt') {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * authenticateUser - Checks a username and password
+ *
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<User|null>} The user, or null when the credentials are wrong
+ */
+export async function authenticateUser(username, password) {
+  const user = userConfig.users.find(candidate => candidate.username === username);
+  const isValid = await verifyPassword(password, user?.passwordHash ?? DUMMY_PASSWORD_HASH);
+
+  return user && isValid ? findUser(user.username) : null;
+}
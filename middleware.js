@@ -0,0 +1,92 @@
+/*
+ * ============================================================================
+ * MIDDLEWARE - EDGE RUNTIME
+ * ============================================================================
+ *
+ * Runs before every page request and determines the values that
+ * GlobalConfigurationPage previously hardcoded:
+ *
+ * 1. AUTHENTICATION: Forged, tampered or expired auth cookies are cleared,
+ *    so the browser stops sending them. Pages and actions verify the cookie
+ *    themselves with getCurrentUser() (lib/auth.js)
+ * 2. GEO-LOCATION: Which country is the visitor in? Read from the custom
+ *    GEO_COUNTRY_HEADER (if configured), x-vercel-ip-country or cf-ipcountry
+ * 3. SESSION: A random session ID, issued as a cookie on the first visit, that
+ *    identifies the visitor for per-user features such as percentage rollouts
+ * 4. REQUEST ID: A random ID per request, recorded in audit log entries and
+ *    echoed in the x-request-id response header
+ *
+ * The country, session ID and request ID are normalized into REQUEST_HEADERS
+ * and forwarded to the page, which reads them via headers(). Any
+ * client-supplied values for those headers are overwritten, so they cannot
+ * be spoofed from the browser.
+ *
+ * ============================================================================
+ */
+
+import { NextResponse } from 'next/server';
+import {
+  AUTH_COOKIE_NAME,
+  REQUEST_HEADERS,
+  REQUEST_ID_RESPONSE_HEADER,
+  SESSION_COOKIE_MAX_AGE,
+  SESSION_COOKIE_NAME,
+  isValidSessionId,
+  resolveCountry
+} from './lib/request-context';
+import { verifyAuthToken } from './lib/auth-token';
+
+export async function middleware(request) {
+  const requestHeaders = new Headers(request.headers);
+
+  // Authentication: only a correctly signed, unexpired token counts; others
+  // are cleared below
+  const authToken = request.cookies.get(AUTH_COOKIE_NAME)?.value;
+  const isAuthenticated = (await verifyAuthToken(authToken)) !== null;
+
+  // Geo-location: first valid country header wins, with a sane default
+  const { countryCode, source } = resolveCountry(request.headers);
+
+  // Session: reuse a valid cookie, otherwise issue a new ID
+  const existingSessionId = request.cookies.get(SESSION_COOKIE_NAME)?.value;
+  const isNewSession = !isValidSessionId(existingSessionId);
+  const sessionId = isNewSession ? crypto.randomUUID() : existingSessionId;
+
+  requestHeaders.set(REQUEST_HEADERS.country, countryCode);
+  requestHeaders.set(REQUEST_HEADERS.countrySource, source);
+  // Forwarded as a header too, so the very first request already has an ID
+  requestHeaders.set(REQUEST_HEADERS.sessionId, sessionId);
+
+  const requestId = crypto.randomUUID();
+  requestHeaders.set(REQUEST_HEADERS.requestId, requestId);
+
+  const response = NextResponse.next({
+    request: {
+      headers: requestHeaders
+    }
+  });
+
+  response.headers.set(REQUEST_ID_RESPONSE_HEADER, requestId);
+
+  // Drop auth cookies that failed verification so the browser stops sending them
+  if (authToken && !isAuthenticated) {
+    response.cookies.delete(AUTH_COOKIE_NAME);
+  }
+
+  if (isNewSession) {
+    response.cookies.set(SESSION_COOKIE_NAME, sessionId, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      path: '/',
+      maxAge: SESSION_COOKIE_MAX_AGE
+    });
+  }
+
+  return response;
+}
+
+export const config = {
+  // Skip static assets and image optimization requests
+  matcher: ['/((?!_next/static|_next/image|favicon.ico).*)']
+};